@@ -1,33 +1,254 @@
 // core/api/index.js
+const {
+  normalizeCommand,
+  normalizeContextMenu,
+  contextMenuKey,
+  splitCommandDefinition,
+  LIMITS
+} = require('../discord/commands');
+const { namespaceCustomId, matchCustomId } = require('../discord/components');
+const { normalizeRestrictions } = require('../discord/restrictions');
+const { normalizeTextCommand } = require('../discord/text-commands');
+
+// Owner of commands and routes registered by the core itself
+const CORE_OWNER = 'core';
+
+// Whether two route paths can match the same request URL: they have as many
+// segments, and each pair is equal or has a ":param" on either side
+function routesOverlap(a, b) {
+  const aSegments = a.split('/');
+  const bSegments = b.split('/');
+  return aSegments.length === bSegments.length && aSegments.every((segment, index) =>
+    segment === bSegments[index] || segment.startsWith(':') || bSegments[index].startsWith(':'));
+}
+
+// Thrown when a plugin registers a command or route another plugin (or the core)
+// owns. existing is the other route when the two only overlap.
+class RegistrationConflictError extends Error {
+  constructor(type, name, pluginName, owner, existing = name) {
+    const ownerName = owner === CORE_OWNER ? 'the core' : `plugin ${owner}`;
+    super(existing === name
+      ? `Cannot register ${type} ${name} for plugin ${pluginName}: it is already registered by ${ownerName}`
+      : `Cannot register ${type} ${name} for plugin ${pluginName}: it overlaps ${existing}, registered by ${ownerName}`);
+    this.name = 'RegistrationConflictError';
+    this.type = type;
+    this.pluginName = pluginName;
+    this.owner = owner;
+  }
+}
+
 class API {
   constructor(core) {
     this.core = core;
     this.commands = new Map();
+    this.contextMenus = new Map(); // User and message context menu commands by "type:name"
+    this.textCommands = new Map(); // Prefix commands by name
+    this.textCommandAliases = new Map(); // Alias -> text command name
     this.events = new Map();
     this.routes = new Map();
     this.pages = new Map();
+    this.components = new Map(); // Button and select menu handlers by custom ID prefix
+    this.modals = new Map(); // Modal submit handlers by custom ID prefix
     this.pluginRoutes = new Map(); // Track routes registered by each plugin
+    this.pluginEvents = new Map(); // Track event handlers registered by each plugin
+    this.pluginComponents = new Map(); // Track component and modal handlers registered by each plugin
+    this.pluginTextCommands = new Map(); // Track text commands registered by each plugin
+    this.conflicts = []; // Commands and routes plugins could not register under their own name
+    
+    // Bot status and activities (see core/discord/presence.js). Requests made
+    // here belong to the core; plugins get their own in the sandbox.
+    this.presence = {
+      set: (options) => this.core.discord.presence.request(CORE_OWNER, options),
+      clear: () => this.core.discord.presence.clear(CORE_OWNER),
+      registerVariable: (name, fn) => this.core.discord.presence.registerVariable(CORE_OWNER, name, fn),
+      get: () => this.core.discord.presence.getStatus().current
+    };
   }
 
-  // Register a Discord command
-  registerCommand(name, description, handler) {
+  // Register a Discord command, either as (name, description, handler, extra)
+  // or as a single definition object ({ name, description, options, handler }).
+  // Options are checked against Discord's limits (see core/discord/commands.js).
+  registerCommand(name, description, handler, extra = {}) {
+    ({ name, description, handler, extra } = splitCommandDefinition(name, description, handler, extra));
     if (typeof name !== 'string' || typeof description !== 'string' || typeof handler !== 'function') {
       throw new Error('Invalid parameters for registerCommand');
     }
+    if (!this.commands.has(name) && this.commands.size >= LIMITS.commands) {
+      throw new Error(`Cannot register command ${name}: Discord allows at most ${LIMITS.commands} commands`);
+    }
     
-    this.commands.set(name, { description, handler });
+    const command = normalizeCommand(name, description, handler, extra);
+    this.commands.set(name, { ...command, ...this.checkRestrictions(extra, `/${name}`) });
     console.log(`Registered command: ${name}`);
   }
   
   // Register a Discord command from a plugin
-  registerPluginCommand(pluginName, name, description, handler) {
+  registerPluginCommand(pluginName, name, description, handler, extra = {}) {
     if (typeof name !== 'string' || typeof description !== 'string' || typeof handler !== 'function') {
       throw new Error('Invalid parameters for registerCommand');
     }
     
     console.log(`Registering plugin command: ${name} for plugin ${pluginName}`);
-    // Delegate to DiscordManager for plugin-specific command registration
-    this.core.discord.registerPluginCommand(pluginName, name, description, handler);
+    // Delegate to DiscordManager for plugin-specific command registration.
+    // Returns the name the command was registered under.
+    return this.core.discord.registerPluginCommand(pluginName, name, description, handler, extra);
+  }
+
+  // Check a command's cooldown, permission, role and DM/guild-only settings
+  checkRestrictions(extra, path) {
+    const errors = [];
+    const restrictions = normalizeRestrictions(extra, path, errors);
+    if (errors.length > 0) {
+      throw new Error(`Invalid command ${path}: ${errors.join('; ')}`);
+    }
+    return restrictions;
+  }
+  
+  // Register a user or message context menu command, either as
+  // (name, type, handler, extra) or as a definition object ({ name, type, handler })
+  registerContextMenu(name, type, handler, extra = {}) {
+    if (name && typeof name === 'object') {
+      ({ name, type, handler, ...extra } = name);
+    }
+    
+    const command = { ...normalizeContextMenu(name, type, handler, extra), ...this.checkRestrictions(extra, name) };
+    const key = contextMenuKey(command.type, name);
+    const sameType = Array.from(this.contextMenus.values()).filter(menu => menu.type === command.type);
+    if (!this.contextMenus.has(key) && sameType.length >= LIMITS.contextMenus) {
+      throw new Error(`Cannot register context menu command ${name}: Discord allows at most ${LIMITS.contextMenus} of each type`);
+    }
+    
+    this.contextMenus.set(key, command);
+    console.log(`Registered context menu command: ${key}`);
+    return key;
+  }
+  
+  // Register a context menu command from a plugin
+  registerPluginContextMenu(pluginName, name, type, handler, extra = {}) {
+    console.log(`Registering plugin context menu command: ${name} for plugin ${pluginName}`);
+    // Delegate to DiscordManager, which tracks commands by plugin
+    return this.core.discord.registerPluginContextMenu(pluginName, name, type, handler, extra);
+  }
+
+  // Register a prefix command read from messages ("!name args"), either as
+  // (name, description, handler, extra) or as a definition object. extra
+  // holds aliases, args and the same restrictions as registerCommand.
+  registerTextCommand(name, description, handler, extra = {}) {
+    if (name && typeof name === 'object') {
+      ({ name, description, handler, ...extra } = name);
+    }
+    
+    const command = {
+      ...normalizeTextCommand(name, description, handler, extra),
+      ...this.checkRestrictions(extra, `text command ${name}`)
+    };
+    for (const alias of [command.name, ...command.aliases]) {
+      const existing = this.getTextCommand(alias);
+      if (existing && existing.name !== command.name) {
+        throw new Error(`Cannot register text command ${command.name}: ${alias} is already used by text command ${existing.name}`);
+      }
+    }
+    
+    this.removeTextCommand(command.name);
+    this.textCommands.set(command.name, command);
+    for (const alias of command.aliases) {
+      this.textCommandAliases.set(alias, command.name);
+    }
+    console.log(`Registered text command: ${command.name}`);
+    return command.name;
+  }
+  
+  // Register a text command from a plugin. A taken name is handled like a
+  // taken slash command name (see PLUGIN_COLLISION_POLICY); taken aliases
+  // are dropped. Returns the name the command was registered under.
+  registerPluginTextCommand(pluginName, name, description, handler, extra = {}) {
+    if (name && typeof name === 'object') {
+      ({ name, description, handler, ...extra } = name);
+    }
+    if (typeof name !== 'string') {
+      throw new Error('Invalid parameters for registerTextCommand');
+    }
+    
+    let finalName = name.toLowerCase();
+    const owner = this.getTextCommandOwner(finalName);
+    if (owner && owner !== pluginName) {
+      const conflict = { type: 'text command', name: finalName, plugin: pluginName, owner };
+      const renamed = `${pluginName}-${finalName}`;
+      if (this.getCollisionPolicy() === 'namespace' && !this.getTextCommandOwner(renamed)) {
+        this.recordConflict({ ...conflict, resolution: 'namespaced', renamedTo: renamed });
+        finalName = renamed;
+      } else {
+        this.recordConflict({ ...conflict, resolution: 'rejected' });
+        throw new RegistrationConflictError('text command', finalName, pluginName, owner);
+      }
+    }
+    
+    const aliases = (Array.isArray(extra.aliases) ? extra.aliases : []).filter((alias) => {
+      const aliasOwner = typeof alias === 'string' ? this.getTextCommandOwner(alias.toLowerCase()) : null;
+      if (aliasOwner && aliasOwner !== pluginName) {
+        this.recordConflict({ type: 'text command alias', name: alias.toLowerCase(), plugin: pluginName, owner: aliasOwner, resolution: 'dropped' });
+        return false;
+      }
+      return true;
+    });
+    
+    const registered = this.registerTextCommand(finalName, description, handler,
+      extra.aliases === undefined ? extra : { ...extra, aliases });
+    
+    // Track the command for this plugin
+    if (!this.pluginTextCommands.has(pluginName)) {
+      this.pluginTextCommands.set(pluginName, []);
+    }
+    if (!this.pluginTextCommands.get(pluginName).includes(registered)) {
+      this.pluginTextCommands.get(pluginName).push(registered);
+    }
+    return registered;
+  }
+  
+  // Unregister all text commands associated with a plugin
+  unregisterPluginTextCommands(pluginName) {
+    if (this.pluginTextCommands.has(pluginName)) {
+      for (const name of this.pluginTextCommands.get(pluginName)) {
+        this.removeTextCommand(name);
+        if (this.core.discord) {
+          this.core.discord.cooldowns.clear(`text:${name}`);
+          this.core.discord.metrics.clear(`text:${name}`);
+        }
+        console.log(`Unregistered plugin text command: ${name}`);
+      }
+      this.pluginTextCommands.delete(pluginName);
+    }
+  }
+  
+  removeTextCommand(name) {
+    const command = this.textCommands.get(name);
+    if (command) {
+      for (const alias of command.aliases) {
+        this.textCommandAliases.delete(alias);
+      }
+      this.textCommands.delete(name);
+    }
+  }
+  
+  // Find a text command by name or alias
+  getTextCommand(name) {
+    const lowerName = name.toLowerCase();
+    return this.textCommands.get(lowerName) || this.textCommands.get(this.textCommandAliases.get(lowerName)) || null;
+  }
+  
+  // Get the plugin that registered a text command or alias, 'core' for core
+  // text commands, or null
+  getTextCommandOwner(name) {
+    const command = this.getTextCommand(name);
+    if (!command) {
+      return null;
+    }
+    for (const [pluginName, names] of this.pluginTextCommands) {
+      if (names.includes(command.name)) {
+        return pluginName;
+      }
+    }
+    return CORE_OWNER;
   }
 
   // Register an event handler
@@ -42,6 +263,73 @@ class API {
     
     this.events.get(event).push(handler);
     console.log(`Registered event handler for: ${event}`);
+    
+    // Discord events are only listened to once someone subscribes
+    if (this.core.discord) {
+      this.core.discord.attachEventListener(event);
+    }
+  }
+  
+  // Register an event handler from a plugin
+  registerPluginEvent(pluginName, event, handler) {
+    this.registerEvent(event, handler);
+    
+    // Track the handler for this plugin
+    if (!this.pluginEvents.has(pluginName)) {
+      this.pluginEvents.set(pluginName, []);
+    }
+    this.pluginEvents.get(pluginName).push({ event, handler });
+  }
+  
+  // Unregister all event handlers associated with a plugin
+  unregisterPluginEvents(pluginName) {
+    if (this.pluginEvents.has(pluginName)) {
+      for (const { event, handler } of this.pluginEvents.get(pluginName)) {
+        this.unregisterEvent(event, handler);
+      }
+      this.pluginEvents.delete(pluginName);
+    }
+  }
+  
+  // Remove a previously registered event handler
+  unregisterEvent(event, handler) {
+    const handlers = this.events.get(event);
+    if (!handlers) {
+      return;
+    }
+    
+    const index = handlers.indexOf(handler);
+    if (index !== -1) {
+      handlers.splice(index, 1);
+      console.log(`Unregistered event handler for: ${event}`);
+    }
+    
+    // Drop the handler from its plugin's tracking
+    for (const [pluginName, tracked] of this.pluginEvents) {
+      const remaining = tracked.filter(entry => entry.event !== event || entry.handler !== handler);
+      if (remaining.length === 0) {
+        this.pluginEvents.delete(pluginName);
+      } else if (remaining.length !== tracked.length) {
+        this.pluginEvents.set(pluginName, remaining);
+      }
+    }
+    
+    if (handlers.length === 0) {
+      this.events.delete(event);
+      if (this.core.discord) {
+        this.core.discord.detachEventListener(event);
+      }
+    }
+  }
+  
+  // Get the plugin an event handler belongs to, or 'core'
+  getEventHandlerOwner(event, handler) {
+    for (const [pluginName, tracked] of this.pluginEvents) {
+      if (tracked.some(entry => entry.event === event && entry.handler === handler)) {
+        return pluginName;
+      }
+    }
+    return CORE_OWNER;
   }
 
   // Register a web route
@@ -54,17 +342,28 @@ class API {
     console.log(`Registered route: ${path}`);
   }
   
-  // Register a web route from a plugin
+  // Register a web route from a plugin. A path another plugin or the core
+  // already uses is rejected.
   registerPluginRoute(pluginName, path, handler) {
     if (typeof path !== 'string' || typeof handler !== 'function') {
       throw new Error('Invalid parameters for registerRoute');
     }
     
-    // Track the route for this plugin
+    const conflict = this.findRouteConflict(path, pluginName);
+    if (conflict) {
+      const { route, owner } = conflict;
+      this.recordConflict({ type: 'route', name: path, plugin: pluginName, owner, resolution: 'rejected',
+        ...(route !== path && { overlaps: route }) });
+      throw new RegistrationConflictError('route', path, pluginName, owner, route);
+    }
+    
+    // Track the route for this plugin; registering it again replaces the handler
     if (!this.pluginRoutes.has(pluginName)) {
       this.pluginRoutes.set(pluginName, []);
     }
-    this.pluginRoutes.get(pluginName).push(path);
+    if (!this.pluginRoutes.get(pluginName).includes(path)) {
+      this.pluginRoutes.get(pluginName).push(path);
+    }
     
     // Register the route
     this.routes.set(path, handler);
@@ -83,6 +382,154 @@ class API {
     }
   }
 
+  // Get the plugin that registered a route, 'core' for core routes, or null
+  getRouteOwner(path) {
+    for (const [pluginName, routes] of this.pluginRoutes) {
+      if (routes.includes(path)) {
+        return pluginName;
+      }
+    }
+    return this.routes.has(path) ? CORE_OWNER : null;
+  }
+  
+  // Find a route of another owner that can match the same requests as path,
+  // such as /api/x/list for /api/x/:id. Returns { route, owner } or null.
+  findRouteConflict(path, pluginName) {
+    for (const route of this.routes.keys()) {
+      const owner = this.getRouteOwner(route);
+      if (owner !== pluginName && routesOverlap(route, path)) {
+        return { route, owner };
+      }
+    }
+    return null;
+  }
+  
+  // How plugin commands that collide with an existing command are handled:
+  // 'reject' (default) or 'namespace' (registered under a prefixed name)
+  getCollisionPolicy() {
+    return process.env.PLUGIN_COLLISION_POLICY === 'namespace' ? 'namespace' : 'reject';
+  }
+  
+  // Record a collision so administrators can see which plugin lost
+  recordConflict(conflict) {
+    this.conflicts = this.conflicts.filter(entry =>
+      entry.type !== conflict.type || entry.name !== conflict.name || entry.plugin !== conflict.plugin);
+    this.conflicts.push({ ...conflict, at: new Date().toISOString() });
+    console.warn(`Plugin ${conflict.plugin} ${conflict.type} ${conflict.name} collides with ${conflict.owner}: ${conflict.resolution}`);
+  }
+  
+  // Get the conflicts a plugin was involved in, or all conflicts
+  getConflicts(pluginName) {
+    return pluginName === undefined
+      ? this.conflicts
+      : this.conflicts.filter(entry => entry.plugin === pluginName || entry.owner === pluginName);
+  }
+  
+  // Forget the conflicts of a plugin that is being disabled
+  clearConflicts(pluginName) {
+    this.conflicts = this.conflicts.filter(entry => entry.plugin !== pluginName);
+  }
+
+  // Find the handler for a request URL. Exact paths win over paths with
+  // ":param" segments, whose values are returned as params.
+  matchRoute(url) {
+    const pathname = url.split('?')[0];
+    if (this.routes.has(pathname)) {
+      return { handler: this.routes.get(pathname), params: {} };
+    }
+    
+    const segments = pathname.split('/');
+    for (const [route, handler] of this.routes) {
+      if (!route.includes('/:')) {
+        continue;
+      }
+      
+      const routeSegments = route.split('/');
+      if (routeSegments.length !== segments.length) {
+        continue;
+      }
+      
+      const params = {};
+      const matched = routeSegments.every((segment, index) => {
+        if (segment.startsWith(':')) {
+          params[segment.slice(1)] = decodeURIComponent(segments[index]);
+          return segments[index] !== '';
+        }
+        return segment === segments[index];
+      });
+      if (matched) {
+        return { handler, params };
+      }
+    }
+    
+    return null;
+  }
+
+  // Register a handler for buttons and select menus whose custom ID is the
+  // prefix or starts with "prefix:"
+  registerComponent(customIdPrefix, handler) {
+    if (typeof customIdPrefix !== 'string' || customIdPrefix === '' || typeof handler !== 'function') {
+      throw new Error('Invalid parameters for registerComponent');
+    }
+    
+    this.components.set(customIdPrefix, handler);
+    console.log(`Registered component handler: ${customIdPrefix}`);
+  }
+  
+  // Register a handler for modal submissions whose custom ID is the prefix
+  // or starts with "prefix:"
+  registerModal(customIdPrefix, handler) {
+    if (typeof customIdPrefix !== 'string' || customIdPrefix === '' || typeof handler !== 'function') {
+      throw new Error('Invalid parameters for registerModal');
+    }
+    
+    this.modals.set(customIdPrefix, handler);
+    console.log(`Registered modal handler: ${customIdPrefix}`);
+  }
+  
+  // Register a component handler from a plugin. The prefix is namespaced with
+  // the plugin name; the namespaced prefix is returned.
+  registerPluginComponent(pluginName, customIdPrefix, handler) {
+    return this.registerPluginInteraction(pluginName, 'component', customIdPrefix, handler);
+  }
+  
+  // Register a modal handler from a plugin, namespaced like components
+  registerPluginModal(pluginName, customIdPrefix, handler) {
+    return this.registerPluginInteraction(pluginName, 'modal', customIdPrefix, handler);
+  }
+  
+  registerPluginInteraction(pluginName, type, customIdPrefix, handler) {
+    const customId = namespaceCustomId(pluginName, customIdPrefix);
+    if (type === 'modal') {
+      this.registerModal(customId, handler);
+    } else {
+      this.registerComponent(customId, handler);
+    }
+    
+    // Track the handler for this plugin
+    if (!this.pluginComponents.has(pluginName)) {
+      this.pluginComponents.set(pluginName, []);
+    }
+    this.pluginComponents.get(pluginName).push({ type, customId });
+    return customId;
+  }
+  
+  // Unregister all component and modal handlers associated with a plugin
+  unregisterPluginComponents(pluginName) {
+    if (this.pluginComponents.has(pluginName)) {
+      for (const { type, customId } of this.pluginComponents.get(pluginName)) {
+        (type === 'modal' ? this.modals : this.components).delete(customId);
+        console.log(`Unregistered plugin ${type} handler: ${customId}`);
+      }
+      this.pluginComponents.delete(pluginName);
+    }
+  }
+  
+  // Find the handler for a component or modal interaction's custom ID
+  matchComponent(customId, type = 'component') {
+    return matchCustomId(type === 'modal' ? this.modals : this.components, customId);
+  }
+
   // Register a web page
   registerPage(path, component) {
     if (typeof path !== 'string') {
@@ -120,6 +567,21 @@ class API {
     throw new Error('deletePlugin not bound to PluginLoader');
   }
   
+  reloadPlugin(pluginName) {
+    // This will be bound to PluginLoader.reloadPlugin
+    throw new Error('reloadPlugin not bound to PluginLoader');
+  }
+  
+  getPlugin(pluginName) {
+    // This will be bound to PluginLoader.getPlugin
+    throw new Error('getPlugin not bound to PluginLoader');
+  }
+  
+  clearQuarantine(pluginName) {
+    // This will be bound to PluginLoader.clearQuarantine
+    throw new Error('clearQuarantine not bound to PluginLoader');
+  }
+  
   getPlugins() {
     // This will be bound to PluginLoader.getPlugins
     throw new Error('getPlugins not bound to PluginLoader');
@@ -138,4 +600,6 @@ class API {
   }
 }
 
-module.exports = API;
\ No newline at end of file
+module.exports = API;
+module.exports.RegistrationConflictError = RegistrationConflictError;
+module.exports.CORE_OWNER = CORE_OWNER;
\ No newline at end of file
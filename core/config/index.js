@@ -0,0 +1,153 @@
+// core/config/index.js
+// Per-plugin configuration. Plugins describe their settings with a
+// configSchema in plugin.json; values are validated against it and saved in
+// config/plugin-config.json.
+const fs = require('fs').promises;
+const path = require('path');
+const schema = require('./schema');
+const { writeJsonAtomic } = require('../utils/atomic-write');
+
+// Thrown when configuration values do not match a plugin's configSchema
+class ConfigValidationError extends Error {
+  constructor(pluginName, errors) {
+    super(`Invalid configuration for plugin ${pluginName}: ${errors.join('; ')}`);
+    this.name = 'ConfigValidationError';
+    this.pluginName = pluginName;
+    this.errors = errors;
+  }
+}
+
+class PluginConfig {
+  constructor(core) {
+    this.core = core;
+    this.configFile = path.join(__dirname, '..', '..', 'config', 'plugin-config.json');
+    this.values = null; // Saved values by plugin name, loaded on first use
+    this.loading = null; // Promise of the values while they are read
+    this.saving = Promise.resolve(); // Pending write, so saves run one at a time
+  }
+
+  // Read the saved values once; calls made while reading share the result
+  load() {
+    if (!this.loading) {
+      this.loading = fs.readFile(this.configFile, 'utf8')
+        .then(content => JSON.parse(content))
+        .catch(() => ({})) // No configuration saved yet
+        .then(values => {
+          this.values = values;
+          return values;
+        });
+    }
+    return this.loading;
+  }
+
+  // Write all values. Saves are queued, so an older write never lands last.
+  save() {
+    const run = () => writeJsonAtomic(this.configFile, this.values);
+
+    const current = this.saving.then(run, run);
+    this.saving = current.catch(() => {});
+    return current;
+  }
+
+  // Get the configSchema of a loaded plugin, or null if it has none
+  getSchema(pluginName) {
+    const plugin = this.core.plugins.plugins.get(pluginName);
+    if (!plugin) {
+      throw new Error(`Plugin ${pluginName} not found`);
+    }
+    return plugin.manifest.configSchema || null;
+  }
+
+  // Get a plugin's configuration with defaults filled in, or a single value
+  async getConfig(pluginName, key) {
+    const configSchema = this.getSchema(pluginName);
+    const saved = (await this.load())[pluginName] || {};
+    const config = configSchema ? schema.applyDefaults(configSchema, saved) : { ...saved };
+    return key === undefined ? config : (config[key] !== undefined ? config[key] : null);
+  }
+
+  // Validate and save a plugin's configuration, then let the plugin know
+  async setConfig(pluginName, values) {
+    const configSchema = this.getSchema(pluginName);
+    if (!configSchema) {
+      throw new Error(`Plugin ${pluginName} does not declare a configSchema`);
+    }
+
+    const problems = schema.checkSchema(configSchema);
+    if (problems.length > 0) {
+      throw new Error(`Plugin ${pluginName} has an unsupported configSchema: ${problems.join('; ')}`);
+    }
+
+    if (!schema.isPlainObject(values)) {
+      throw new ConfigValidationError(pluginName, ['Configuration must be an object']);
+    }
+
+    // writeOnly values are never sent to the dashboard, so a blank one keeps
+    // the saved value
+    const stored = await this.load();
+    const saved = stored[pluginName] || {};
+    const checked = { ...values };
+    for (const name of schema.getWriteOnly(configSchema)) {
+      if ((checked[name] === undefined || checked[name] === null || checked[name] === '') && saved[name] !== undefined) {
+        checked[name] = saved[name];
+      }
+    }
+
+    const config = schema.applyDefaults(configSchema, checked);
+    const errors = schema.validate(configSchema, config);
+    if (errors.length > 0) {
+      throw new ConfigValidationError(pluginName, errors);
+    }
+
+    const previous = await this.getConfig(pluginName);
+    stored[pluginName] = checked;
+    await this.save();
+    console.log(`Saved configuration for plugin ${pluginName}`);
+
+    await this.notifyChange(pluginName, config, previous);
+    return config;
+  }
+
+  // Configuration for the dashboard: writeOnly values are left out, and
+  // secrets lists the writeOnly settings that have a saved value
+  async getVisibleConfig(pluginName, config) {
+    const configSchema = this.getSchema(pluginName);
+    const values = { ...(config || await this.getConfig(pluginName)) };
+    const saved = (await this.load())[pluginName] || {};
+    const secrets = [];
+    for (const name of configSchema ? schema.getWriteOnly(configSchema) : []) {
+      if (saved[name] !== undefined) {
+        secrets.push(name);
+      }
+      delete values[name];
+    }
+    return { values, secrets };
+  }
+
+  // Run the plugin's onConfigChange hook, if it is enabled and has one
+  async notifyChange(pluginName, config, previous) {
+    const plugin = this.core.plugins.plugins.get(pluginName);
+    if (!plugin || !plugin.enabled || typeof plugin.module.onConfigChange !== 'function') {
+      return;
+    }
+
+    try {
+      await this.core.plugins.sandbox.runPluginMethod(pluginName, plugin.module, 'onConfigChange', config, previous);
+    } catch (error) {
+      // The new values are saved either way; the plugin reads them on its next init
+      console.error(`Error in onConfigChange of plugin ${pluginName}:`, error);
+    }
+  }
+
+  // Remove a deleted plugin's configuration
+  async deleteConfig(pluginName) {
+    const stored = await this.load();
+    if (pluginName in stored) {
+      delete stored[pluginName];
+      await this.save();
+    }
+  }
+}
+
+module.exports = PluginConfig;
+module.exports.ConfigValidationError = ConfigValidationError;
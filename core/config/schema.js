@@ -0,0 +1,161 @@
+// core/config/schema.js
+// The subset of JSON Schema used for plugin configuration: an object schema
+// whose properties are strings, numbers, integers, booleans or arrays of
+// those, with required, default, enum, minimum/maximum, minLength/maxLength,
+// pattern, minItems/maxItems and writeOnly (rendered as a password field).
+
+const PROPERTY_TYPES = ['string', 'number', 'integer', 'boolean', 'array'];
+const ITEM_TYPES = ['string', 'number', 'integer', 'boolean'];
+
+// Check that a configSchema only uses supported features. Returns a list of problems.
+function checkSchema(schema) {
+  const problems = [];
+  if (!schema || typeof schema !== 'object' || schema.type !== 'object') {
+    return ['configSchema must be an object schema ("type": "object")'];
+  }
+
+  const properties = schema.properties || {};
+  for (const [name, property] of Object.entries(properties)) {
+    if (!property || !PROPERTY_TYPES.includes(property.type)) {
+      problems.push(`${name}: type must be one of ${PROPERTY_TYPES.join(', ')}`);
+      continue;
+    }
+    if (property.type === 'array' && (!property.items || !ITEM_TYPES.includes(property.items.type))) {
+      problems.push(`${name}: items must have a type of ${ITEM_TYPES.join(', ')}`);
+    }
+    if (property.pattern !== undefined) {
+      try {
+        new RegExp(property.pattern);
+      } catch (error) {
+        problems.push(`${name}: invalid pattern`);
+      }
+    }
+  }
+
+  for (const name of schema.required || []) {
+    if (!(name in properties)) {
+      problems.push(`${name}: listed as required but not defined`);
+    }
+  }
+  return problems;
+}
+
+// Fill in defaults for properties that have no value
+function applyDefaults(schema, values = {}) {
+  const result = { ...values };
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    if (result[name] === undefined && property.default !== undefined) {
+      result[name] = property.default;
+    }
+  }
+  return result;
+}
+
+function typeMatches(type, value) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    default:
+      return false;
+  }
+}
+
+// Validate a single value (a property or an array item) against its schema
+function validateValue(name, property, value, errors) {
+  if (!typeMatches(property.type, value)) {
+    errors.push(`${name} must be of type ${property.type}`);
+    return;
+  }
+
+  if (property.enum && !property.enum.includes(value)) {
+    errors.push(`${name} must be one of ${property.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (property.minimum !== undefined && value < property.minimum) {
+      errors.push(`${name} must be at least ${property.minimum}`);
+    }
+    if (property.maximum !== undefined && value > property.maximum) {
+      errors.push(`${name} must be at most ${property.maximum}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (property.minLength !== undefined && value.length < property.minLength) {
+      errors.push(`${name} must be at least ${property.minLength} characters long`);
+    }
+    if (property.maxLength !== undefined && value.length > property.maxLength) {
+      errors.push(`${name} must be at most ${property.maxLength} characters long`);
+    }
+    if (property.pattern !== undefined && !new RegExp(property.pattern).test(value)) {
+      errors.push(`${name} must match the pattern ${property.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (property.minItems !== undefined && value.length < property.minItems) {
+      errors.push(`${name} must have at least ${property.minItems} items`);
+    }
+    if (property.maxItems !== undefined && value.length > property.maxItems) {
+      errors.push(`${name} must have at most ${property.maxItems} items`);
+    }
+    value.forEach((item, index) => validateValue(`${name}[${index}]`, property.items, item, errors));
+  }
+}
+
+// Check that configuration values are a plain object
+function isPlainObject(values) {
+  return Object.prototype.toString.call(values) === '[object Object]';
+}
+
+// Names of writeOnly properties, such as tokens and passwords
+function getWriteOnly(schema) {
+  return Object.entries(schema.properties || {})
+    .filter(([, property]) => property.writeOnly)
+    .map(([name]) => name);
+}
+
+// Validate configuration values against a schema. Returns a list of errors.
+function validate(schema, values) {
+  if (!isPlainObject(values)) {
+    return ['Configuration must be an object'];
+  }
+
+  const errors = [];
+  const properties = schema.properties || {};
+  for (const name of schema.required || []) {
+    if (values[name] === undefined || values[name] === null || values[name] === '') {
+      errors.push(`${name} is required`);
+    }
+  }
+
+  for (const [name, value] of Object.entries(values)) {
+    const property = properties[name];
+    if (!property) {
+      if (schema.additionalProperties === false) {
+        errors.push(`${name} is not a known setting`);
+      }
+      continue;
+    }
+    if (value !== undefined && value !== null) {
+      validateValue(name, property, value, errors);
+    }
+  }
+  return errors;
+}
+
+module.exports = {
+  checkSchema,
+  applyDefaults,
+  isPlainObject,
+  getWriteOnly,
+  validate
+};
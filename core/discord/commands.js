@@ -0,0 +1,534 @@
+// core/discord/commands.js
+// Slash and context menu command definitions. Plugins describe options with readable type
+// names and camelCase keys; definitions are checked against Discord's limits
+// here and converted to the API's format before they are uploaded.
+
+// Discord's ApplicationCommandType values
+const COMMAND_TYPES = {
+  chatInput: 1,
+  user: 2,
+  message: 3
+};
+
+// Discord's ApplicationCommandOptionType values
+const OPTION_TYPES = {
+  subcommand: 1,
+  subcommandGroup: 2,
+  string: 3,
+  integer: 4,
+  boolean: 5,
+  user: 6,
+  channel: 7,
+  role: 8,
+  mentionable: 9,
+  number: 10,
+  attachment: 11
+};
+
+const SUBCOMMAND = OPTION_TYPES.subcommand;
+const SUBCOMMAND_GROUP = OPTION_TYPES.subcommandGroup;
+const CHOICE_TYPES = [OPTION_TYPES.string, OPTION_TYPES.integer, OPTION_TYPES.number];
+
+// Limits from Discord's application command documentation
+const LIMITS = {
+  commands: 100, // Chat input commands per application
+  contextMenus: 5, // User and message context menu commands each
+  nameLength: 32,
+  descriptionLength: 100,
+  options: 25,
+  choices: 25,
+  choiceNameLength: 100,
+  choiceValueLength: 100,
+  stringLength: 6000,
+  totalLength: 4000, // Names, descriptions and choices of a command combined
+  autocompleteMs: 3000, // Time Discord waits for autocomplete suggestions
+  responseMs: 3000 // Time Discord waits for a reply or deferral to a command
+};
+
+const SNOWFLAKE_PATTERN = /^\d{17,20}$/;
+const NAME_PATTERN = /^[-_\p{L}\p{N}\p{sc=Deva}\p{sc=Thai}]{1,32}$/u;
+
+// Resolve an option type given by name ("string", "subcommand_group") or number
+function resolveOptionType(type) {
+  if (typeof type === 'number' && Object.values(OPTION_TYPES).includes(type)) {
+    return type;
+  }
+  if (typeof type === 'string') {
+    const key = type.replace(/[_-](\w)/g, (match, letter) => letter.toUpperCase());
+    return OPTION_TYPES[key] || null;
+  }
+  return null;
+}
+
+// Resolve a context menu type given by name ("user", "message") or number
+function resolveContextMenuType(type) {
+  if (type === COMMAND_TYPES.user || type === 'user') {
+    return COMMAND_TYPES.user;
+  }
+  if (type === COMMAND_TYPES.message || type === 'message') {
+    return COMMAND_TYPES.message;
+  }
+  return null;
+}
+
+// Name a plugin's command is given when its own name is taken and the
+// collision policy is "namespace": "<plugin>-<name>" for slash commands,
+// "<name> (<plugin>)" for context menus. Returns null if it does not fit.
+function namespaceCommandName(pluginName, name, contextMenu = false) {
+  const namespaced = contextMenu
+    ? `${name} (${pluginName})`
+    : `${pluginName.toLowerCase().replace(/[^-_a-z0-9]/g, '-')}-${name}`;
+  return namespaced.length <= LIMITS.nameLength ? namespaced : null;
+}
+
+// Key of a context menu command in the API's map. Names only have to be
+// unique per type, so a user and a message command can share one.
+function contextMenuKey(type, name) {
+  return `${resolveContextMenuType(type) === COMMAND_TYPES.user ? 'user' : 'message'}:${name}`;
+}
+
+// Read a setting given in camelCase or in Discord's snake_case
+function pick(source, camel, snake) {
+  return source[camel] !== undefined ? source[camel] : source[snake];
+}
+
+function checkName(name, path, errors) {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name) || name !== name.toLowerCase()) {
+    errors.push(`${path} name must be 1-${LIMITS.nameLength} lowercase letters, numbers, - or _`);
+  }
+}
+
+function checkDescription(description, path, errors) {
+  if (typeof description !== 'string' || description.length < 1 || description.length > LIMITS.descriptionLength) {
+    errors.push(`${path} description must be 1-${LIMITS.descriptionLength} characters`);
+  }
+}
+
+// Check the guilds a command is limited to (undefined means global)
+function checkGuilds(guilds, path, errors) {
+  if (guilds === undefined) {
+    return undefined;
+  }
+  if (!Array.isArray(guilds) || !guilds.every(guild => typeof guild === 'string' && SNOWFLAKE_PATTERN.test(guild))) {
+    errors.push(`${path} guilds must be an array of guild IDs`);
+    return undefined;
+  }
+  return guilds.length > 0 ? Array.from(new Set(guilds)) : undefined;
+}
+
+// Check when the core should defer a command whose handler has not responded:
+// false never, a number of milliseconds, or { after, ephemeral }. Undefined
+// uses the default threshold.
+function checkAutoDefer(autoDefer, path, errors) {
+  if (autoDefer === undefined || autoDefer === false) {
+    return autoDefer;
+  }
+  const settings = typeof autoDefer === 'number' ? { after: autoDefer } : autoDefer;
+  if (!settings || typeof settings !== 'object'
+    || (settings.after !== undefined && !(Number.isInteger(settings.after) && settings.after >= 0 && settings.after < LIMITS.responseMs))
+    || (settings.ephemeral !== undefined && typeof settings.ephemeral !== 'boolean')) {
+    errors.push(`${path} autoDefer must be false, a number of milliseconds below ${LIMITS.responseMs}, or { after, ephemeral }`);
+    return undefined;
+  }
+  return { after: settings.after, ephemeral: settings.ephemeral };
+}
+
+function checkChoices(option, type, path, errors) {
+  if (!Array.isArray(option.choices) || option.choices.length > LIMITS.choices) {
+    errors.push(`${path} choices must be an array of at most ${LIMITS.choices} choices`);
+    return [];
+  }
+  if (!CHOICE_TYPES.includes(type)) {
+    errors.push(`${path} choices are only allowed on string, integer and number options`);
+    return [];
+  }
+
+  return option.choices.map((choice, index) => {
+    const choicePath = `${path} choice ${index + 1}`;
+    if (!choice || typeof choice.name !== 'string' || choice.name.length < 1 || choice.name.length > LIMITS.choiceNameLength) {
+      errors.push(`${choicePath} name must be 1-${LIMITS.choiceNameLength} characters`);
+    }
+
+    const value = choice ? choice.value : undefined;
+    if (type === OPTION_TYPES.string
+      && (typeof value !== 'string' || value.length < 1 || value.length > LIMITS.choiceValueLength)) {
+      errors.push(`${choicePath} value must be a string of 1-${LIMITS.choiceValueLength} characters`);
+    } else if (type === OPTION_TYPES.integer && !Number.isInteger(value)) {
+      errors.push(`${choicePath} value must be an integer`);
+    } else if (type === OPTION_TYPES.number && (typeof value !== 'number' || !Number.isFinite(value))) {
+      errors.push(`${choicePath} value must be a number`);
+    }
+    return { name: choice && choice.name, value };
+  });
+}
+
+// Check a level of options and convert it to Discord's format
+function normalizeOptions(options, path, depth, errors) {
+  if (!Array.isArray(options)) {
+    errors.push(`${path} options must be an array`);
+    return [];
+  }
+  if (options.length > LIMITS.options) {
+    errors.push(`${path} can have at most ${LIMITS.options} options`);
+  }
+
+  const names = new Set();
+  let optionalSeen = false;
+  const types = options.map(option => resolveOptionType(option && option.type));
+  const hasSubcommands = types.some(type => type === SUBCOMMAND || type === SUBCOMMAND_GROUP);
+  if (hasSubcommands && types.some(type => type !== SUBCOMMAND && type !== SUBCOMMAND_GROUP)) {
+    errors.push(`${path} cannot mix subcommands with other options`);
+  }
+
+  return options.map((option, index) => {
+    const type = types[index];
+    const optionPath = `${path} > ${option && option.name ? option.name : `option ${index + 1}`}`;
+    if (!option || typeof option !== 'object') {
+      errors.push(`${optionPath} must be an object`);
+      return null;
+    }
+    if (type === null) {
+      errors.push(`${optionPath} has an unknown type "${option.type}"`);
+      return null;
+    }
+
+    checkName(option.name, optionPath, errors);
+    checkDescription(option.description, optionPath, errors);
+    if (names.has(option.name)) {
+      errors.push(`${optionPath} is defined more than once`);
+    }
+    names.add(option.name);
+
+    const result = { type, name: option.name, description: option.description };
+
+    // Subcommand groups hold subcommands, subcommands hold plain options
+    if (type === SUBCOMMAND_GROUP || type === SUBCOMMAND) {
+      if (type === SUBCOMMAND_GROUP && depth > 0) {
+        errors.push(`${optionPath} subcommand groups can only be used at the top level`);
+      }
+      if (type === SUBCOMMAND && depth > 1) {
+        errors.push(`${optionPath} subcommands can only be nested in a subcommand group`);
+      }
+
+      const children = option.options || [];
+      const childTypes = children.map(child => resolveOptionType(child && child.type));
+      if (type === SUBCOMMAND_GROUP && childTypes.some(childType => childType !== SUBCOMMAND)) {
+        errors.push(`${optionPath} subcommand groups can only contain subcommands`);
+      }
+      if (type === SUBCOMMAND && childTypes.some(childType => childType === SUBCOMMAND || childType === SUBCOMMAND_GROUP)) {
+        errors.push(`${optionPath} subcommands cannot contain subcommands`);
+      }
+      result.options = normalizeOptions(children, optionPath, depth + 1, errors);
+      return result;
+    }
+
+    if (option.options !== undefined) {
+      errors.push(`${optionPath} only subcommands and groups can have options`);
+    }
+
+    // Required options must come before optional ones
+    if (option.required) {
+      if (optionalSeen) {
+        errors.push(`${optionPath} required options must come before optional ones`);
+      }
+      result.required = true;
+    } else {
+      optionalSeen = true;
+    }
+
+    if (option.choices !== undefined) {
+      result.choices = checkChoices(option, type, optionPath, errors);
+    }
+
+    if (option.autocomplete) {
+      if (!CHOICE_TYPES.includes(type)) {
+        errors.push(`${optionPath} autocomplete is only allowed on string, integer and number options`);
+      } else if (option.choices !== undefined) {
+        errors.push(`${optionPath} cannot use both choices and autocomplete`);
+      }
+      result.autocomplete = true;
+    }
+
+    const minValue = pick(option, 'minValue', 'min_value');
+    const maxValue = pick(option, 'maxValue', 'max_value');
+    if (minValue !== undefined || maxValue !== undefined) {
+      if (type !== OPTION_TYPES.integer && type !== OPTION_TYPES.number) {
+        errors.push(`${optionPath} minValue and maxValue are only allowed on integer and number options`);
+      } else if ([minValue, maxValue].some(value => value !== undefined && typeof value !== 'number')
+        || (minValue !== undefined && maxValue !== undefined && minValue > maxValue)) {
+        errors.push(`${optionPath} minValue and maxValue must be numbers with minValue <= maxValue`);
+      }
+      if (minValue !== undefined) result.min_value = minValue;
+      if (maxValue !== undefined) result.max_value = maxValue;
+    }
+
+    const minLength = pick(option, 'minLength', 'min_length');
+    const maxLength = pick(option, 'maxLength', 'max_length');
+    if (minLength !== undefined || maxLength !== undefined) {
+      if (type !== OPTION_TYPES.string) {
+        errors.push(`${optionPath} minLength and maxLength are only allowed on string options`);
+      } else if ((minLength !== undefined && (!Number.isInteger(minLength) || minLength < 0 || minLength > LIMITS.stringLength))
+        || (maxLength !== undefined && (!Number.isInteger(maxLength) || maxLength < 1 || maxLength > LIMITS.stringLength))
+        || (minLength !== undefined && maxLength !== undefined && minLength > maxLength)) {
+        errors.push(`${optionPath} minLength must be 0-${LIMITS.stringLength} and maxLength 1-${LIMITS.stringLength}, with minLength <= maxLength`);
+      }
+      if (minLength !== undefined) result.min_length = minLength;
+      if (maxLength !== undefined) result.max_length = maxLength;
+    }
+
+    const channelTypes = pick(option, 'channelTypes', 'channel_types');
+    if (channelTypes !== undefined) {
+      if (type !== OPTION_TYPES.channel) {
+        errors.push(`${optionPath} channelTypes is only allowed on channel options`);
+      } else if (!Array.isArray(channelTypes) || channelTypes.some(channelType => !Number.isInteger(channelType))) {
+        errors.push(`${optionPath} channelTypes must be an array of channel type numbers`);
+      }
+      result.channel_types = channelTypes;
+    }
+
+    return result;
+  });
+}
+
+// Count the characters Discord includes in its per-command size limit
+function countCharacters(name, description, options = []) {
+  let total = name.length + description.length;
+  for (const option of options) {
+    if (!option) continue;
+    total += countCharacters(option.name || '', option.description || '', option.options);
+    for (const choice of option.choices || []) {
+      total += String(choice.name || '').length + String(choice.value).length;
+    }
+  }
+  return total;
+}
+
+// Check a context menu command and convert it to the form stored by the API.
+// Context menu names are shown as-is, so they may use capitals and spaces.
+function normalizeContextMenu(name, type, handler, extra = {}) {
+  const errors = [];
+  const resolved = resolveContextMenuType(type);
+  if (typeof name !== 'string' || name.trim().length < 1 || name.length > LIMITS.nameLength) {
+    errors.push(`name must be 1-${LIMITS.nameLength} characters`);
+  }
+  if (resolved === null) {
+    errors.push('type must be "user" or "message"');
+  }
+  if (typeof handler !== 'function') {
+    errors.push('needs a handler function');
+  }
+  const guilds = checkGuilds(extra.guilds, 'command', errors);
+  const autoDefer = checkAutoDefer(extra.autoDefer, 'command', errors);
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid context menu command ${name}: ${errors.join('; ')}`);
+  }
+
+  return {
+    name,
+    type: resolved,
+    handler,
+    defaultMemberPermissions: extra.defaultMemberPermissions,
+    guilds,
+    autoDefer
+  };
+}
+
+// Check whether any option of a command uses autocomplete
+function usesAutocomplete(options = []) {
+  return options.some(option => option && (option.autocomplete || usesAutocomplete(option.options)));
+}
+
+// Check a command and convert it to the form stored by the API. Throws an
+// error listing every problem found. Options stay undefined when none are given.
+function normalizeCommand(name, description, handler, extra = {}) {
+  const errors = [];
+  const path = `/${name}`;
+  checkName(name, path, errors);
+  checkDescription(description, path, errors);
+  if (typeof handler !== 'function') {
+    errors.push(`${path} needs a handler function`);
+  }
+
+  const options = extra.options !== undefined
+    ? normalizeOptions(extra.options, path, 0, errors)
+    : undefined;
+  const guilds = checkGuilds(extra.guilds, path, errors);
+  const autoDefer = checkAutoDefer(extra.autoDefer, path, errors);
+
+  if (errors.length === 0 && countCharacters(name, description, options) > LIMITS.totalLength) {
+    errors.push(`${path} names, descriptions and choices exceed ${LIMITS.totalLength} characters`);
+  }
+  if (options && usesAutocomplete(options) && typeof extra.autocomplete !== 'function') {
+    errors.push(`${path} has autocomplete options but no autocomplete handler`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid command ${path}: ${errors.join('; ')}`);
+  }
+
+  return {
+    description,
+    handler,
+    options,
+    defaultMemberPermissions: extra.defaultMemberPermissions,
+    autocomplete: extra.autocomplete,
+    guilds,
+    autoDefer
+  };
+}
+
+// Copy options without their handlers, collecting subcommand handlers and
+// option autocomplete handlers by "group subcommand option" path
+function stripHandlers(options, prefix, handlers, autocompleters) {
+  return options.map((option) => {
+    if (!option || typeof option !== 'object') {
+      return option;
+    }
+
+    const { handler, ...rest } = option;
+    const path = prefix ? `${prefix} ${option.name}` : option.name;
+    if (typeof handler === 'function') {
+      handlers.set(path, handler);
+    }
+    if (typeof option.autocomplete === 'function') {
+      autocompleters.set(path, option.autocomplete);
+      rest.autocomplete = true;
+    }
+    if (Array.isArray(option.options)) {
+      rest.options = stripHandlers(option.options, path, handlers, autocompleters);
+    }
+    return rest;
+  });
+}
+
+// Combine option autocomplete handlers into one that picks the handler of
+// the focused option. Handlers are called with (interaction, focused).
+function createAutocompleteDispatcher(name, autocompleters, fallback) {
+  return (interaction) => {
+    const focused = interaction.options.getFocused(true);
+    const group = interaction.options.getSubcommandGroup(false);
+    const subcommand = interaction.options.getSubcommand(false);
+    const path = [group, subcommand, focused.name].filter(Boolean).join(' ');
+    const autocomplete = autocompleters.get(path) || fallback;
+    if (typeof autocomplete !== 'function') {
+      throw new Error(`No autocomplete handler for /${name} ${path}`);
+    }
+    return autocomplete(interaction, focused);
+  };
+}
+
+// Turn registerCommand's arguments, or a single definition object
+// ({ name, description, options, handler, ... }), into (name, description,
+// handler, extra) with plain option data. Subcommands may carry their own
+// handler and options their own autocomplete handler; they are combined into
+// one handler, and one extra.autocomplete, that pick the right one.
+function splitCommandDefinition(definition, description, handler, extra) {
+  if (!definition || typeof definition !== 'object') {
+    return extra === undefined
+      ? { name: definition, description, handler, extra }
+      : splitCommandDefinition({ ...extra, name: definition, description, handler });
+  }
+
+  const { name, options, ...rest } = definition;
+  const handlers = new Map();
+  const autocompleters = new Map();
+  const result = { ...rest };
+  delete result.description;
+  delete result.handler;
+  if (options !== undefined) {
+    result.options = Array.isArray(options) ? stripHandlers(options, '', handlers, autocompleters) : options;
+  }
+  if (autocompleters.size > 0) {
+    result.autocomplete = createAutocompleteDispatcher(name, autocompleters, definition.autocomplete);
+  }
+
+  if (handlers.size === 0) {
+    return { name, description: definition.description, handler: definition.handler, extra: result };
+  }
+
+  const fallback = definition.handler;
+  const dispatch = (interaction, ...args) => {
+    const group = interaction.options.getSubcommandGroup(false);
+    const subcommand = interaction.options.getSubcommand(false);
+    const path = [group, subcommand].filter(Boolean).join(' ');
+    const subcommandHandler = handlers.get(path) || fallback;
+    if (typeof subcommandHandler !== 'function') {
+      throw new Error(`No handler for /${name} ${path}`);
+    }
+    return subcommandHandler(interaction, ...args);
+  };
+  return { name, description: definition.description, handler: dispatch, extra: result };
+}
+
+// Turn an autocomplete handler's result into at most 25 valid choices.
+// Plain strings and numbers are used as both name and value.
+function normalizeAutocompleteChoices(result) {
+  if (!Array.isArray(result)) {
+    return [];
+  }
+
+  return result
+    .map(choice => (choice !== null && typeof choice === 'object' ? choice : { name: String(choice), value: choice }))
+    .filter(choice => choice.name !== undefined && (typeof choice.value === 'string' || typeof choice.value === 'number'))
+    .slice(0, LIMITS.choices)
+    .map(choice => ({
+      name: String(choice.name).slice(0, LIMITS.choiceNameLength),
+      value: typeof choice.value === 'string' ? choice.value.slice(0, LIMITS.choiceValueLength) : choice.value
+    }));
+}
+
+// Reduce an option to the fields the core uploads, with Discord's defaults
+// filled in, so options sent and options fetched back compare equal
+function canonicalOption(option) {
+  return {
+    type: option.type,
+    name: option.name,
+    description: option.description || '',
+    required: option.required === true,
+    choices: (option.choices || []).map(choice => ({ name: choice.name, value: choice.value })),
+    min_value: option.min_value,
+    max_value: option.max_value,
+    min_length: option.min_length,
+    max_length: option.max_length,
+    channel_types: option.channel_types ? [...option.channel_types].sort() : undefined,
+    autocomplete: option.autocomplete === true,
+    options: (option.options || []).map(canonicalOption)
+  };
+}
+
+// Reduce a command in Discord's format to the fields the core uploads
+function canonicalCommand(command) {
+  return {
+    type: command.type || COMMAND_TYPES.chatInput,
+    name: command.name,
+    description: command.description || '',
+    options: (command.options || []).map(canonicalOption),
+    default_member_permissions: command.default_member_permissions || null,
+    contexts: command.contexts && command.contexts.length > 0 ? [...command.contexts].sort() : null
+  };
+}
+
+// Check whether the commands Discord has for a scope match the ones the core
+// would upload, ignoring order and fields Discord adds (ids, versions, ...)
+function commandsMatch(existing, desired) {
+  const signature = commands => commands
+    .map(command => JSON.stringify(canonicalCommand(command)))
+    .sort();
+  return existing.length === desired.length &&
+    JSON.stringify(signature(existing)) === JSON.stringify(signature(desired));
+}
+
+module.exports = {
+  COMMAND_TYPES,
+  OPTION_TYPES,
+  LIMITS,
+  resolveOptionType,
+  normalizeCommand,
+  normalizeContextMenu,
+  contextMenuKey,
+  namespaceCommandName,
+  splitCommandDefinition,
+  normalizeAutocompleteChoices,
+  commandsMatch
+};
@@ -0,0 +1,54 @@
+// core/discord/components.js
+// Custom IDs of buttons, select menus and modals. Handlers are registered for
+// a custom ID prefix; plugins' prefixes are namespaced with the plugin name
+// ("plugin:prefix"), and anything after the prefix ("plugin:prefix:data") is
+// passed to the handler.
+
+const SEPARATOR = ':';
+const CUSTOM_ID_LENGTH = 100; // Discord's limit for custom IDs
+
+// Check a custom ID prefix given to registerComponent/registerModal
+function checkPrefix(customIdPrefix) {
+  if (typeof customIdPrefix !== 'string' || customIdPrefix.length === 0) {
+    throw new Error('Custom ID prefix must be a non-empty string');
+  }
+  if (customIdPrefix.includes(SEPARATOR)) {
+    throw new Error(`Custom ID prefix "${customIdPrefix}" cannot contain "${SEPARATOR}"`);
+  }
+}
+
+// Namespace a plugin's custom ID prefix with the plugin name
+function namespaceCustomId(pluginName, customIdPrefix) {
+  checkPrefix(customIdPrefix);
+  return `${pluginName}${SEPARATOR}${customIdPrefix}`;
+}
+
+// Build the full custom ID for a plugin's component, with optional data
+// that is handed back to the handler
+function buildCustomId(pluginName, customIdPrefix, ...data) {
+  const customId = [namespaceCustomId(pluginName, customIdPrefix), ...data.map(String)].join(SEPARATOR);
+  if (customId.length > CUSTOM_ID_LENGTH) {
+    throw new Error(`Custom ID "${customId}" is longer than ${CUSTOM_ID_LENGTH} characters`);
+  }
+  return customId;
+}
+
+// Find the handler for a custom ID in a map of handlers by prefix. The
+// longest matching prefix wins. Returns { prefix, handler, data } or null.
+function matchCustomId(handlers, customId) {
+  let match = null;
+  for (const [prefix, handler] of handlers) {
+    const matches = customId === prefix || customId.startsWith(prefix + SEPARATOR);
+    if (matches && (!match || prefix.length > match.prefix.length)) {
+      match = { prefix, handler, data: customId.slice(prefix.length + 1) };
+    }
+  }
+  return match;
+}
+
+module.exports = {
+  CUSTOM_ID_LENGTH,
+  namespaceCustomId,
+  buildCustomId,
+  matchCustomId
+};
@@ -0,0 +1,146 @@
+// core/discord/connection.js
+// History of the gateway connection: shards becoming ready, dropping,
+// reconnecting and resuming, invalid sessions and rate limits. Kept in memory
+// for /api/bot/status and /api/bot/connection-history. Also tracks whether
+// the bot as a whole is connected, so the core can tell plugins when that
+// changes.
+
+const { GatewayCloseCodes } = require('discord.js');
+
+// Entries kept; older ones are dropped
+const HISTORY_LIMIT = 200;
+
+// Entries included in the status summary
+const RECENT_ENTRIES = 10;
+
+// Types of history entries
+const ENTRY_TYPES = [
+  'ready', // The client finished logging in
+  'shardReady', // A shard identified with a new session
+  'resume', // A shard resumed its session after reconnecting
+  'reconnecting', // A shard's connection closed and it is reconnecting
+  'disconnect', // A shard closed with a code it cannot recover from
+  'invalidSession', // Discord rejected a shard's session
+  'invalidated', // The client's session was invalidated and it stopped
+  'rateLimit', // Discord rate-limited a REST request or gateway messages
+  'error', // A shard's connection failed
+  'destroyed' // The core closed the connection
+];
+
+// The debug messages of @discordjs/ws are the only place invalid sessions
+// and gateway rate limits are reported, as "[WS => Shard 0] <message>"
+const DEBUG_PATTERN = /^\[WS => Shard (\d+)\] ([\s\S]*)$/;
+const DEBUG_EVENTS = [
+  { pattern: /^Invalid session; will attempt to resume: (true|false)/, type: 'invalidSession', details: ([, resumable]) => ({ resumable: resumable === 'true' }) },
+  { pattern: /^The WebSocket rate limit has been hit/, type: 'rateLimit', details: () => ({ source: 'gateway' }) },
+  { pattern: /^Was about to hit the send rate limit, sleeping for (\d+(?:\.\d+)?)ms/, type: 'rateLimit', details: ([, wait]) => ({ source: 'gateway', retryAfter: Math.round(Number(wait)) }) }
+];
+
+// Name of a gateway close code, such as DisallowedIntents for 4014
+function describeCloseCode(code) {
+  return GatewayCloseCodes[code] || (code === 1000 ? 'Normal' : `Unknown (${code})`);
+}
+
+// Turn a client debug message into a history entry ({ type, shardId, ... }),
+// or null if it is not one we keep
+function parseDebugMessage(message) {
+  const match = DEBUG_PATTERN.exec(message);
+  if (!match) {
+    return null;
+  }
+
+  for (const { pattern, type, details } of DEBUG_EVENTS) {
+    const event = pattern.exec(match[2]);
+    if (event) {
+      return { type, shardId: Number(match[1]), ...details(event) };
+    }
+  }
+  return null;
+}
+
+class ConnectionHistory {
+  constructor(limit = HISTORY_LIMIT) {
+    this.limit = limit;
+    this.entries = [];
+    this.counts = Object.fromEntries(ENTRY_TYPES.map(type => [type, 0]));
+    this.connected = false;
+    this.downShards = new Set(); // Shards that dropped and have not come back
+    this.lastReadyAt = null;
+    this.lastDisconnectAt = null;
+  }
+
+  // Add an entry ({ type, at, ...details }) and return it
+  record(type, details = {}) {
+    const entry = { type, at: new Date().toISOString(), ...details };
+    this.entries.push(entry);
+    if (this.entries.length > this.limit) {
+      this.entries.splice(0, this.entries.length - this.limit);
+    }
+    this.counts[type] = (this.counts[type] || 0) + 1;
+    return entry;
+  }
+
+  // Note that a shard (or, with null, the whole client) lost its connection.
+  // Returns true if the bot was connected until now.
+  markDown(shardId) {
+    if (shardId !== null && shardId !== undefined) {
+      this.downShards.add(shardId);
+    }
+    if (!this.connected) {
+      return false;
+    }
+    this.connected = false;
+    this.lastDisconnectAt = new Date().toISOString();
+    return true;
+  }
+
+  // Note that a shard (or, with null, the whole client) is connected again.
+  // Returns true if that made the bot connected: the client is ready and no
+  // shard is still down.
+  markUp(shardId, clientReady) {
+    if (shardId === null || shardId === undefined) {
+      this.downShards.clear();
+    } else {
+      this.downShards.delete(shardId);
+    }
+    if (this.connected || !clientReady || this.downShards.size > 0) {
+      return false;
+    }
+    this.connected = true;
+    this.lastReadyAt = new Date().toISOString();
+    return true;
+  }
+
+  // Milliseconds since the bot lost its connection, or null if it never did
+  getDowntime() {
+    return this.lastDisconnectAt ? Date.now() - Date.parse(this.lastDisconnectAt) : null;
+  }
+
+  // Entries newest first, optionally of one type or shard
+  getHistory({ limit, type, shardId } = {}) {
+    const entries = this.entries
+      .filter(entry => (!type || entry.type === type) && (shardId === undefined || entry.shardId === shardId))
+      .reverse();
+    return limit ? entries.slice(0, limit) : entries;
+  }
+
+  // Connection state, counts of each entry type and the latest entries
+  getSummary() {
+    return {
+      connected: this.connected,
+      downShards: Array.from(this.downShards).sort((a, b) => a - b),
+      lastReadyAt: this.lastReadyAt,
+      lastDisconnectAt: this.lastDisconnectAt,
+      counts: { ...this.counts },
+      recent: this.getHistory({ limit: RECENT_ENTRIES })
+    };
+  }
+}
+
+module.exports = {
+  HISTORY_LIMIT,
+  ENTRY_TYPES,
+  describeCloseCode,
+  parseDebugMessage,
+  ConnectionHistory
+};
@@ -1,67 +1,125 @@
 // core/discord/index.js
-const { Client, GatewayIntentBits, Collection, REST, Routes, Events } = require('discord.js');
+const { Client, Collection, REST, Routes, Events, RESTEvents } = require('discord.js');
+const fs = require('fs').promises;
+const path = require('path');
+const {
+  LIMITS,
+  contextMenuKey,
+  namespaceCommandName,
+  normalizeAutocompleteChoices,
+  commandsMatch
+} = require('./commands');
+const {
+  CooldownTracker,
+  getCommandContexts,
+  getDefaultMemberPermissions,
+  checkRestrictions,
+  getInteractionContext,
+  getMessageContext
+} = require('./restrictions');
+const { resolveGatewayRequirements, toClientOptions } = require('./intents');
+const { respondWithError, runWithAutoDefer, CommandMetrics } = require('./interactions');
+const { parseMessage, parseArguments, formatUsage } = require('./text-commands');
+const GuildPrefixes = require('./prefixes');
+const PresenceManager = require('./presence');
+const { getShardingOptions, describeShards } = require('./shards');
+const { ConnectionHistory, describeCloseCode, parseDebugMessage } = require('./connection');
+const { RegistrationConflictError, CORE_OWNER } = require('../api');
+const { writeJsonAtomic } = require('../utils/atomic-write');
 require('dotenv').config();
 
+// Scope of commands uploaded globally; other scopes are guild IDs
+const GLOBAL_SCOPE = 'global';
+
+// discord.js client events plugins can subscribe to with registerEvent
+const CLIENT_EVENTS = new Set(Object.values(Events));
+
+// Core events dispatched to plugins when the bot connects to Discord and when
+// it loses its connection
+const READY_EVENT = 'core:discordReady';
+const DISCONNECTED_EVENT = 'core:discordDisconnected';
+
+// Command changes are batched: a sync starts once no command has been
+// registered or removed for this long
+const COMMAND_SYNC_DELAY = 1000;
+
+// Time allowed for an autocomplete handler, leaving room to send the response
+// within Discord's limit
+const AUTOCOMPLETE_TIMEOUT = LIMITS.autocompleteMs - 500;
+
 class DiscordManager {
   constructor(core) {
     this.core = core;
     this.client = null;
     this.rest = null;
     this.registeredCommands = new Map(); // Track commands registered by plugins
+    this.registeredContextMenus = new Map(); // Track context menu commands registered by plugins
+    this.cooldowns = new CooldownTracker(); // Command cooldowns by user, guild or globally
+    this.metrics = new CommandMetrics(); // Latency, errors and timeouts of each command
+    this.prefixes = new GuildPrefixes(); // Text command prefix of each guild
+    this.presence = new PresenceManager(core); // Status and activities
+    this.connection = new ConnectionHistory(); // Gateway connection events, kept across reconnects
+    this.eventListeners = new Map(); // Client listeners forwarding events to plugin handlers
+    this.gateway = null; // Intents and partials the client was created with
+    this.scopesFile = path.join(__dirname, '..', '..', 'config', 'command-scopes.json');
+    this.uploadedScopes = null; // Command names uploaded to each scope, loaded on first sync
+    this.syncTimer = null; // Pending debounced sync
+    this.syncing = null; // Sync in progress
+    this.queuedSync = null; // Sync to run after the one in progress
+    this.syncStatus = {
+      state: 'idle', // idle, pending, syncing, synced or error
+      lastSyncAt: null,
+      lastError: null,
+      lastErrorAt: null,
+      uploaded: [], // Scopes uploaded by the last sync
+      unchanged: [] // Scopes skipped by the last sync because Discord already had the commands
+    };
   }
 
   async init() {
     try {
-      // Initialize Discord client
-      this.client = new Client({
-        intents: [
-          GatewayIntentBits.Guilds,
-          GatewayIntentBits.GuildMessages,
-          GatewayIntentBits.MessageContent
-        ]
-      });
+      // Initialize Discord client with the intents and partials the core
+      // and the enabled plugins need, sharded if DISCORD_SHARDS is set
+      const requirements = this.getGatewayRequirements();
+      this.reportGatewayRequirements(requirements);
+      this.gateway = { intents: requirements.intents, partials: requirements.partials };
+      this.client = new Client({ ...toClientOptions(requirements), ...getShardingOptions() });
+      this.eventListeners = new Map();
 
       // Initialize REST client for command registration
       this.rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
+      this.rest.on(RESTEvents.RateLimited, info => this.recordRateLimit(info));
 
       // Register event handlers
+      this.attachConnectionListeners(this.client);
       this.client.once('ready', () => {
         console.log(`Logged in as ${this.client.user.tag}`);
+        this.connection.record('ready', { shardCount: this.client.ws.shards.size });
+        this.markConnected(null);
+        this.presence.start().catch((error) => {
+          console.error('Failed to set presence:', error);
+        });
       });
 
       // Handle command interactions
-      this.client.on(Events.InteractionCreate, async (interaction) => {
-        if (!interaction.isChatInputCommand()) return;
-
-        const command = this.core.api.commands.get(interaction.commandName);
-        if (!command) return;
-
-        try {
-          await command.handler(interaction);
-        } catch (error) {
-          console.error(`Error executing command ${interaction.commandName}:`, error);
-          await interaction.reply({ 
-            content: 'There was an error executing this command!', 
-            ephemeral: true 
-          });
-        }
+      this.client.on(Events.InteractionCreate, (interaction) => {
+        this.handleInteraction(interaction).catch((error) => {
+          console.error(`Error handling interaction ${interaction.id}:`, error);
+        });
       });
 
-      // Handle message events
+      // Handle text commands
       this.client.on(Events.MessageCreate, (message) => {
-        // Trigger plugin event handlers
-        const handlers = this.core.api.events.get('messageCreate');
-        if (handlers) {
-          handlers.forEach(handler => {
-            try {
-              handler(message);
-            } catch (error) {
-              console.error('Error in messageCreate event handler:', error);
-            }
-          });
-        }
+        this.handleMessage(message).catch((error) => {
+          console.error(`Error handling message ${message.id}:`, error);
+        });
       });
 
+      // Forward the events plugins subscribed to before the client existed
+      for (const event of this.core.api.events.keys()) {
+        this.attachEventListener(event);
+      }
+
       // Login to Discord
       const token = process.env.DISCORD_TOKEN;
       if (!token) {
@@ -76,40 +134,561 @@ class DiscordManager {
     }
   }
 
-  async registerCommands() {
+  // Intents and partials needed by the core and the enabled plugins
+  getGatewayRequirements() {
+    const plugins = this.core.plugins
+      ? Array.from(this.core.plugins.plugins.entries())
+        .filter(([, plugin]) => plugin.enabled)
+        .map(([name, plugin]) => ({ name, manifest: plugin.manifest }))
+      : [];
+    return resolveGatewayRequirements(plugins);
+  }
+
+  // Log the intents being requested and warn about privileged or unknown ones
+  reportGatewayRequirements(requirements) {
+    console.log(`Gateway intents: ${requirements.intents.join(', ')}`);
+    if (requirements.partials.length > 0) {
+      console.log(`Gateway partials: ${requirements.partials.join(', ')}`);
+    }
+    for (const { intent, plugins } of requirements.privileged) {
+      console.warn(`Privileged intent ${intent} is requested by ${plugins.join(', ')}. ` +
+        'It must be enabled for the bot in the Discord Developer Portal, or the connection will be refused.');
+    }
+    for (const { plugin, type, name, reason } of requirements.invalid) {
+      console.warn(reason
+        ? `Plugin ${plugin} has invalid gateway ${type}s: ${reason}; they are ignored`
+        : `Plugin ${plugin} requests unknown gateway ${type} ${name}; it is ignored`);
+    }
+  }
+
+  // Compare the intents and partials the client has with the ones the
+  // enabled plugins need. A plugin enabled after startup may need a
+  // reconnect to receive its events.
+  getGatewayStatus() {
+    const requirements = this.getGatewayRequirements();
+    const active = this.gateway || { intents: [], partials: [] };
+    const missingIntents = requirements.intents.filter(intent => !active.intents.includes(intent));
+    const missingPartials = requirements.partials.filter(partial => !active.partials.includes(partial));
+    const waitingPlugins = new Set([
+      ...missingIntents.flatMap(intent => requirements.requestedBy.intents[intent]),
+      ...missingPartials.flatMap(partial => requirements.requestedBy.partials[partial])
+    ]);
+
+    return {
+      intents: active.intents,
+      partials: active.partials,
+      privileged: requirements.privileged,
+      invalid: requirements.invalid,
+      reconnectRequired: missingIntents.length > 0 || missingPartials.length > 0,
+      missingIntents,
+      missingPartials,
+      waitingPlugins: Array.from(waitingPlugins)
+    };
+  }
+
+  // Reconnect with the intents and partials the enabled plugins need now
+  async reconnect() {
+    console.log('Reconnecting to Discord to update gateway intents and partials');
+    if (this.client) {
+      this.connection.record('destroyed', { reason: 'Reconnecting to update gateway intents' });
+      await this.markDisconnected(null, { reason: 'Reconnecting to update gateway intents', willReconnect: true });
+      await this.client.destroy();
+    }
+    this.client = null;
+    await this.init();
+  }
+
+  // Record the lifecycle of the gateway connection in this.connection, and
+  // tell plugins when the bot connects or loses its connection
+  attachConnectionListeners(client) {
+    client.on(Events.ShardReady, (shardId, unavailableGuilds) => {
+      this.connection.record('shardReady', { shardId, unavailableGuilds: unavailableGuilds ? unavailableGuilds.size : 0 });
+      this.markConnected(shardId);
+    });
+    client.on(Events.ShardResume, (shardId, replayedEvents) => {
+      this.connection.record('resume', { shardId, replayedEvents });
+      this.markConnected(shardId);
+    });
+    client.on(Events.ShardReconnecting, (shardId) => {
+      this.connection.record('reconnecting', { shardId });
+      this.markDisconnected(shardId, { willReconnect: true });
+    });
+    client.on(Events.ShardDisconnect, (event, shardId) => {
+      const reason = describeCloseCode(event.code);
+      this.connection.record('disconnect', { shardId, code: event.code, reason });
+      console.warn(`Shard ${shardId} disconnected with code ${event.code} (${reason}) and will not reconnect`);
+      this.markDisconnected(shardId, { code: event.code, reason, willReconnect: false });
+    });
+    client.on(Events.ShardError, (error, shardId) => {
+      this.connection.record('error', { shardId, message: error.message });
+      console.error(`Gateway error on shard ${shardId}:`, error);
+    });
+    client.on(Events.Invalidated, () => {
+      this.connection.record('invalidated');
+      console.error('The Discord session was invalidated; the bot is no longer connected');
+      this.markDisconnected(null, { reason: 'Session invalidated', willReconnect: false });
+    });
+    client.on(Events.Debug, (message) => {
+      const entry = parseDebugMessage(message);
+      if (entry) {
+        const { type, ...details } = entry;
+        this.connection.record(type, details);
+      }
+    });
+    client.rest.on(RESTEvents.RateLimited, info => this.recordRateLimit(info));
+  }
+
+  recordRateLimit(info) {
+    this.connection.record('rateLimit', {
+      source: 'rest',
+      method: info.method,
+      route: info.route,
+      global: info.global,
+      retryAfter: info.retryAfter
+    });
+  }
+
+  // A shard (or, with null, the client) is connected. Once every shard is,
+  // plugins get core:discordReady with how long the bot was disconnected.
+  markConnected(shardId) {
+    const downtimeMs = this.connection.getDowntime();
+    if (!this.connection.markUp(shardId, Boolean(this.client && this.client.isReady()))) {
+      return undefined;
+    }
+
+    console.log(downtimeMs === null ? 'Connected to Discord' : `Reconnected to Discord after ${Math.round(downtimeMs / 1000)}s`);
+    return this.dispatchEvent(READY_EVENT, {
+      username: this.client.user ? this.client.user.tag : null,
+      guildCount: this.client.guilds.cache.size,
+      shardCount: this.client.ws.shards.size,
+      downtimeMs
+    });
+  }
+
+  // A shard (or, with null, the client) lost its connection. The first
+  // one to drop sends plugins core:discordDisconnected.
+  markDisconnected(shardId, details) {
+    if (!this.connection.markDown(shardId)) {
+      return undefined;
+    }
+
+    console.warn(`Lost connection to Discord${shardId === null ? '' : ` on shard ${shardId}`}`);
+    return this.dispatchEvent(DISCONNECTED_EVENT, { shardId, ...details });
+  }
+
+  // Start forwarding a client event to the handlers in api.events. Called when
+  // the first handler for the event is registered.
+  attachEventListener(event) {
+    if (!this.client || !CLIENT_EVENTS.has(event) || this.eventListeners.has(event)) {
+      return;
+    }
+
+    const listener = (...args) => this.dispatchEvent(event, ...args);
+    this.eventListeners.set(event, listener);
+    this.client.on(event, listener);
+  }
+
+  // Stop forwarding a client event once its last handler is removed
+  detachEventListener(event) {
+    const listener = this.eventListeners.get(event);
+    if (listener) {
+      this.client.off(event, listener);
+      this.eventListeners.delete(event);
+    }
+  }
+
+  // Run every handler of an event and wait for all of them. A handler that
+  // throws is logged with the plugin it belongs to and does not affect the others.
+  async dispatchEvent(event, ...args) {
+    const handlers = Array.from(this.core.api.events.get(event) || []);
+    const results = await Promise.allSettled(handlers.map(handler => Promise.resolve().then(() => handler(...args))));
+
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        const owner = this.core.api.getEventHandlerOwner(event, handlers[index]);
+        console.error(`Error in ${event} event handler of ${owner === CORE_OWNER ? 'the core' : `plugin ${owner}`}:`, result.reason);
+      }
+    });
+  }
+
+  // Run the command, autocomplete or component handler an interaction is for
+  async handleInteraction(interaction) {
+    if (interaction.isAutocomplete()) {
+      await this.handleAutocomplete(interaction);
+      return;
+    }
+    if (interaction.isMessageComponent() || interaction.isModalSubmit()) {
+      await this.handleComponent(interaction);
+      return;
+    }
+    let key;
+    let command;
+    if (interaction.isChatInputCommand()) {
+      key = interaction.commandName;
+      command = this.core.api.commands.get(key);
+    } else if (interaction.isUserContextMenuCommand() || interaction.isMessageContextMenuCommand()) {
+      key = contextMenuKey(interaction.commandType, interaction.commandName);
+      command = this.core.api.contextMenus.get(key);
+    }
+    if (!command) return;
+
+    // Cooldowns, permissions, roles and DM/guild-only flags
+    const blocked = checkRestrictions(command, key, getInteractionContext(interaction), this.cooldowns);
+    if (blocked) {
+      await respondWithError(interaction, blocked);
+      return;
+    }
+
+    await this.runCommand(interaction, key, command);
+  }
+
+  // Answer an autocomplete interaction with the suggestions of the command's
+  // handler. A handler that throws or is too slow gets an empty list, so
+  // the user is not left waiting on a spinner.
+  async handleAutocomplete(interaction) {
+    const command = this.core.api.commands.get(interaction.commandName);
+    let choices = [];
+
+    if (command && typeof command.autocomplete === 'function') {
+      let timer;
+      try {
+        const result = await Promise.race([
+          Promise.resolve().then(() => command.autocomplete(interaction)),
+          new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`timed out after ${AUTOCOMPLETE_TIMEOUT}ms`)), AUTOCOMPLETE_TIMEOUT);
+          })
+        ]);
+        choices = normalizeAutocompleteChoices(result);
+      } catch (error) {
+        console.error(`Error in autocomplete for command ${interaction.commandName}:`, error);
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+
+    // The handler may have responded itself
+    if (interaction.responded) {
+      return;
+    }
+    try {
+      await interaction.respond(choices);
+    } catch (error) {
+      console.error(`Failed to respond to autocomplete for command ${interaction.commandName}:`, error);
+    }
+  }
+
+  // Run a command's handler, deferring the reply if it is slow to respond,
+  // and record how long it took
+  async runCommand(interaction, key, command) {
+    const result = await runWithAutoDefer(interaction, command.handler, command.autoDefer);
+    this.metrics.record(key, result);
+
+    if (result.error) {
+      console.error(`Error executing command ${key}:`, result.error);
+      await respondWithError(interaction, 'There was an error executing this command!');
+    } else if (result.timedOut) {
+      console.warn(`Command ${key} did not respond within Discord's time limit`);
+    }
+  }
+
+  // Run the text command a message invokes, if any. Commands start with the
+  // guild's prefix or a mention of the bot.
+  async handleMessage(message) {
+    if (!message.author || message.author.bot || this.core.api.textCommands.size === 0) {
+      return;
+    }
+
+    const prefix = await this.prefixes.get(message.guildId);
+    const mentions = this.client && this.client.user ? [`<@${this.client.user.id}>`, `<@!${this.client.user.id}>`] : [];
+    const parsed = parseMessage(message.content || '', [prefix, ...mentions]);
+    const command = parsed && this.core.api.getTextCommand(parsed.name);
+    if (!command) {
+      return;
+    }
+
+    const parsedArgs = parseArguments(command, parsed.body);
+    const { args, error } = parsedArgs.error ? parsedArgs : await this.resolveTextArguments(message, command, parsedArgs.args);
+    if (error) {
+      await this.replyToMessage(message, `${error}\nUsage: \`${formatUsage(prefix, command)}\``);
+      return;
+    }
+
+    // Cooldowns, permissions, roles and DM/guild-only flags, as for slash commands
+    const key = `text:${command.name}`;
+    const blocked = checkRestrictions(command, key, getMessageContext(message), this.cooldowns);
+    if (blocked) {
+      await this.replyToMessage(message, blocked);
+      return;
+    }
+
+    const start = Date.now();
+    let failure = null;
+    try {
+      await command.handler(message, args, { prefix, name: command.name, alias: parsed.name, body: parsed.body });
+    } catch (handlerError) {
+      failure = handlerError;
+      console.error(`Error executing text command ${command.name}:`, handlerError);
+      await this.replyToMessage(message, 'There was an error executing this command!');
+    }
+    this.metrics.record(key, { durationMs: Date.now() - start, autoDeferred: false, timedOut: false, error: failure });
+  }
+
+  // Replace the IDs of user, channel and role arguments with the objects
+  // they refer to. Returns { args } or { error }.
+  async resolveTextArguments(message, command, args) {
+    const resolved = { ...args };
+    for (const arg of command.args) {
+      const id = args[arg.name];
+      if (id === undefined || !['user', 'channel', 'role'].includes(arg.type)) {
+        continue;
+      }
+
+      let value = null;
+      try {
+        if (arg.type === 'user') {
+          value = await this.client.users.fetch(id);
+        } else if (arg.type === 'channel') {
+          value = await this.client.channels.fetch(id);
+        } else if (message.guild) {
+          value = await message.guild.roles.fetch(id);
+        }
+      } catch (error) {
+        value = null;
+      }
+      if (!value) {
+        return { error: `Could not find the ${arg.type} given for \`${arg.name}\`.` };
+      }
+      resolved[arg.name] = value;
+    }
+    return { args: resolved };
+  }
+
+  // Reply to a command message without pinging its author
+  async replyToMessage(message, content) {
+    try {
+      await message.reply({ content, allowedMentions: { repliedUser: false } });
+    } catch (error) {
+      console.error(`Failed to reply to message ${message.id}:`, error);
+    }
+  }
+
+  // Dispatch a button, select menu or modal submission to the handler
+  // registered for its custom ID
+  async handleComponent(interaction) {
+    const type = interaction.isModalSubmit() ? 'modal' : 'component';
+    const match = this.core.api.matchComponent(interaction.customId, type);
+
+    try {
+      if (!match) {
+        // Usually a component of a plugin that has since been disabled
+        await interaction.reply({ content: 'This interaction is no longer available.', ephemeral: true });
+        return;
+      }
+      await match.handler(interaction, match.data);
+    } catch (error) {
+      console.error(`Error handling ${type} ${interaction.customId}:`, error);
+      const response = { content: 'There was an error handling this interaction!', ephemeral: true };
+      try {
+        if (interaction.replied || interaction.deferred) {
+          await interaction.followUp(response);
+        } else {
+          await interaction.reply(response);
+        }
+      } catch (replyError) {
+        console.error(`Failed to report error for ${type} ${interaction.customId}:`, replyError);
+      }
+    }
+  }
+
+  // Sync commands with Discord after a short delay, so the commands of a
+  // plugin being enabled or disabled are uploaded together
+  scheduleCommandSync() {
+    clearTimeout(this.syncTimer);
+    if (!this.syncing) {
+      this.syncStatus.state = 'pending';
+    }
+    this.syncTimer = setTimeout(() => {
+      this.syncTimer = null;
+      this.registerCommands();
+    }, COMMAND_SYNC_DELAY);
+    if (this.syncTimer.unref) {
+      this.syncTimer.unref();
+    }
+  }
+
+  // Sync commands with Discord now. A call during a sync runs one more sync
+  // after it, which picks up every change made in the meantime.
+  registerCommands() {
+    clearTimeout(this.syncTimer);
+    this.syncTimer = null;
+
+    if (this.syncing) {
+      if (!this.queuedSync) {
+        this.queuedSync = this.syncing.then(() => {
+          this.queuedSync = null;
+          return this.registerCommands();
+        });
+      }
+      return this.queuedSync;
+    }
+
+    this.syncing = this.syncCommands().finally(() => {
+      this.syncing = null;
+    });
+    return this.syncing;
+  }
+
+  // Upload the commands of every scope whose commands on Discord differ
+  async syncCommands() {
     try {
       // Wait for client to be ready
       if (!this.client || !this.client.application) {
         console.warn('Client not ready, cannot register commands');
+        this.syncStatus.state = 'idle';
         return;
       }
+      this.syncStatus.state = 'syncing';
 
-      // Convert our commands to Discord's format
-      const commands = [];
+      // Convert our commands to Discord's format, grouped by the scope they
+      // are uploaded to
+      const scopes = new Map();
+      const addCommand = (command, body) => {
+        for (const scope of this.getCommandScopes(command)) {
+          if (!scopes.has(scope)) {
+            scopes.set(scope, []);
+          }
+          scopes.get(scope).push(body);
+        }
+      };
       console.log(`Registering Discord commands. Current commands in API:`, Array.from(this.core.api.commands.keys()));
       for (const [name, command] of this.core.api.commands) {
-        commands.push({
+        addCommand(command, {
           name: name,
           description: command.description,
-          options: []
+          options: command.options || [],
+          default_member_permissions: getDefaultMemberPermissions(command),
+          contexts: getCommandContexts(command)
         });
       }
+      for (const command of this.core.api.contextMenus.values()) {
+        addCommand(command, {
+          name: command.name,
+          type: command.type,
+          default_member_permissions: getDefaultMemberPermissions(command),
+          contexts: getCommandContexts(command)
+        });
+      }
+
+      // Scopes that had commands last time but have none now are emptied,
+      // so a disabled plugin's guild commands are removed as well. With
+      // DEV_GUILD_ID set only the development guild is touched: the global
+      // and guild commands recorded there belong to the production bot.
+      const previous = await this.loadUploadedScopes();
+      const devGuild = process.env.DEV_GUILD_ID;
+      for (const scope of Object.keys(previous)) {
+        if (!scopes.has(scope) && (!devGuild || scope === devGuild)) {
+          scopes.set(scope, []);
+        }
+      }
 
-      // Register commands globally (this can take up to 1 hour to propagate)
-      // In production, you might want to register per guild for immediate availability
-      console.log(`Started refreshing ${commands.length} application (/) commands.`);
-      const data = await this.rest.put(
-        Routes.applicationCommands(this.client.application.id),
-        { body: commands },
-      );
-      console.log(`Successfully reloaded ${data.length} application (/) commands.`);
+      // Global commands can take up to an hour to reach every guild; guild
+      // commands (and DEV_GUILD_ID) update immediately
+      const uploaded = {};
+      const result = { uploaded: [], unchanged: [], error: null };
+      for (const [scope, commands] of scopes) {
+        const route = scope === GLOBAL_SCOPE
+          ? Routes.applicationCommands(this.client.application.id)
+          : Routes.applicationGuildCommands(this.client.application.id, scope);
+        try {
+          // Skip the upload if Discord already has these commands
+          const existing = await this.rest.get(route);
+          if (commandsMatch(existing, commands)) {
+            result.unchanged.push(scope);
+          } else {
+            console.log(`Started refreshing ${commands.length} application commands in scope ${scope}.`);
+            const data = await this.rest.put(route, { body: commands });
+            console.log(`Successfully reloaded ${data.length} application commands in scope ${scope}.`);
+            result.uploaded.push(scope);
+          }
+          if (commands.length > 0) {
+            uploaded[scope] = commands.map(command => command.name);
+          }
+        } catch (error) {
+          console.error(`Failed to register commands in scope ${scope}:`, error);
+          result.error = `${scope}: ${error.message}`;
+          // Keep the previous upload so the scope is retried on the next sync
+          if (previous[scope]) {
+            uploaded[scope] = previous[scope];
+          }
+        }
+      }
+      // Keep the record of scopes left alone, to clean up outside dev mode
+      for (const [scope, names] of Object.entries(previous)) {
+        if (!scopes.has(scope)) {
+          uploaded[scope] = names;
+        }
+      }
+      await this.saveUploadedScopes(uploaded);
+      this.recordSync(result);
     } catch (error) {
       console.error('Failed to register commands:', error);
+      this.recordSync({ uploaded: [], unchanged: [], error: error.message });
+    }
+  }
+
+  // Update the sync status reported on /api/bot/status
+  recordSync({ uploaded, unchanged, error }) {
+    const now = new Date().toISOString();
+    Object.assign(this.syncStatus, {
+      state: error ? 'error' : 'synced',
+      lastSyncAt: now,
+      uploaded,
+      unchanged
+    });
+    if (error) {
+      this.syncStatus.lastError = error;
+      this.syncStatus.lastErrorAt = now;
+    }
+  }
+
+  // Scopes a command is uploaded to: the development guild if DEV_GUILD_ID is
+  // set, otherwise the command's guilds, or global if it has none
+  getCommandScopes(command) {
+    if (process.env.DEV_GUILD_ID) {
+      return [process.env.DEV_GUILD_ID];
+    }
+    return command.guilds && command.guilds.length > 0 ? command.guilds : [GLOBAL_SCOPE];
+  }
+
+  // Command names uploaded to each scope by the last sync, kept across restarts
+  async loadUploadedScopes() {
+    if (!this.uploadedScopes) {
+      try {
+        this.uploadedScopes = JSON.parse(await fs.readFile(this.scopesFile, 'utf8'));
+      } catch (error) {
+        // Nothing uploaded yet
+        this.uploadedScopes = {};
+      }
+    }
+    return this.uploadedScopes;
+  }
+
+  async saveUploadedScopes(uploaded) {
+    this.uploadedScopes = uploaded;
+    try {
+      await writeJsonAtomic(this.scopesFile, uploaded);
+    } catch (error) {
+      console.error('Failed to save command scopes:', error);
     }
   }
 
   async destroy() {
+    clearTimeout(this.syncTimer);
+    this.syncTimer = null;
+    this.presence.stop();
     if (this.client) {
+      this.connection.record('destroyed', { reason: 'Shutting down' });
+      await this.markDisconnected(null, { reason: 'Shutting down', willReconnect: false });
       await this.client.destroy();
     }
   }
@@ -123,26 +702,114 @@ class DiscordManager {
       };
     }
     
+    // One client runs every shard, so its caches already cover all of them
+    const guilds = this.client.guilds ? Array.from(this.client.guilds.cache.values()) : [];
+    const shards = describeShards(this.client);
     return {
-      status: this.client.readyAt ? 'online' : 'connecting',
+      status: this.getConnectionStatus(shards),
       username: this.client.user ? this.client.user.tag : null,
-      guildCount: this.client.guilds ? this.client.guilds.cache.size : 0,
-      userCount: this.client.users ? this.client.users.cache.size : 0,
-      uptime: this.client.uptime ? this.client.uptime : 0
+      guildCount: guilds.length,
+      userCount: guilds.reduce((total, guild) => total + (guild.memberCount || 0), 0),
+      uptime: this.client.uptime ? this.client.uptime : 0,
+      ping: shards.length > 0 && this.client.ws.ping >= 0 ? Math.round(this.client.ws.ping) : null,
+      shardCount: shards.length,
+      shards,
+      devGuildId: process.env.DEV_GUILD_ID || null,
+      commandScopes: this.uploadedScopes || {},
+      commandSync: this.syncStatus,
+      commandStats: this.metrics.getStats(),
+      presence: this.presence.getStatus(),
+      gateway: this.getGatewayStatus(),
+      connection: this.connection.getSummary()
     };
   }
+
+  // 'connecting' until the first login completes, then 'online' while every
+  // shard is connected, 'reconnecting' while any is not, and 'disconnected'
+  // once all of them have given up
+  getConnectionStatus(shards) {
+    if (!this.client.readyAt) {
+      return 'connecting';
+    }
+    if (this.connection.connected) {
+      return 'online';
+    }
+    return shards.length > 0 && shards.every(shard => shard.status === 'Disconnected') ? 'disconnected' : 'reconnecting';
+  }
+  
+  // Get the plugin that registered a command, 'core' for core commands, or null
+  getCommandOwner(commandName) {
+    if (this.registeredCommands.has(commandName)) {
+      return this.registeredCommands.get(commandName);
+    }
+    return this.core.api.commands.has(commandName) ? CORE_OWNER : null;
+  }
+  
+  // Get the plugin that registered a context menu command, like getCommandOwner
+  getContextMenuOwner(key) {
+    if (this.registeredContextMenus.has(key)) {
+      return this.registeredContextMenus.get(key);
+    }
+    return this.core.api.contextMenus.has(key) ? CORE_OWNER : null;
+  }
+  
+  // Handle a plugin command whose name is taken. Depending on the collision
+  // policy it is rejected or given a name prefixed with the plugin's; the
+  // conflict is recorded either way. Returns the name to register.
+  resolveCommandCollision(pluginName, name, type) {
+    const contextMenu = type !== undefined;
+    const owner = contextMenu
+      ? this.getContextMenuOwner(contextMenuKey(type, name))
+      : this.getCommandOwner(name);
+    if (!owner || owner === pluginName) {
+      return name;
+    }
+    
+    const kind = contextMenu ? 'context menu command' : 'command';
+    const conflict = { type: kind, name, plugin: pluginName, owner };
+    if (this.core.api.getCollisionPolicy() === 'namespace') {
+      const renamed = namespaceCommandName(pluginName, name, contextMenu);
+      const renamedOwner = renamed && (contextMenu
+        ? this.getContextMenuOwner(contextMenuKey(type, renamed))
+        : this.getCommandOwner(renamed));
+      if (renamed && (!renamedOwner || renamedOwner === pluginName)) {
+        this.core.api.recordConflict({ ...conflict, resolution: 'namespaced', renamedTo: renamed });
+        return renamed;
+      }
+    }
+    
+    this.core.api.recordConflict({ ...conflict, resolution: 'rejected' });
+    throw new RegistrationConflictError(kind, name, pluginName, owner);
+  }
   
-  // Register a command from a plugin
-  registerPluginCommand(pluginName, commandName, description, handler) {
+  // Register a command from a plugin. Returns the name it was registered under.
+  registerPluginCommand(pluginName, commandName, description, handler, extra = {}) {
     console.log(`Registering plugin command ${commandName} from plugin ${pluginName}`);
+    const name = this.resolveCommandCollision(pluginName, commandName);
+    
+    // Register with the core API first, so an invalid command is not tracked
+    this.core.api.registerCommand(name, description, handler, extra);
+    
     // Store the command with plugin association
-    this.registeredCommands.set(commandName, pluginName);
+    this.registeredCommands.set(name, pluginName);
     
-    // Register with the core API
-    this.core.api.registerCommand(commandName, description, handler);
+    // Sync commands with Discord once the plugin is done registering
+    this.scheduleCommandSync();
+    return name;
+  }
+  
+  // Register a user or message context menu command from a plugin
+  registerPluginContextMenu(pluginName, name, type, handler, extra = {}) {
+    console.log(`Registering plugin context menu command ${name} from plugin ${pluginName}`);
+    const resolvedName = typeof name === 'string' && type !== undefined
+      ? this.resolveCommandCollision(pluginName, name, type)
+      : name;
+    const key = this.core.api.registerContextMenu(resolvedName, type, handler, extra);
+    this.registeredContextMenus.set(key, pluginName);
     
-    // Re-register all commands with Discord
-    this.registerCommands();
+    // Sync commands with Discord once the plugin is done registering
+    this.scheduleCommandSync();
+    return key;
   }
   
   // Unregister all commands associated with a plugin
@@ -159,10 +826,20 @@ class DiscordManager {
     for (const commandName of commandsToRemove) {
       this.registeredCommands.delete(commandName);
       this.core.api.commands.delete(commandName);
+      this.cooldowns.clear(commandName);
+      this.metrics.clear(commandName);
+    }
+    for (const [key, associatedPlugin] of this.registeredContextMenus) {
+      if (associatedPlugin === pluginName) {
+        this.registeredContextMenus.delete(key);
+        this.core.api.contextMenus.delete(key);
+        this.cooldowns.clear(key);
+        this.metrics.clear(key);
+      }
     }
     
-    // Re-register remaining commands with Discord
-    this.registerCommands();
+    // Sync the remaining commands with Discord
+    this.scheduleCommandSync();
   }
 }
 
@@ -0,0 +1,88 @@
+// core/discord/intents.js
+// Gateway intents and partials. Plugins list the ones they need in
+// plugin.json ("intents": ["GuildMembers"], "partials": ["Message"]); the
+// client is created with the union of the core's and every enabled plugin's.
+const { GatewayIntentBits, Partials } = require('discord.js');
+
+// Intents the core itself needs for commands and message handling
+const CORE_INTENTS = ['Guilds', 'GuildMessages', 'MessageContent'];
+
+// Intents that must also be switched on in the Discord Developer Portal
+const PRIVILEGED_INTENTS = ['GuildMembers', 'GuildPresences', 'MessageContent'];
+
+// Whether name is an intent or partial name of a discord.js enum. The enums
+// map values back to names, and inherit keys like "constructor", so only own
+// keys with a numeric value count.
+function isKnownName(values, name) {
+  return typeof name === 'string' &&
+    Object.prototype.hasOwnProperty.call(values, name) &&
+    typeof values[name] === 'number';
+}
+
+// Collect the intents and partials needed by the core and the given plugins
+// ([{ name, manifest }]). Unknown names and malformed lists are reported
+// rather than thrown, so one bad manifest does not keep the bot offline.
+function resolveGatewayRequirements(plugins) {
+  const intents = new Map(CORE_INTENTS.map(intent => [intent, ['core']]));
+  const partials = new Map();
+  const invalid = [];
+
+  const add = (map, name, pluginName) => {
+    if (!map.has(name)) {
+      map.set(name, []);
+    }
+    map.get(name).push(pluginName);
+  };
+
+  // Check one manifest field ("intents" or "partials") and add its names
+  const collect = (map, values, type, field, pluginName, list) => {
+    if (list === undefined) {
+      return;
+    }
+    if (!Array.isArray(list)) {
+      invalid.push({ plugin: pluginName, type, name: null, reason: `"${field}" must be an array of names` });
+      return;
+    }
+    for (const entry of list) {
+      if (isKnownName(values, entry)) {
+        add(map, entry, pluginName);
+      } else {
+        invalid.push({ plugin: pluginName, type, name: String(entry) });
+      }
+    }
+  };
+
+  for (const { name, manifest } of plugins) {
+    collect(intents, GatewayIntentBits, 'intent', 'intents', name, manifest.intents);
+    collect(partials, Partials, 'partial', 'partials', name, manifest.partials);
+  }
+
+  return {
+    intents: Array.from(intents.keys()),
+    partials: Array.from(partials.keys()),
+    // Which plugins asked for each privileged intent
+    privileged: PRIVILEGED_INTENTS
+      .filter(intent => intents.has(intent))
+      .map(intent => ({ intent, plugins: intents.get(intent) })),
+    requestedBy: {
+      intents: Object.fromEntries(intents),
+      partials: Object.fromEntries(partials)
+    },
+    invalid
+  };
+}
+
+// Client options for a set of intent and partial names
+function toClientOptions({ intents, partials }) {
+  return {
+    intents: intents.map(intent => GatewayIntentBits[intent]),
+    partials: partials.map(partial => Partials[partial])
+  };
+}
+
+module.exports = {
+  CORE_INTENTS,
+  PRIVILEGED_INTENTS,
+  resolveGatewayRequirements,
+  toClientOptions
+};
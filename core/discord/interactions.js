@@ -0,0 +1,190 @@
+// core/discord/interactions.js
+// Running command handlers within Discord's 3-second response window.
+// Handlers that have not responded after a threshold are deferred
+// automatically, error messages use whichever response method still works,
+// and latency and timeouts are recorded per command.
+
+const { LIMITS } = require('./commands');
+
+// Discord invalidates an interaction that gets no response within this time
+const RESPONSE_WINDOW = LIMITS.responseMs;
+
+// Default time before a handler that has not responded is deferred
+// (INTERACTION_DEFER_MS overrides it)
+const DEFAULT_DEFER_AFTER = 2000;
+
+function getDeferThreshold() {
+  const value = Number.parseInt(process.env.INTERACTION_DEFER_MS, 10);
+  return Number.isFinite(value) && value >= 0 ? value : DEFAULT_DEFER_AFTER;
+}
+
+// Methods that acknowledge an interaction
+const RESPONSE_METHODS = ['reply', 'deferReply', 'update', 'deferUpdate', 'showModal'];
+
+function hasResponded(interaction) {
+  return Boolean(interaction.replied || interaction.deferred);
+}
+
+// Note when the handler starts to respond. replied and deferred are only set
+// once Discord acknowledges the response, so a reply still in flight would
+// otherwise race the automatic deferral.
+function watchResponses(interaction) {
+  const state = { responding: false };
+  for (const method of RESPONSE_METHODS) {
+    if (typeof interaction[method] === 'function') {
+      const call = interaction[method].bind(interaction);
+      interaction[method] = (...args) => {
+        state.responding = true;
+        return call(...args);
+      };
+    }
+  }
+  return state;
+}
+
+// Send an ephemeral message about a failure, using editReply for a deferred
+// interaction, followUp after a reply, and reply otherwise
+async function respondWithError(interaction, content) {
+  try {
+    if (interaction.deferred && !interaction.replied) {
+      await interaction.editReply({ content });
+    } else if (interaction.replied) {
+      await interaction.followUp({ content, ephemeral: true });
+    } else {
+      await interaction.reply({ content, ephemeral: true });
+    }
+  } catch (error) {
+    console.error(`Failed to send error response for interaction ${interaction.id}:`, error);
+  }
+}
+
+// Defer an interaction on the handler's behalf. The handler's calls are
+// redirected before the deferral is sent, so a call made while it is in
+// flight waits for it: reply() becomes editReply(), deferReply() does nothing,
+// and showModal() fails with an explanation, since a deferred interaction
+// cannot show a modal. Resolves to whether the deferral succeeded.
+function autoDefer(interaction, ephemeral, after) {
+  const original = {
+    reply: interaction.reply.bind(interaction),
+    editReply: interaction.editReply.bind(interaction),
+    followUp: interaction.followUp.bind(interaction)
+  };
+  const deferral = interaction.deferReply({ ephemeral }).then(() => true, (error) => {
+    console.error(`Failed to defer interaction ${interaction.id}:`, error);
+    return false;
+  });
+
+  interaction.reply = async (options) => (await deferral && !interaction.replied
+    ? original.editReply(options)
+    : original.reply(options));
+  interaction.editReply = async (options) => {
+    await deferral;
+    return original.editReply(options);
+  };
+  interaction.followUp = async (options) => {
+    await deferral;
+    return original.followUp(options);
+  };
+  interaction.deferReply = async () => {
+    await deferral;
+  };
+  interaction.showModal = async () => {
+    throw new Error(`Cannot show a modal: the interaction was deferred because the handler had not responded after ${after}ms. ` +
+      'Show modals before slow work, or set autoDefer: false on the command.');
+  };
+  return deferral;
+}
+
+// Run a command handler, deferring it if it is slow to respond. settings is
+// the command's autoDefer setting: false, or { after, ephemeral }. Resolves
+// to { durationMs, autoDeferred, timedOut, error }, where error is whatever
+// the handler threw, or null.
+async function runWithAutoDefer(interaction, handler, settings) {
+  const start = Date.now();
+  const result = { durationMs: 0, autoDeferred: false, timedOut: false, error: null };
+  const timers = [];
+
+  if (settings !== false) {
+    const { after = getDeferThreshold(), ephemeral = false } = settings || {};
+    const responses = watchResponses(interaction);
+    timers.push(setTimeout(() => {
+      if (!responses.responding && !hasResponded(interaction)) {
+        result.autoDeferred = true;
+        autoDefer(interaction, ephemeral, after);
+      }
+    }, after));
+  }
+
+  // Nothing was sent within Discord's window, so the user saw "The
+  // application did not respond"
+  timers.push(setTimeout(() => {
+    if (!hasResponded(interaction)) {
+      result.timedOut = true;
+    }
+  }, RESPONSE_WINDOW));
+
+  try {
+    await handler(interaction);
+  } catch (error) {
+    result.error = error;
+  }
+  timers.forEach(clearTimeout);
+  result.durationMs = Date.now() - start;
+
+  // A handler that returned in time without responding leaves the user waiting too
+  if (!result.error && !result.autoDeferred && !hasResponded(interaction)) {
+    result.timedOut = true;
+  }
+  return result;
+}
+
+// Call counts and latency of each command
+class CommandMetrics {
+  constructor() {
+    this.commands = new Map();
+  }
+
+  record(commandKey, { durationMs, autoDeferred, timedOut, error }) {
+    if (!this.commands.has(commandKey)) {
+      this.commands.set(commandKey, {
+        calls: 0,
+        errors: 0,
+        autoDeferred: 0,
+        timeouts: 0,
+        totalMs: 0,
+        maxMs: 0,
+        lastMs: 0
+      });
+    }
+
+    const entry = this.commands.get(commandKey);
+    entry.calls++;
+    entry.errors += error ? 1 : 0;
+    entry.autoDeferred += autoDeferred ? 1 : 0;
+    entry.timeouts += timedOut ? 1 : 0;
+    entry.totalMs += durationMs;
+    entry.maxMs = Math.max(entry.maxMs, durationMs);
+    entry.lastMs = durationMs;
+  }
+
+  // Stats by command, with the average latency in milliseconds
+  getStats() {
+    const stats = {};
+    for (const [commandKey, { totalMs, ...entry }] of this.commands) {
+      stats[commandKey] = { ...entry, averageMs: Math.round(totalMs / entry.calls) };
+    }
+    return stats;
+  }
+
+  clear(commandKey) {
+    this.commands.delete(commandKey);
+  }
+}
+
+module.exports = {
+  RESPONSE_WINDOW,
+  getDeferThreshold,
+  respondWithError,
+  runWithAutoDefer,
+  CommandMetrics
+};
@@ -0,0 +1,72 @@
+// core/discord/prefixes.js
+// Command prefix of each guild for text commands. Guilds without their own
+// prefix use COMMAND_PREFIX (default "!"). Saved in config/guild-prefixes.json.
+const fs = require('fs').promises;
+const path = require('path');
+const { writeJsonAtomic } = require('../utils/atomic-write');
+
+const MAX_PREFIX_LENGTH = 10;
+
+function getDefaultPrefix() {
+  return process.env.COMMAND_PREFIX || '!';
+}
+
+class GuildPrefixes {
+  constructor() {
+    this.file = path.join(__dirname, '..', '..', 'config', 'guild-prefixes.json');
+    this.prefixes = null; // Prefixes by guild ID, loaded on first use
+  }
+
+  async load() {
+    if (this.prefixes) {
+      return this.prefixes;
+    }
+
+    try {
+      this.prefixes = JSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to read guild prefixes:', error);
+      }
+      this.prefixes = {};
+    }
+    return this.prefixes;
+  }
+
+  async save() {
+    await writeJsonAtomic(this.file, this.prefixes);
+  }
+
+  // Prefix used in a guild; direct messages use the default
+  async get(guildId) {
+    const prefixes = await this.load();
+    return (guildId && prefixes[guildId]) || getDefaultPrefix();
+  }
+
+  // Set a guild's prefix. null or the default prefix removes the override.
+  async set(guildId, prefix) {
+    if (typeof guildId !== 'string' || guildId === '') {
+      throw new Error('Guild ID is required');
+    }
+    if (prefix !== null && (typeof prefix !== 'string' || prefix.length < 1
+      || prefix.length > MAX_PREFIX_LENGTH || /\s/.test(prefix))) {
+      throw new Error(`Prefix must be 1-${MAX_PREFIX_LENGTH} characters without spaces`);
+    }
+
+    const prefixes = await this.load();
+    if (prefix === null || prefix === getDefaultPrefix()) {
+      delete prefixes[guildId];
+    } else {
+      prefixes[guildId] = prefix;
+    }
+    await this.save();
+    return this.get(guildId);
+  }
+
+  async getAll() {
+    return { default: getDefaultPrefix(), guilds: { ...(await this.load()) } };
+  }
+}
+
+module.exports = GuildPrefixes;
+module.exports.getDefaultPrefix = getDefaultPrefix;
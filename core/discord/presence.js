@@ -0,0 +1,382 @@
+// core/discord/presence.js
+// The bot's status and activities. Operators configure a rotation of
+// activities from the dashboard; plugins can request a presence of their own
+// through core.api.presence. When several plugins have a request, the one
+// with the highest priority wins, then the most recent one; the rotation is
+// shown when no request is active. Activity texts may contain template
+// variables such as {guilds}, filled in each time the presence is sent.
+const fs = require('fs').promises;
+const path = require('path');
+const { ActivityType } = require('discord.js');
+const { getDefaultPrefix } = require('./prefixes');
+const { CORE_OWNER } = require('../api');
+const { writeJsonAtomic } = require('../utils/atomic-write');
+
+const STATUSES = ['online', 'idle', 'dnd', 'invisible'];
+
+const ACTIVITY_TYPES = {
+  playing: ActivityType.Playing,
+  streaming: ActivityType.Streaming,
+  listening: ActivityType.Listening,
+  watching: ActivityType.Watching,
+  competing: ActivityType.Competing,
+  custom: ActivityType.Custom
+};
+
+const ACTIVITY_NAME_LENGTH = 128;
+
+// Discord rate-limits presence updates, so the rotation cannot go faster
+const MIN_ROTATION_INTERVAL = 15; // seconds
+
+// Time allowed for a plugin's template variable
+const VARIABLE_TIMEOUT = 1000;
+
+const DEFAULT_ROTATION = {
+  enabled: false,
+  status: 'online',
+  interval: 60, // Seconds each activity is shown
+  activities: [],
+  allowPlugins: true // Whether plugin requests may replace the rotation
+};
+
+const VARIABLE_PATTERN = /\{([\w.-]+)\}/g;
+
+// Check an activity ({ type, name, url }); problems are added to errors
+function normalizeActivity(activity, path, errors) {
+  if (!activity || typeof activity !== 'object') {
+    errors.push(`${path} must be an object`);
+    return null;
+  }
+  const type = activity.type || 'playing';
+  if (!(type in ACTIVITY_TYPES)) {
+    errors.push(`${path} type must be one of ${Object.keys(ACTIVITY_TYPES).join(', ')}`);
+  }
+  if (typeof activity.name !== 'string' || activity.name.trim() === '' || activity.name.length > ACTIVITY_NAME_LENGTH) {
+    errors.push(`${path} name must be 1-${ACTIVITY_NAME_LENGTH} characters`);
+  }
+  if (type === 'streaming' && (typeof activity.url !== 'string' || !/^https:\/\//.test(activity.url))) {
+    errors.push(`${path} streaming activities need an https url`);
+  }
+  return type === 'streaming' ? { type, name: activity.name, url: activity.url } : { type, name: activity.name };
+}
+
+// Check a presence request ({ status, activity | activities, priority, duration })
+function normalizeRequest(options) {
+  const errors = [];
+  if (!options || typeof options !== 'object') {
+    throw new Error('Invalid presence: expected an object');
+  }
+  if (options.status !== undefined && !STATUSES.includes(options.status)) {
+    errors.push(`status must be one of ${STATUSES.join(', ')}`);
+  }
+  const activities = options.activities !== undefined
+    ? options.activities
+    : (options.activity !== undefined ? [options.activity] : []);
+  if (!Array.isArray(activities)) {
+    errors.push('activities must be an array');
+  }
+  if (options.priority !== undefined && !Number.isInteger(options.priority)) {
+    errors.push('priority must be an integer');
+  }
+  if (options.duration !== undefined && !(typeof options.duration === 'number' && options.duration > 0)) {
+    errors.push('duration must be a number of milliseconds greater than 0');
+  }
+  const normalized = Array.isArray(activities)
+    ? activities.map((activity, index) => normalizeActivity(activity, `activity ${index + 1}`, errors))
+    : [];
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid presence: ${errors.join('; ')}`);
+  }
+  return {
+    status: options.status,
+    activities: normalized,
+    priority: options.priority || 0,
+    duration: options.duration
+  };
+}
+
+// Check the rotation settings saved from the dashboard
+function normalizeRotation(rotation) {
+  const errors = [];
+  const merged = { ...DEFAULT_ROTATION, ...rotation };
+  if (!STATUSES.includes(merged.status)) {
+    errors.push(`status must be one of ${STATUSES.join(', ')}`);
+  }
+  if (!Number.isInteger(merged.interval) || merged.interval < MIN_ROTATION_INTERVAL) {
+    errors.push(`interval must be a whole number of seconds, at least ${MIN_ROTATION_INTERVAL}`);
+  }
+  if (!Array.isArray(merged.activities)) {
+    errors.push('activities must be an array');
+  }
+  const activities = Array.isArray(merged.activities)
+    ? merged.activities.map((activity, index) => normalizeActivity(activity, `activity ${index + 1}`, errors))
+    : [];
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid presence rotation: ${errors.join('; ')}`);
+  }
+  return {
+    enabled: merged.enabled === true,
+    status: merged.status,
+    interval: merged.interval,
+    activities,
+    allowPlugins: merged.allowPlugins !== false
+  };
+}
+
+// 93784000 -> "1d 2h 3m"
+function formatUptime(ms) {
+  const minutes = Math.floor(ms / 60000);
+  const parts = [[Math.floor(minutes / 1440), 'd'], [Math.floor(minutes / 60) % 24, 'h'], [minutes % 60, 'm']];
+  const shown = parts.filter(([value]) => value > 0).map(([value, unit]) => `${value}${unit}`);
+  return shown.length > 0 ? shown.join(' ') : '0m';
+}
+
+// Replace {name} with the variable's value; unknown variables are left as-is
+function renderTemplate(text, values) {
+  return text.replace(VARIABLE_PATTERN, (match, name) => (name in values ? String(values[name]) : match));
+}
+
+class PresenceManager {
+  constructor(core) {
+    this.core = core;
+    this.file = path.join(__dirname, '..', '..', 'config', 'presence.json');
+    this.rotation = null; // Rotation settings, loaded on first use
+    this.rotationIndex = 0;
+    this.timer = null; // Rotation and refresh timer
+    this.requests = new Map(); // Presence requests by source (the core or a plugin name)
+    this.variables = new Map(); // Template variables by name -> { owner, fn }
+    this.current = null; // Presence last sent to Discord, with its source
+    this.lastSent = null; // JSON of the last presence sent, to skip repeats
+  }
+
+  async load() {
+    if (this.rotation) {
+      return this.rotation;
+    }
+
+    try {
+      this.rotation = normalizeRotation(JSON.parse(await fs.readFile(this.file, 'utf8')));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to read presence settings:', error);
+      }
+      this.rotation = { ...DEFAULT_ROTATION };
+    }
+    return this.rotation;
+  }
+
+  async save() {
+    await writeJsonAtomic(this.file, this.rotation);
+  }
+
+  // Start rotating once the client is ready. A new session has no presence
+  // yet, so the current one is sent again.
+  async start() {
+    const rotation = await this.load();
+    this.stop();
+    this.lastSent = null;
+    this.timer = setInterval(() => {
+      this.rotationIndex++;
+      this.update().catch((error) => {
+        console.error('Failed to update presence:', error);
+      });
+    }, rotation.interval * 1000);
+    this.timer.unref();
+    await this.update();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Save new rotation settings from the dashboard and apply them
+  async setRotation(settings) {
+    await this.load();
+    this.rotation = normalizeRotation({ ...this.rotation, ...settings });
+    this.rotationIndex = 0;
+    await this.save();
+    if (this.timer) {
+      // Restart so a new interval takes effect
+      await this.start();
+    } else {
+      await this.update();
+    }
+    return this.rotation;
+  }
+
+  // Request a presence for a source. Returns whether it is the one shown.
+  async request(source, options) {
+    const request = normalizeRequest(options);
+    const previous = this.requests.get(source);
+    if (previous) {
+      clearTimeout(previous.expiryTimer);
+    }
+
+    const entry = {
+      status: request.status,
+      activities: request.activities,
+      priority: request.priority,
+      setAt: Date.now(),
+      expiresAt: request.duration ? Date.now() + request.duration : null,
+      expiryTimer: null
+    };
+    if (request.duration) {
+      entry.expiryTimer = setTimeout(() => {
+        if (this.requests.get(source) === entry) {
+          this.clear(source).catch((error) => {
+            console.error('Failed to update presence:', error);
+          });
+        }
+      }, request.duration);
+      entry.expiryTimer.unref();
+    }
+    this.requests.set(source, entry);
+    console.log(`Presence requested by ${source} (priority ${request.priority})`);
+
+    await this.update();
+    return this.current !== null && this.current.source === source;
+  }
+
+  // Withdraw a source's request
+  async clear(source) {
+    const entry = this.requests.get(source);
+    if (!entry) {
+      return;
+    }
+    clearTimeout(entry.expiryTimer);
+    this.requests.delete(source);
+    await this.update();
+  }
+
+  // Provide a template variable. Plugin variables are named "plugin.name".
+  // Returns the full name to use in templates.
+  registerVariable(owner, name, fn) {
+    if (typeof name !== 'string' || !/^[\w-]+$/.test(name) || typeof fn !== 'function') {
+      throw new Error('Invalid parameters for registerVariable');
+    }
+    const fullName = owner === CORE_OWNER ? name : `${owner}.${name}`;
+    this.variables.set(fullName, { owner, fn });
+    return fullName;
+  }
+
+  // Forget the request and variables of a plugin that is being disabled
+  async unregisterPlugin(pluginName) {
+    for (const [name, variable] of this.variables) {
+      if (variable.owner === pluginName) {
+        this.variables.delete(name);
+      }
+    }
+    await this.clear(pluginName);
+  }
+
+  // The request that wins: highest priority, then most recent. Plugin
+  // requests are ignored when the operator turned them off.
+  getActiveRequest() {
+    let active = null;
+    for (const [source, entry] of this.requests) {
+      if (source !== CORE_OWNER && this.rotation && !this.rotation.allowPlugins) {
+        continue;
+      }
+      if (!active || entry.priority > active.priority || (entry.priority === active.priority && entry.setAt >= active.setAt)) {
+        active = { source, ...entry };
+      }
+    }
+    return active;
+  }
+
+  // Values of the template variables used in some texts
+  async getVariableValues(texts) {
+    const client = this.core.discord && this.core.discord.client;
+    const guilds = client && client.guilds ? client.guilds.cache : null;
+    const plugins = this.core.plugins ? Array.from(this.core.plugins.plugins.values()) : [];
+    const values = {
+      guilds: guilds ? guilds.size : 0,
+      users: guilds ? guilds.reduce((total, guild) => total + (guild.memberCount || 0), 0) : 0,
+      uptime: formatUptime(client && client.uptime ? client.uptime : 0),
+      plugins: plugins.filter(plugin => plugin.enabled).length,
+      commands: this.core.api ? this.core.api.commands.size : 0,
+      prefix: getDefaultPrefix(),
+      version: this.core.version || ''
+    };
+
+    // Only variables that are used are computed
+    const used = new Set();
+    for (const text of texts) {
+      for (const [, name] of text.matchAll(VARIABLE_PATTERN)) {
+        if (this.variables.has(name)) {
+          used.add(name);
+        }
+      }
+    }
+    await Promise.all(Array.from(used, async (name) => {
+      let timer;
+      try {
+        const timeout = new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error('timed out')), VARIABLE_TIMEOUT);
+        });
+        values[name] = await Promise.race([this.variables.get(name).fn(), timeout]);
+      } catch (error) {
+        console.error(`Error in presence variable ${name}:`, error);
+      } finally {
+        clearTimeout(timer);
+      }
+    }));
+    return values;
+  }
+
+  // Work out the presence to show and send it if it changed
+  async update() {
+    const rotation = await this.load();
+    const active = this.getActiveRequest();
+    let source = 'rotation';
+    let status = rotation.status;
+    let activities = [];
+    if (active) {
+      source = active.source;
+      status = active.status || rotation.status;
+      activities = active.activities;
+    } else if (rotation.enabled && rotation.activities.length > 0) {
+      activities = [rotation.activities[this.rotationIndex % rotation.activities.length]];
+    }
+
+    const values = await this.getVariableValues(activities.map(activity => activity.name));
+    const rendered = activities.map(activity => ({
+      ...activity,
+      name: renderTemplate(activity.name, values).slice(0, ACTIVITY_NAME_LENGTH)
+    }));
+    this.current = { source, status, activities: rendered };
+
+    const client = this.core.discord && this.core.discord.client;
+    const packet = JSON.stringify({ status, activities: rendered });
+    if (!client || !client.user || packet === this.lastSent) {
+      return;
+    }
+    client.user.setPresence({
+      status,
+      activities: rendered.map(activity => ({
+        type: ACTIVITY_TYPES[activity.type],
+        name: activity.name,
+        url: activity.url
+      }))
+    });
+    this.lastSent = packet;
+  }
+
+  // Presence shown, rotation settings and pending requests
+  getStatus() {
+    return {
+      current: this.current,
+      rotation: this.rotation || { ...DEFAULT_ROTATION },
+      requests: Array.from(this.requests, ([source, { expiryTimer, ...entry }]) => ({ source, ...entry })),
+      variables: ['guilds', 'users', 'uptime', 'plugins', 'commands', 'prefix', 'version', ...this.variables.keys()]
+    };
+  }
+}
+
+module.exports = PresenceManager;
+module.exports.STATUSES = STATUSES;
+module.exports.ACTIVITY_TYPES = Object.keys(ACTIVITY_TYPES);
+module.exports.MIN_ROTATION_INTERVAL = MIN_ROTATION_INTERVAL;
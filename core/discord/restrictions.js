@@ -0,0 +1,215 @@
+// core/discord/restrictions.js
+// Cooldowns, required permissions, allowed roles and DM/guild-only flags of
+// commands. They are checked by the core before a command's handler runs, so
+// plugins do not have to repeat these checks in every handler.
+const { PermissionsBitField } = require('discord.js');
+
+const COOLDOWN_SCOPES = ['user', 'guild', 'global'];
+
+// Discord's InteractionContextType values
+const CONTEXTS = {
+  guild: 0,
+  botDM: 1,
+  privateChannel: 2
+};
+
+// Check the restriction settings of a command and convert them to the form
+// stored by the API. Problems are added to errors.
+function normalizeRestrictions(extra, path, errors) {
+  const restrictions = {};
+
+  if (extra.cooldown !== undefined) {
+    const cooldown = typeof extra.cooldown === 'number'
+      ? { seconds: extra.cooldown, scope: 'user' }
+      : { scope: 'user', ...extra.cooldown };
+    if (typeof cooldown.seconds !== 'number' || !(cooldown.seconds > 0)) {
+      errors.push(`${path} cooldown must be a number of seconds greater than 0`);
+    } else if (!COOLDOWN_SCOPES.includes(cooldown.scope)) {
+      errors.push(`${path} cooldown scope must be one of ${COOLDOWN_SCOPES.join(', ')}`);
+    } else {
+      restrictions.cooldown = { seconds: cooldown.seconds, scope: cooldown.scope };
+    }
+  }
+
+  if (extra.permissions !== undefined) {
+    const permissions = Array.isArray(extra.permissions) ? extra.permissions : [extra.permissions];
+    try {
+      const bits = PermissionsBitField.resolve(permissions.map(bit => (typeof bit === 'number' ? BigInt(bit) : bit)));
+      restrictions.permissions = bits.toString();
+    } catch (error) {
+      errors.push(`${path} permissions must be Discord permission names (e.g. "ManageMessages") or bit fields`);
+    }
+  }
+
+  if (extra.roles !== undefined) {
+    if (!Array.isArray(extra.roles) || extra.roles.length === 0 || !extra.roles.every(role => typeof role === 'string')) {
+      errors.push(`${path} roles must be a non-empty array of role IDs or names`);
+    } else {
+      restrictions.roles = extra.roles;
+    }
+  }
+
+  if (extra.dmOnly && extra.guildOnly) {
+    errors.push(`${path} cannot be both DM-only and guild-only`);
+  }
+  if (extra.dmOnly && (restrictions.permissions || restrictions.roles)) {
+    errors.push(`${path} permissions and roles cannot be checked in DMs`);
+  }
+  restrictions.dmOnly = extra.dmOnly === true || undefined;
+  // Permissions and roles only exist in guilds
+  restrictions.guildOnly = extra.guildOnly === true || Boolean(restrictions.permissions || restrictions.roles) || undefined;
+
+  return restrictions;
+}
+
+// Where Discord should offer a command, from its DM/guild-only flags
+function getCommandContexts(command) {
+  if (command.guildOnly) {
+    return [CONTEXTS.guild];
+  }
+  if (command.dmOnly) {
+    return [CONTEXTS.botDM, CONTEXTS.privateChannel];
+  }
+  return null;
+}
+
+// The default_member_permissions to upload: set explicitly, or derived from
+// the permissions the command requires
+function getDefaultMemberPermissions(command) {
+  return command.defaultMemberPermissions || command.permissions || null;
+}
+
+// "ManageMessages" -> "Manage Messages"
+function formatPermission(name) {
+  return name.replace(/([a-z])([A-Z])/g, '$1 $2');
+}
+
+// Remembers when each command was last used, per cooldown scope
+class CooldownTracker {
+  constructor() {
+    this.expires = new Map(); // "command:scope id" -> time the cooldown ends
+  }
+
+  key(commandKey, cooldown, context) {
+    switch (cooldown.scope) {
+      case 'global':
+        return `${commandKey}:global`;
+      case 'guild':
+        return `${commandKey}:guild:${context.guildId || `dm:${context.userId}`}`;
+      default:
+        return `${commandKey}:user:${context.userId}`;
+    }
+  }
+
+  // Milliseconds until the command can be used again, or 0
+  remaining(commandKey, cooldown, context, now = Date.now()) {
+    const key = this.key(commandKey, cooldown, context);
+    const expires = this.expires.get(key);
+    if (expires === undefined) {
+      return 0;
+    }
+    if (expires <= now) {
+      this.expires.delete(key);
+      return 0;
+    }
+    return expires - now;
+  }
+
+  // Start the cooldown for a use of the command
+  start(commandKey, cooldown, context, now = Date.now()) {
+    this.expires.set(this.key(commandKey, cooldown, context), now + cooldown.seconds * 1000);
+
+    // Drop expired entries once in a while so the map does not keep growing
+    if (this.expires.size > 1000) {
+      for (const [key, expires] of this.expires) {
+        if (expires <= now) {
+          this.expires.delete(key);
+        }
+      }
+    }
+  }
+
+  // Forget the cooldowns of commands that were removed
+  clear(commandKey) {
+    for (const key of this.expires.keys()) {
+      if (key.startsWith(`${commandKey}:`)) {
+        this.expires.delete(key);
+      }
+    }
+  }
+}
+
+// Check whether a command may run. context is { userId, guildId, member,
+// memberPermissions } taken from an interaction or a message. Returns the
+// reason it is blocked, or null. Starts the cooldown if it may run.
+function checkRestrictions(command, commandKey, context, cooldowns) {
+  if (command.guildOnly && !context.guildId) {
+    return 'This command can only be used in a server.';
+  }
+  if (command.dmOnly && context.guildId) {
+    return 'This command can only be used in direct messages.';
+  }
+
+  if (command.permissions) {
+    const required = new PermissionsBitField(BigInt(command.permissions));
+    const missing = context.memberPermissions ? context.memberPermissions.missing(required) : required.toArray();
+    if (missing.length > 0) {
+      return `You need the following permissions to use this command: ${missing.map(formatPermission).join(', ')}.`;
+    }
+  }
+
+  if (command.roles) {
+    // Uncached members only carry role IDs
+    const roles = context.member && context.member.roles;
+    const allowed = Array.isArray(roles)
+      ? roles.some(id => command.roles.includes(id))
+      : Boolean(roles && roles.cache && roles.cache.some(role => command.roles.includes(role.id) || command.roles.includes(role.name)));
+    if (!allowed) {
+      return 'You do not have a role that is allowed to use this command.';
+    }
+  }
+
+  if (command.cooldown) {
+    const remaining = cooldowns.remaining(commandKey, command.cooldown, context);
+    if (remaining > 0) {
+      const until = Math.ceil((Date.now() + remaining) / 1000);
+      return `This command is on cooldown. You can use it again <t:${until}:R>.`;
+    }
+    cooldowns.start(commandKey, command.cooldown, context);
+  }
+
+  return null;
+}
+
+// Restriction context of an interaction
+function getInteractionContext(interaction) {
+  return {
+    userId: interaction.user ? interaction.user.id : null,
+    guildId: interaction.guildId || null,
+    member: interaction.member || null,
+    memberPermissions: interaction.memberPermissions || null
+  };
+}
+
+// Restriction context of a message, for text commands
+function getMessageContext(message) {
+  const member = message.member || null;
+  return {
+    userId: message.author ? message.author.id : null,
+    guildId: message.guildId || null,
+    member,
+    memberPermissions: member && typeof member.permissionsIn === 'function' && message.channel
+      ? member.permissionsIn(message.channel)
+      : null
+  };
+}
+
+module.exports = {
+  CooldownTracker,
+  normalizeRestrictions,
+  getCommandContexts,
+  getDefaultMemberPermissions,
+  checkRestrictions,
+  getInteractionContext,
+  getMessageContext
+};
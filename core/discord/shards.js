@@ -0,0 +1,49 @@
+// core/discord/shards.js
+// Internal sharding: one client runs every shard in this process, so plugin
+// commands, events and the web dashboard work the same as with a single
+// connection. DISCORD_SHARDS turns it on: "auto" uses the shard count
+// Discord recommends, a number runs that many shards.
+const { Status } = require('discord.js');
+
+// Client options for the configured sharding mode
+function getShardingOptions(setting = process.env.DISCORD_SHARDS) {
+  if (setting === undefined || setting === '') {
+    return {};
+  }
+  if (setting === 'auto') {
+    return { shards: 'auto' };
+  }
+
+  const count = Number(setting);
+  if (!Number.isInteger(count) || count < 1) {
+    console.warn(`Ignoring DISCORD_SHARDS=${setting}: expected "auto" or a number of shards`);
+    return {};
+  }
+  return { shards: Array.from({ length: count }, (_, id) => id), shardCount: count };
+}
+
+// Status, ping and guild count of each shard the client runs
+function describeShards(client) {
+  if (!client.ws || !client.ws.shards) {
+    return [];
+  }
+
+  const guildCounts = new Map();
+  for (const guild of client.guilds.cache.values()) {
+    guildCounts.set(guild.shardId, (guildCounts.get(guild.shardId) || 0) + 1);
+  }
+
+  return Array.from(client.ws.shards.values())
+    .sort((a, b) => a.id - b.id)
+    .map(shard => ({
+      id: shard.id,
+      status: Status[shard.status] || 'Unknown',
+      ping: shard.ping >= 0 ? shard.ping : null,
+      guildCount: guildCounts.get(shard.id) || 0
+    }));
+}
+
+module.exports = {
+  getShardingOptions,
+  describeShards
+};
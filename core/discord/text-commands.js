@@ -0,0 +1,321 @@
+// core/discord/text-commands.js
+// Prefix commands ("!ban @user spamming") read from messages. Parses the
+// command name and its arguments: quoted arguments may contain spaces, and
+// arguments are converted to the declared types. Mentions are turned into
+// IDs here and resolved to users, channels and roles by the core.
+
+const ARGUMENT_TYPES = ['string', 'integer', 'number', 'boolean', 'user', 'channel', 'role', 'duration'];
+
+const NAME_PATTERN = /^[^\s"'“”]{1,32}$/;
+
+// Opening quote -> closing quote. Phones often type curly quotes.
+const QUOTES = { '"': '"', "'": "'", '“': '”' };
+
+const MENTION_PATTERNS = {
+  user: /^(?:<@!?(\d{17,20})>|(\d{17,20}))$/,
+  channel: /^(?:<#(\d{17,20})>|(\d{17,20}))$/,
+  role: /^(?:<@&(\d{17,20})>|(\d{17,20}))$/
+};
+
+const BOOLEANS = {
+  true: true, yes: true, on: true, y: true, '1': true,
+  false: false, no: false, off: false, n: false, '0': false
+};
+
+// Milliseconds per duration unit
+const DURATION_UNITS = {
+  ms: 1,
+  s: 1000, sec: 1000, secs: 1000, second: 1000, seconds: 1000,
+  m: 60000, min: 60000, mins: 60000, minute: 60000, minutes: 60000,
+  h: 3600000, hr: 3600000, hrs: 3600000, hour: 3600000, hours: 3600000,
+  d: 86400000, day: 86400000, days: 86400000,
+  w: 604800000, week: 604800000, weeks: 604800000
+};
+
+const MESSAGE_LENGTH = 2000; // Discord's limit for message content
+
+// Split text into arguments. Whitespace separates arguments unless it is
+// inside quotes; a backslash escapes a quote. Returns [{ value, start }],
+// where start is the argument's position in the text.
+function tokenize(text) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < text.length) {
+    if (/\s/.test(text[index])) {
+      index++;
+      continue;
+    }
+
+    const start = index;
+    let value = '';
+    const closing = QUOTES[text[index]];
+    if (closing) {
+      index++;
+      // An unterminated quote runs to the end of the text
+      while (index < text.length && text[index] !== closing) {
+        if (text[index] === '\\' && text[index + 1] === closing) {
+          index++;
+        }
+        value += text[index++];
+      }
+      index++;
+    } else {
+      while (index < text.length && !/\s/.test(text[index])) {
+        value += text[index++];
+      }
+    }
+    tokens.push({ value, start });
+  }
+
+  return tokens;
+}
+
+// Parse a duration such as "90s", "1h30m" or "2 days" into milliseconds,
+// or return null
+function parseDuration(text) {
+  const pattern = /(\d+(?:\.\d+)?)\s*([a-z]+)/gi;
+  const parts = Array.from(text.matchAll(pattern));
+  if (parts.length === 0 || text.replace(pattern, '').trim() !== '') {
+    return null;
+  }
+
+  let total = 0;
+  for (const [, amount, unit] of parts) {
+    const multiplier = DURATION_UNITS[unit.toLowerCase()];
+    if (multiplier === undefined) {
+      return null;
+    }
+    total += Number(amount) * multiplier;
+  }
+  return Math.round(total);
+}
+
+// Convert an argument to its declared type. Mentions become IDs. Returns
+// { value } or { error }.
+function coerceArgument(arg, text) {
+  switch (arg.type) {
+    case 'integer':
+    case 'number': {
+      const value = Number(text);
+      if (text.trim() === '' || !Number.isFinite(value) || (arg.type === 'integer' && !Number.isInteger(value))) {
+        return { error: `\`${arg.name}\` must be ${arg.type === 'integer' ? 'a whole number' : 'a number'}.` };
+      }
+      if ((arg.minValue !== undefined && value < arg.minValue) || (arg.maxValue !== undefined && value > arg.maxValue)) {
+        return { error: `\`${arg.name}\` must be between ${arg.minValue ?? '-∞'} and ${arg.maxValue ?? '∞'}.` };
+      }
+      return { value };
+    }
+    case 'boolean': {
+      const value = BOOLEANS[text.toLowerCase()];
+      return value === undefined ? { error: `\`${arg.name}\` must be yes or no.` } : { value };
+    }
+    case 'user':
+    case 'channel':
+    case 'role': {
+      const match = MENTION_PATTERNS[arg.type].exec(text);
+      return match
+        ? { value: match[1] || match[2] }
+        : { error: `\`${arg.name}\` must be a ${arg.type} mention or ID.` };
+    }
+    case 'duration': {
+      const value = parseDuration(text);
+      return value === null || value <= 0
+        ? { error: `\`${arg.name}\` must be a duration such as 10m, 1h30m or 2d.` }
+        : { value };
+    }
+    default:
+      if (arg.choices && !arg.choices.includes(text)) {
+        return { error: `\`${arg.name}\` must be one of: ${arg.choices.join(', ')}.` };
+      }
+      return { value: text };
+  }
+}
+
+// Check the argument definitions of a text command
+function normalizeArguments(args, path, errors) {
+  if (!Array.isArray(args)) {
+    errors.push(`${path} args must be an array`);
+    return [];
+  }
+
+  const names = new Set();
+  let optionalSeen = false;
+  return args.map((arg, index) => {
+    const argPath = `${path} argument ${index + 1}`;
+    if (!arg || typeof arg !== 'object' || typeof arg.name !== 'string' || !/^\S+$/.test(arg.name)) {
+      errors.push(`${argPath} needs a name without spaces`);
+      return arg;
+    }
+    const type = arg.type || 'string';
+    if (!ARGUMENT_TYPES.includes(type)) {
+      errors.push(`${argPath} has an unknown type "${type}" (expected ${ARGUMENT_TYPES.join(', ')})`);
+    }
+    if (names.has(arg.name)) {
+      errors.push(`${argPath} "${arg.name}" is defined more than once`);
+    }
+    names.add(arg.name);
+
+    if (arg.required && optionalSeen) {
+      errors.push(`${argPath} required arguments must come before optional ones`);
+    }
+    optionalSeen = optionalSeen || !arg.required;
+    if (arg.rest && (type !== 'string' || index !== args.length - 1)) {
+      errors.push(`${argPath} only the last argument can take the rest of the message, and it must be a string`);
+    }
+    if (arg.choices !== undefined && (type !== 'string' || !Array.isArray(arg.choices) || arg.choices.length === 0)) {
+      errors.push(`${argPath} choices must be a non-empty array and are only allowed on string arguments`);
+    }
+
+    return {
+      name: arg.name,
+      type,
+      description: arg.description,
+      required: arg.required === true,
+      rest: arg.rest === true || undefined,
+      choices: arg.choices,
+      minValue: arg.minValue,
+      maxValue: arg.maxValue
+    };
+  });
+}
+
+// Check a text command and convert it to the form stored by the API. Names
+// and aliases are matched case-insensitively, so they are stored lowercase.
+function normalizeTextCommand(name, description, handler, extra = {}) {
+  const errors = [];
+  const path = `text command ${name}`;
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    errors.push(`${path} name must be 1-32 characters without spaces or quotes`);
+  }
+  if (description !== undefined && typeof description !== 'string') {
+    errors.push(`${path} description must be a string`);
+  }
+  if (typeof handler !== 'function') {
+    errors.push(`${path} needs a handler function`);
+  }
+
+  const aliases = extra.aliases === undefined ? [] : extra.aliases;
+  if (!Array.isArray(aliases) || !aliases.every(alias => typeof alias === 'string' && NAME_PATTERN.test(alias))) {
+    errors.push(`${path} aliases must be an array of names without spaces or quotes`);
+  }
+  const args = extra.args === undefined ? [] : normalizeArguments(extra.args, path, errors);
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${path}: ${errors.join('; ')}`);
+  }
+
+  const lowerName = name.toLowerCase();
+  return {
+    name: lowerName,
+    description: description || '',
+    handler,
+    aliases: Array.from(new Set(aliases.map(alias => alias.toLowerCase()))).filter(alias => alias !== lowerName),
+    args
+  };
+}
+
+// Split a message into the prefix it used, the command name and the text
+// after it. prefixes are tried in order. Returns null if the message is not
+// a command.
+function parseMessage(content, prefixes) {
+  for (const prefix of prefixes) {
+    if (!prefix || !content.toLowerCase().startsWith(prefix.toLowerCase())) {
+      continue;
+    }
+
+    const match = /^\s*(\S+)\s*/.exec(content.slice(prefix.length));
+    if (!match) {
+      return null;
+    }
+    return {
+      prefix,
+      name: match[1].toLowerCase(),
+      body: content.slice(prefix.length + match[0].length)
+    };
+  }
+  return null;
+}
+
+// Convert the text after a command name into its arguments. Arguments past
+// the declared ones are ignored. Returns { args } or { error }.
+function parseArguments(command, body) {
+  const tokens = tokenize(body);
+  const args = {};
+
+  for (const [index, arg] of command.args.entries()) {
+    const token = tokens[index];
+    if (!token) {
+      if (arg.required) {
+        return { error: `Missing required argument \`${arg.name}\`.` };
+      }
+      continue;
+    }
+
+    const text = arg.rest ? body.slice(token.start).trim() : token.value;
+    const result = coerceArgument(arg, text);
+    if (result.error) {
+      return result;
+    }
+    args[arg.name] = result.value;
+  }
+
+  return { args };
+}
+
+// "!ban <user> [reason...]"
+function formatUsage(prefix, command) {
+  const args = command.args.map((arg) => {
+    const name = arg.rest ? `${arg.name}...` : arg.name;
+    return arg.required ? `<${name}>` : `[${name}]`;
+  });
+  return [`${prefix}${command.name}`, ...args].join(' ');
+}
+
+// Help for one command: usage, description, aliases and arguments
+function formatCommandHelp(prefix, command) {
+  const lines = [`\`${formatUsage(prefix, command)}\``];
+  if (command.description) {
+    lines.push(command.description);
+  }
+  if (command.aliases.length > 0) {
+    lines.push(`Aliases: ${command.aliases.map(alias => `\`${prefix}${alias}\``).join(', ')}`);
+  }
+  for (const arg of command.args) {
+    const details = [arg.type, arg.required ? 'required' : 'optional'];
+    lines.push(`• \`${arg.name}\` (${details.join(', ')})${arg.description ? `: ${arg.description}` : ''}`);
+  }
+  return lines.join('\n');
+}
+
+// List of commands, cut to fit in one message
+function formatHelp(prefix, commands) {
+  const header = `**Commands** (prefix \`${prefix}\`, \`${prefix}help <command>\` for details)`;
+  const lines = [header];
+  let length = header.length;
+  const sorted = Array.from(commands).sort((a, b) => a.name.localeCompare(b.name));
+  for (const [index, command] of sorted.entries()) {
+    const line = `\`${formatUsage(prefix, command)}\`${command.description ? ` - ${command.description}` : ''}`;
+    const more = `…and ${sorted.length - index} more`;
+    if (length + line.length + more.length + 2 > MESSAGE_LENGTH) {
+      lines.push(more);
+      break;
+    }
+    lines.push(line);
+    length += line.length + 1;
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  ARGUMENT_TYPES,
+  tokenize,
+  parseDuration,
+  coerceArgument,
+  normalizeTextCommand,
+  parseMessage,
+  parseArguments,
+  formatUsage,
+  formatCommandHelp,
+  formatHelp
+};
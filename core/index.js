@@ -1,18 +1,29 @@
 // core/index.js
+const { PermissionFlagsBits } = require('discord.js');
 const DiscordManager = require('./discord');
 const WebServer = require('./web');
 const PluginLoader = require('./loader');
 const PluginRepository = require('./repo');
 const API = require('./api');
 const Logger = require('./logger');
+const PluginStorage = require('./storage');
+const PluginConfig = require('./config');
+const { formatHelp, formatCommandHelp } = require('./discord/text-commands');
+const { ENTRY_TYPES } = require('./discord/connection');
+const { version } = require('../package.json');
 
 class CoreSystem {
   constructor() {
+    // Core version used to evaluate plugin compatibility ranges
+    this.version = version;
+    
     this.discord = new DiscordManager(this);
     this.web = new WebServer(this);
     this.plugins = new PluginLoader(this);
     this.repo = new PluginRepository(this);
     this.logger = new Logger(this);
+    this.storage = new PluginStorage(this);
+    this.config = new PluginConfig(this);
     this.api = new API(this);
     
     // Bind API to this context
@@ -26,7 +37,10 @@ class CoreSystem {
     this.api.enablePlugin = this.plugins.enablePlugin.bind(this.plugins);
     this.api.disablePlugin = this.plugins.disablePlugin.bind(this.plugins);
     this.api.deletePlugin = this.plugins.deletePlugin.bind(this.plugins);
+    this.api.reloadPlugin = this.plugins.reloadPlugin.bind(this.plugins);
+    this.api.clearQuarantine = this.plugins.clearQuarantine.bind(this.plugins);
     this.api.getPlugins = this.plugins.getPlugins.bind(this.plugins);
+    this.api.getPlugin = this.plugins.getPlugin.bind(this.plugins);
     
     // Bind repository functions to API
     this.api.getAvailablePlugins = this.repo.getAvailablePlugins.bind(this.repo);
@@ -38,12 +52,17 @@ class CoreSystem {
       console.log('Starting core system...');
       
       // Initialize components in order
-      await this.discord.init();
       await this.web.init();
-      await this.plugins.init();
       
-      // Register core API routes for plugin management
+      // Register core API routes and Discord commands for plugin management
+      // before plugins load, so a plugin cannot take over their names
       await this.registerCoreAPIRoutes();
+      this.registerCoreCommands();
+      
+      // Plugins are loaded before connecting to Discord, so the client is
+      // created with the gateway intents their manifests ask for
+      await this.plugins.init();
+      await this.discord.init();
       
       // Register Discord commands after plugins are loaded
       await this.discord.registerCommands();
@@ -61,6 +80,7 @@ class CoreSystem {
       
       // Clean up components
       await this.plugins.destroy();
+      await this.storage.flush();
       await this.web.destroy();
       await this.discord.destroy();
       
@@ -84,6 +104,54 @@ class CoreSystem {
       }
     });
     
+    // Get details of a single plugin, including its leak report
+    this.api.registerRoute('/api/plugins/:name', async (req, res) => {
+      try {
+        const plugin = this.api.getPlugin(req.params.name);
+        if (!plugin) {
+          res.statusCode = 404;
+          return res.json({ error: `Plugin ${req.params.name} not found` });
+        }
+        
+        res.json({ ...plugin, storage: await this.storage.getUsage(plugin.name) });
+      } catch (error) {
+        console.error('Error fetching plugin:', error);
+        res.statusCode = 500;
+        res.json({ error: 'Failed to fetch plugin' });
+      }
+    });
+    
+    // Get or update a plugin's configuration
+    this.api.registerRoute('/api/plugins/:name/config', async (req, res) => {
+      try {
+        const pluginName = req.params.name;
+        if (!this.plugins.plugins.has(pluginName)) {
+          res.statusCode = 404;
+          return res.json({ error: `Plugin ${pluginName} not found` });
+        }
+        
+        if (req.method === 'POST') {
+          const { values } = req.body || {};
+          console.log(`API request to update configuration of plugin: ${pluginName}`);
+          const config = await this.config.setConfig(pluginName, values);
+          return res.json({ message: `Configuration of plugin ${pluginName} saved`, ...await this.config.getVisibleConfig(pluginName, config) });
+        }
+        
+        res.json({
+          schema: this.config.getSchema(pluginName),
+          ...await this.config.getVisibleConfig(pluginName)
+        });
+      } catch (error) {
+        console.error('Error handling plugin configuration:', error);
+        if (error.name === 'ConfigValidationError') {
+          res.statusCode = 400;
+          return res.json({ error: error.message, errors: error.errors });
+        }
+        res.statusCode = 500;
+        res.json({ error: error.message || 'Failed to handle plugin configuration' });
+      }
+    });
+    
     // Enable a plugin
     this.api.registerRoute('/api/plugins/enable', async (req, res) => {
       try {
@@ -131,14 +199,14 @@ class CoreSystem {
     // Delete a plugin
     this.api.registerRoute('/api/plugins/delete', async (req, res) => {
       try {
-        const { pluginName } = req.body;
+        const { pluginName, preserveData } = req.body;
         if (!pluginName) {
           res.statusCode = 400;
           return res.json({ error: 'Plugin name is required' });
         }
         
         console.log(`API request to delete plugin: ${pluginName}`);
-        await this.api.deletePlugin(pluginName);
+        await this.api.deletePlugin(pluginName, { preserveData: preserveData === true });
         res.json({ message: `Plugin ${pluginName} deleted successfully` });
       } catch (error) {
         console.error('Error deleting plugin:', error);
@@ -147,6 +215,50 @@ class CoreSystem {
       }
     });
     
+    // Reload a plugin's manifest and code
+    this.api.registerRoute('/api/plugins/reload', async (req, res) => {
+      try {
+        const { pluginName } = req.body || {};
+        if (!pluginName) {
+          res.statusCode = 400;
+          return res.json({ error: 'Plugin name is required' });
+        }
+        
+        console.log(`API request to reload plugin: ${pluginName}`);
+        const result = await this.api.reloadPlugin(pluginName);
+        if (!result.success) {
+          // Report why the new version was rejected and whether the previous one runs
+          res.statusCode = 500;
+          return res.json(result);
+        }
+        
+        res.json({ message: `Plugin ${pluginName} reloaded successfully`, ...result });
+      } catch (error) {
+        console.error('Error reloading plugin:', error);
+        res.statusCode = 500;
+        res.json({ error: error.message || 'Failed to reload plugin' });
+      }
+    });
+    
+    // Clear the quarantine of a plugin that exceeded its budgets
+    this.api.registerRoute('/api/plugins/quarantine/clear', async (req, res) => {
+      try {
+        const { pluginName } = req.body || {};
+        if (!pluginName) {
+          res.statusCode = 400;
+          return res.json({ error: 'Plugin name is required' });
+        }
+        
+        console.log(`API request to clear quarantine of plugin: ${pluginName}`);
+        await this.api.clearQuarantine(pluginName);
+        res.json({ message: `Quarantine of plugin ${pluginName} cleared` });
+      } catch (error) {
+        console.error('Error clearing plugin quarantine:', error);
+        res.statusCode = 500;
+        res.json({ error: error.message || 'Failed to clear quarantine' });
+      }
+    });
+    
     // Get list of available plugins from repository
     this.api.registerRoute('/api/repo/plugins', async (req, res) => {
       try {
@@ -190,8 +302,158 @@ class CoreSystem {
       }
     });
     
+    // Get the gateway connection history, newest first. Optional query
+    // parameters: limit, type (an entry type) and shard (a shard ID).
+    this.api.registerRoute('/api/bot/connection-history', (req, res) => {
+      try {
+        const query = new URL(req.url, 'http://localhost').searchParams;
+        const limit = query.has('limit') ? Number(query.get('limit')) : undefined;
+        const shardId = query.has('shard') ? Number(query.get('shard')) : undefined;
+        const type = query.get('type') || undefined;
+        if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+          res.statusCode = 400;
+          return res.json({ error: 'limit must be a positive whole number' });
+        }
+        if (shardId !== undefined && (!Number.isInteger(shardId) || shardId < 0)) {
+          res.statusCode = 400;
+          return res.json({ error: 'shard must be a shard ID' });
+        }
+        if (type && !ENTRY_TYPES.includes(type)) {
+          res.statusCode = 400;
+          return res.json({ error: `type must be one of: ${ENTRY_TYPES.join(', ')}` });
+        }
+        
+        const { recent, ...summary } = this.discord.connection.getSummary();
+        res.json({ ...summary, history: this.discord.connection.getHistory({ limit, type, shardId }) });
+      } catch (error) {
+        console.error('Error fetching connection history:', error);
+        res.statusCode = 500;
+        res.json({ error: 'Failed to fetch connection history' });
+      }
+    });
+    
+    // Reconnect to Discord so newly enabled plugins get their gateway intents
+    this.api.registerRoute('/api/bot/reconnect', async (req, res) => {
+      try {
+        await this.discord.reconnect();
+        res.json({ message: 'Reconnected to Discord', gateway: this.discord.getGatewayStatus() });
+      } catch (error) {
+        console.error('Error reconnecting to Discord:', error);
+        res.statusCode = 500;
+        res.json({ error: error.message || 'Failed to reconnect' });
+      }
+    });
+    
+    // Get the bot's presence, or save the presence rotation ({ rotation })
+    this.api.registerRoute('/api/bot/presence', async (req, res) => {
+      try {
+        if (req.method === 'POST') {
+          const { rotation } = req.body || {};
+          console.log('API request to update the presence rotation');
+          await this.discord.presence.setRotation(rotation || {});
+          return res.json({ message: 'Presence rotation saved', ...this.discord.presence.getStatus() });
+        }
+        
+        await this.discord.presence.load();
+        res.json(this.discord.presence.getStatus());
+      } catch (error) {
+        console.error('Error handling presence:', error);
+        res.statusCode = error.message.startsWith('Invalid') ? 400 : 500;
+        res.json({ error: error.message || 'Failed to handle presence' });
+      }
+    });
+    
+    // Get the text command prefixes, or set one guild's ({ guildId, prefix },
+    // where a null prefix resets it to the default)
+    this.api.registerRoute('/api/bot/prefixes', async (req, res) => {
+      try {
+        if (req.method === 'POST') {
+          const { guildId, prefix } = req.body || {};
+          console.log(`API request to set the command prefix of guild: ${guildId}`);
+          const updated = await this.discord.prefixes.set(guildId, prefix === undefined ? null : prefix);
+          return res.json({ message: `Command prefix of guild ${guildId} is now ${updated}`, prefix: updated });
+        }
+        
+        res.json(await this.discord.prefixes.getAll());
+      } catch (error) {
+        console.error('Error handling command prefixes:', error);
+        res.statusCode = 400;
+        res.json({ error: error.message || 'Failed to handle command prefixes' });
+      }
+    });
+    
     console.log('Registered core API routes for plugin management');
   }
+  
+  // Register core Discord commands for plugin management
+  registerCoreCommands() {
+    // Reload a single plugin (administrators only)
+    this.api.registerCommand('reload-plugin', 'Reload a plugin\'s manifest and code', async (interaction) => {
+      // default_member_permissions can be overridden by server managers, so
+      // check the caller here as well
+      if (!interaction.memberPermissions || !interaction.memberPermissions.has(PermissionFlagsBits.Administrator)) {
+        await interaction.reply({ content: 'Only administrators can reload plugins.', ephemeral: true });
+        return;
+      }
+      
+      const pluginName = interaction.options.getString('plugin', true);
+      
+      try {
+        const result = await this.api.reloadPlugin(pluginName);
+        const content = result.success
+          ? `Reloaded **${pluginName}** in ${result.duration}ms (commands ${result.commandsChanged ? 'changed' : 'unchanged'}).`
+          : `Failed to reload **${pluginName}**: ${result.error}. ${result.rolledBack
+            ? 'The previous version is still running.'
+            : 'The plugin is stopped until it is fixed and enabled again.'}`;
+        await interaction.reply({ content, ephemeral: true });
+      } catch (error) {
+        await interaction.reply({ content: `Failed to reload **${pluginName}**: ${error.message}`, ephemeral: true });
+      }
+    }, {
+      options: [
+        {
+          type: 3, // STRING
+          name: 'plugin',
+          description: 'Name of the plugin to reload',
+          required: true
+        }
+      ],
+      defaultMemberPermissions: '8' // ADMINISTRATOR
+    });
+    
+    // List the text commands, or explain one
+    this.api.registerTextCommand('help', 'List commands or show how to use one', async (message, args, { prefix }) => {
+      if (args.command) {
+        const command = this.api.getTextCommand(args.command);
+        await message.reply(command
+          ? formatCommandHelp(prefix, command)
+          : `There is no \`${prefix}${args.command}\` command.`);
+        return;
+      }
+      await message.reply(formatHelp(prefix, this.api.textCommands.values()));
+    }, {
+      aliases: ['commands'],
+      args: [{ name: 'command', description: 'Command to explain' }]
+    });
+    
+    // Show or change the server's text command prefix (server managers only)
+    this.api.registerTextCommand('prefix', 'Show or change the command prefix', async (message, args, { prefix }) => {
+      if (!args.prefix) {
+        await message.reply(`The command prefix is \`${prefix}\`.`);
+        return;
+      }
+      
+      try {
+        const updated = await this.discord.prefixes.set(message.guildId, args.prefix === 'reset' ? null : args.prefix);
+        await message.reply(`The command prefix is now \`${updated}\`.`);
+      } catch (error) {
+        await message.reply(error.message);
+      }
+    }, {
+      args: [{ name: 'prefix', description: 'New prefix, or "reset" for the default' }],
+      permissions: ['ManageGuild']
+    });
+  }
 }
 
 module.exports = CoreSystem;
\ No newline at end of file
@@ -1,7 +1,13 @@
 // core/loader/index.js
 const fs = require('fs').promises;
+const { watch } = require('fs');
 const path = require('path');
 const PluginSandbox = require('../sandbox');
+const semver = require('../semver');
+const { writeJsonAtomic } = require('../utils/atomic-write');
+
+// Delay before reacting to file changes, so a burst of writes triggers one reload
+const HOT_RELOAD_DEBOUNCE = 300;
 
 class PluginLoader {
   constructor(core) {
@@ -11,6 +17,11 @@ class PluginLoader {
     this.pluginPath = path.join(__dirname, '..', '..', 'plugins');
     this.sandbox = new PluginSandbox(core);
     this.stateFile = path.join(__dirname, '..', '..', 'config', 'plugin-states.json');
+    this.stateWrites = Promise.resolve(); // Pending states file update, so updates run one at a time
+    this.budgetFile = path.join(__dirname, '..', '..', 'config', 'plugin-budgets.json'); // Operator-set budgets
+    this.watcher = null; // File watcher over the plugins directory
+    this.reloadTimers = new Map(); // Pending debounced reloads per plugin
+    this.reloading = new Set(); // Plugins currently being reloaded
   }
 
   async init() {
@@ -26,7 +37,7 @@ class PluginLoader {
       const pluginStates = await this.loadPluginStates();
       console.log(`Loaded plugin states:`, pluginStates);
 
-      // Load all plugins
+      // Load all plugins without enabling them so the dependency graph is complete
       const pluginDirs = await fs.readdir(this.pluginPath);
       console.log(`Found plugin directories:`, pluginDirs);
       
@@ -35,15 +46,50 @@ class PluginLoader {
         const stat = await fs.stat(pluginDir);
         
         if (stat.isDirectory()) {
-          // Enable plugin if it's not explicitly disabled in the states file
-          const shouldBeEnabled = pluginStates[dir] !== false;
-          console.log(`Plugin ${dir} should be enabled: ${shouldBeEnabled} (state: ${pluginStates[dir]})`);
-          await this.loadPlugin(dir, shouldBeEnabled);
+          await this.loadPlugin(dir, false);
+        }
+      }
+      
+      // Enable plugins in dependency order
+      const loadOrder = this.resolveLoadOrder();
+      console.log(`Plugin load order:`, loadOrder);
+      
+      for (const pluginName of loadOrder) {
+        // Restore quarantines recorded in the states file
+        this.restoreQuarantine(pluginName, pluginStates[pluginName]);
+        
+        // Enable plugin if it's not explicitly disabled or quarantined in the states file
+        const shouldBeEnabled = this.isStateEnabled(pluginStates[pluginName]);
+        console.log(`Plugin ${pluginName} should be enabled: ${shouldBeEnabled} (state: ${pluginStates[pluginName]})`);
+        if (!shouldBeEnabled) {
+          continue;
+        }
+        
+        const unmet = this.getUnmetDependencies(pluginName);
+        if (unmet.length > 0) {
+          // Enabled once its dependencies are, without changing the saved state
+          this.plugins.get(pluginName).disabledBy = unmet[0].name;
+          console.log(`Plugin ${pluginName} waits for ${unmet.map(dep => dep.name).join(', ')} before it is enabled`);
+          continue;
+        }
+        
+        try {
+          await this.enablePlugin(pluginName);
+        } catch (error) {
+          console.error(`Failed to enable plugin ${pluginName} on startup: ${error.message}`);
         }
       }
       
       console.log(`Loaded ${this.plugins.size} plugins`);
       console.log(`Enabled plugins:`, Array.from(this.enabledPlugins.keys()));
+      
+      // Hot reload is on by default outside production; PLUGIN_HOT_RELOAD overrides it
+      const hotReload = process.env.PLUGIN_HOT_RELOAD
+        ? process.env.PLUGIN_HOT_RELOAD === 'true'
+        : process.env.NODE_ENV !== 'production';
+      if (hotReload) {
+        this.watchPlugins();
+      }
     } catch (error) {
       console.error('Failed to initialize plugin loader:', error);
       throw error;
@@ -53,32 +99,37 @@ class PluginLoader {
   async loadPlugin(pluginName, shouldBeEnabled = true) {
     try {
       const pluginDir = path.join(this.pluginPath, pluginName);
-      const manifestPath = path.join(pluginDir, 'plugin.json');
+      const manifest = await this.readManifest(pluginName);
       
-      // Read plugin manifest
-      const manifestData = await fs.readFile(manifestPath, 'utf8');
-      const manifest = JSON.parse(manifestData);
-      
-      // Validate manifest
-      if (!manifest.name || !manifest.entry) {
-        throw new Error('Invalid plugin manifest: missing required fields');
+      // Check compatibility with the core version
+      const compatibility = this.checkCoreCompatibility(manifest);
+      if (!compatibility.compatible) {
+        // Keep the manifest so the plugin and the reason are listed, but never load its code
+        console.warn(`Plugin ${pluginName} is incompatible: ${compatibility.reason}`);
+        this.plugins.set(pluginName, {
+          name: pluginName,
+          manifest,
+          module: null,
+          compatibility,
+          enabled: false
+        });
+        return;
       }
       
-      // Check compatibility
-      if (manifest.compatibility && manifest.compatibility.core) {
-        // In a real implementation, we would check version compatibility here
-        console.log(`Plugin ${pluginName} has compatibility requirements: ${manifest.compatibility.core}`);
-      }
+      // Apply permissions and budgets before the module is created
+      await this.applyPluginLimits(pluginName, manifest);
       
-      // Load plugin entry point
-      const entryPath = path.join(pluginDir, manifest.entry);
-      const pluginModule = require(entryPath);
+      // Load plugin entry point, dropping any stale copy from an earlier load
+      this.purgeModuleCache(pluginDir);
+      const pluginModule = this.requirePluginModule(pluginName, manifest);
       
       // Store plugin reference with correct enabled state
       const plugin = {
         name: pluginName,
         manifest,
         module: pluginModule,
+        compatibility,
+        loadedAt: Date.now(),
         enabled: false // Initially false, will be set to true if enabled
       };
       
@@ -87,12 +138,17 @@ class PluginLoader {
       console.log(`Loaded plugin: ${pluginName} (should be enabled: ${shouldBeEnabled})`);
       
       // Enable the plugin if it should be enabled
-      if (shouldBeEnabled) {
+      const unmet = shouldBeEnabled ? this.getUnmetDependencies(pluginName) : [];
+      if (unmet.length > 0) {
+        // Enabled once its dependencies are, without changing the saved state
+        plugin.disabledBy = unmet[0].name;
+        console.log(`Plugin ${pluginName} waits for ${unmet.map(dep => dep.name).join(', ')} before it is enabled`);
+      } else if (shouldBeEnabled) {
         console.log(`Enabling plugin ${pluginName} on startup`);
         // Call enablePlugin to ensure proper initialization and state saving
         await this.enablePlugin(pluginName);
       } else {
-        console.log(`Plugin ${pluginName} will remain disabled on startup`);
+        console.log(`Plugin ${pluginName} loaded but not enabled`);
       }
     } catch (error) {
       console.error(`Failed to load plugin ${pluginName}:`, error);
@@ -121,6 +177,13 @@ class PluginLoader {
   }
 
   async enablePlugin(pluginName) {
+    // Refuse to enable a plugin whose dependencies are not satisfied.
+    // This happens before the state is touched so the saved state is kept
+    // and the plugin can be enabled once its dependencies are available.
+    this.checkCompatibility(pluginName);
+    this.checkQuarantine(pluginName);
+    this.checkDependencies(pluginName);
+    
     try {
       console.log(`[DEBUG] enablePlugin called with pluginName: ${pluginName}`);
       const plugin = this.plugins.get(pluginName);
@@ -139,6 +202,7 @@ class PluginLoader {
       // Mark plugin as enabled BEFORE initializing in sandbox
       // This ensures the state is saved even if sandbox initialization fails
       plugin.enabled = true;
+      delete plugin.disabledBy;
       this.enabledPlugins.set(pluginName, plugin);
       
       // Save plugin state immediately
@@ -154,7 +218,7 @@ class PluginLoader {
       // Initialize plugin in sandbox
       try {
         console.log(`[DEBUG] About to initialize plugin ${pluginName} in sandbox`);
-        await this.sandbox.runPluginMethod(pluginName, plugin.module, 'init', this.core);
+        await this.sandbox.initPlugin(pluginName, plugin.module);
         console.log(`[DEBUG] Successfully initialized plugin ${pluginName} in sandbox`);
       } catch (error) {
         console.error(`[ERROR] Failed to initialize plugin ${pluginName} in sandbox:`, error);
@@ -162,6 +226,7 @@ class PluginLoader {
       }
       
       console.log(`[DEBUG] Enabled plugin: ${pluginName}`);
+      await this.enableDependents(pluginName);
     } catch (error) {
       console.error(`[ERROR] Failed to enable plugin ${pluginName}:`, error);
       // Make sure to mark the plugin as disabled if there was an error
@@ -180,7 +245,10 @@ class PluginLoader {
     }
   }
 
-  async disablePlugin(pluginName) {
+  // Disable a plugin. options.disabledBy names the dependency whose disable
+  // cascaded to this plugin: that is not saved, and the plugin is enabled
+  // again with its dependency.
+  async disablePlugin(pluginName, options = {}) {
     try {
       console.log(`[DEBUG] disablePlugin called with pluginName: ${pluginName}`);
       const plugin = this.plugins.get(pluginName);
@@ -190,39 +258,44 @@ class PluginLoader {
       }
       
       if (!plugin.enabled) {
+        // Disabling a plugin that waits for a dependency keeps it disabled
+        if (plugin.disabledBy && !options.disabledBy) {
+          delete plugin.disabledBy;
+          await this.savePluginState(pluginName, false);
+        }
         console.log(`[DEBUG] Plugin ${pluginName} is already disabled`);
         return;
       }
       
       console.log(`[DEBUG] Disabling plugin: ${pluginName}`);
       
+      // Disable plugins that depend on this one first
+      await this.disableDependents(pluginName);
+      
       // Mark plugin as disabled BEFORE destroying in sandbox
       // This ensures the state is saved even if sandbox destruction fails
       plugin.enabled = false;
       this.enabledPlugins.delete(pluginName);
       
-      // Save plugin state immediately
-      console.log(`[DEBUG] About to save plugin state for ${pluginName}: false`);
-      try {
-        await this.savePluginState(pluginName, false);
-        console.log(`[DEBUG] Successfully saved plugin state for ${pluginName}`);
-      } catch (error) {
-        console.error(`[ERROR] Failed to save plugin state for ${pluginName}:`, error);
-        // Even if saving fails, we still want to try to destroy the plugin
+      if (options.disabledBy) {
+        plugin.disabledBy = options.disabledBy;
+      } else {
+        // Save plugin state immediately
+        console.log(`[DEBUG] About to save plugin state for ${pluginName}: false`);
+        try {
+          await this.savePluginState(pluginName, false);
+          console.log(`[DEBUG] Successfully saved plugin state for ${pluginName}`);
+        } catch (error) {
+          console.error(`[ERROR] Failed to save plugin state for ${pluginName}:`, error);
+          // Even if saving fails, we still want to try to destroy the plugin
+        }
       }
       
-      // Unregister plugin resources (commands, routes, etc.)
-      this.sandbox.unregisterPluginResources(pluginName);
-      
-      // Destroy plugin in sandbox
-      try {
-        console.log(`[DEBUG] About to destroy plugin ${pluginName} in sandbox`);
-        await this.sandbox.runPluginMethod(pluginName, plugin.module, 'destroy');
-        console.log(`[DEBUG] Successfully destroyed plugin ${pluginName} in sandbox`);
-      } catch (error) {
-        console.error(`[ERROR] Failed to destroy plugin ${pluginName} in sandbox:`, error);
-        // Don't re-throw the error - the plugin state should still be saved
-      }
+      // Destroy plugin in sandbox, then unregister what it left behind
+      // (commands, routes, event handlers, timers). Errors are logged there
+      // since the plugin state should still be saved.
+      console.log(`[DEBUG] About to destroy plugin ${pluginName} in sandbox`);
+      await this.stopPluginInstance(pluginName, plugin.module);
       
       console.log(`[DEBUG] Disabled plugin: ${pluginName}`);
     } catch (error) {
@@ -231,6 +304,7 @@ class PluginLoader {
       const plugin = this.plugins.get(pluginName);
       if (plugin) {
         plugin.enabled = true;
+        delete plugin.disabledBy;
         this.enabledPlugins.set(pluginName, plugin);
         // Try to save the enabled state
         try {
@@ -243,7 +317,9 @@ class PluginLoader {
     }
   }
 
-  async deletePlugin(pluginName) {
+  // Delete a plugin with its stored data and configuration. Pass
+  // { preserveData: true } to keep them, e.g. when the plugin will be reinstalled.
+  async deletePlugin(pluginName, options = {}) {
     try {
       const plugin = this.plugins.get(pluginName);
       if (!plugin) {
@@ -252,6 +328,9 @@ class PluginLoader {
       
       console.log(`Deleting plugin: ${pluginName}`);
       
+      // Disable plugins that depend on this one
+      await this.disableDependents(pluginName);
+      
       // Disable plugin if it's enabled
       if (plugin.enabled) {
         console.log(`Disabling plugin ${pluginName} before deletion`);
@@ -265,6 +344,15 @@ class PluginLoader {
       
       // Remove plugin reference
       this.plugins.delete(pluginName);
+      this.clearPluginLimits(pluginName);
+      
+      // Remove plugin data and configuration unless asked to keep them
+      if (options.preserveData) {
+        console.log(`Keeping stored data of plugin ${pluginName}`);
+      } else {
+        await this.core.storage.deleteNamespace(pluginName);
+        await this.core.config.deleteConfig(pluginName);
+      }
       
       // Remove plugin state
       console.log(`Removing plugin state for: ${pluginName}`);
@@ -277,21 +365,340 @@ class PluginLoader {
     }
   }
 
+  // Read and validate a plugin's manifest from disk
+  async readManifest(pluginName) {
+    const manifestPath = path.join(this.pluginPath, pluginName, 'plugin.json');
+    
+    // Read plugin manifest
+    const manifestData = await fs.readFile(manifestPath, 'utf8');
+    const manifest = JSON.parse(manifestData);
+    
+    // Validate manifest
+    if (!manifest.name || !manifest.entry) {
+      throw new Error('Invalid plugin manifest: missing required fields');
+    }
+    
+    return manifest;
+  }
+  
+  // Load a plugin's entry point with its timers tracked. Plugins isolated in
+  // a worker thread are not loaded here; they get a stand-in that loads them
+  // inside the worker.
+  requirePluginModule(pluginName, manifest) {
+    const entryPath = path.join(this.pluginPath, pluginName, manifest.entry);
+    if (this.sandbox.usesWorker(manifest)) {
+      return this.sandbox.createWorkerPlugin(pluginName, entryPath, manifest);
+    }
+    return this.sandbox.loadPluginModule(pluginName, entryPath);
+  }
+  
+  // Unregister a plugin's resources and run its destroy method without saving state
+  async stopPluginInstance(pluginName, pluginModule) {
+    // Destroy plugin in sandbox
+    try {
+      await this.sandbox.runPluginMethod(pluginName, pluginModule, 'destroy');
+    } catch (error) {
+      console.error(`Failed to destroy plugin ${pluginName} in sandbox:`, error);
+    }
+    
+    // Keep a report of the timers and event handlers that survived destroy
+    const leaks = this.sandbox.getLeakReport(pluginName);
+    const plugin = this.plugins.get(pluginName);
+    if (plugin) {
+      plugin.leaks = leaks;
+    }
+    if (leaks) {
+      console.warn(`Plugin ${pluginName} left ${leaks.events.length} event handler(s), ` +
+        `${leaks.timeouts.length} timeout(s) and ${leaks.intervals.length} interval(s) after destroy; cleaning up`);
+    }
+    
+    // Unregister plugin resources (commands, routes, events, timers)
+    this.sandbox.unregisterPluginResources(pluginName);
+  }
+  
+  // Remove every cached module under a plugin directory, returning the removed entries
+  purgeModuleCache(pluginDir) {
+    const prefix = pluginDir + path.sep;
+    const removed = new Map();
+    for (const id of Object.keys(require.cache)) {
+      if (id.startsWith(prefix)) {
+        removed.set(id, require.cache[id]);
+        delete require.cache[id];
+      }
+    }
+    return removed;
+  }
+  
+  // Put previously purged modules back into the require cache
+  restoreModuleCache(entries) {
+    for (const [id, cachedModule] of entries) {
+      require.cache[id] = cachedModule;
+    }
+  }
+  
+  // Reload a plugin's manifest and code. If the new version fails to load or
+  // initialize, the previous module is restored and restarted. A worker
+  // plugin loads its code from disk when it starts, so its previous version
+  // cannot be restarted; it is left stopped and reported as not rolled back.
+  async reloadPlugin(pluginName) {
+    const plugin = this.plugins.get(pluginName);
+    if (!plugin) {
+      throw new Error(`Plugin ${pluginName} not found`);
+    }
+    if (this.reloading.has(pluginName)) {
+      throw new Error(`Plugin ${pluginName} is already being reloaded`);
+    }
+    
+    this.reloading.add(pluginName);
+    const startedAt = Date.now();
+    const pluginDir = path.join(this.pluginPath, pluginName);
+    const wasEnabled = plugin.enabled;
+    const previous = {
+      manifest: plugin.manifest,
+      module: plugin.module,
+      compatibility: plugin.compatibility
+    };
+    const commandsBefore = this.getCommandSignature(pluginName);
+    let previousCache = null;
+    let newModule = null;
+    let stopped = false;
+    
+    try {
+      console.log(`Reloading plugin: ${pluginName}`);
+      
+      const manifest = await this.readManifest(pluginName);
+      const compatibility = this.checkCoreCompatibility(manifest);
+      if (!compatibility.compatible) {
+        throw new Error(`Plugin ${pluginName} is incompatible: ${compatibility.reason}`);
+      }
+      
+      // Stop the running instance before loading the new code
+      if (wasEnabled && previous.module) {
+        await this.stopPluginInstance(pluginName, previous.module);
+        stopped = true;
+      }
+      
+      await this.applyPluginLimits(pluginName, manifest);
+      previousCache = this.purgeModuleCache(pluginDir);
+      const pluginModule = this.requirePluginModule(pluginName, manifest);
+      newModule = pluginModule;
+      
+      plugin.manifest = manifest;
+      plugin.module = pluginModule;
+      plugin.compatibility = compatibility;
+      
+      if (wasEnabled) {
+        this.checkDependencies(pluginName);
+        await this.sandbox.initPlugin(pluginName, pluginModule);
+      }
+      
+      plugin.loadedAt = Date.now();
+      const duration = Date.now() - startedAt;
+      const commandsChanged = this.getCommandSignature(pluginName) !== commandsBefore;
+      console.log(`Reloaded plugin ${pluginName} in ${duration}ms (commands changed: ${commandsChanged})`);
+      return {
+        name: pluginName,
+        success: true,
+        duration,
+        commandsChanged,
+        commands: this.sandbox.pluginCommands.get(pluginName) || []
+      };
+    } catch (error) {
+      console.error(`Failed to reload plugin ${pluginName}, rolling back:`, error);
+      
+      // Drop whatever the new version registered and bring back the old modules
+      if (previousCache) {
+        this.sandbox.unregisterPluginResources(pluginName);
+        this.purgeModuleCache(pluginDir);
+        this.restoreModuleCache(previousCache);
+      }
+      if (newModule) {
+        await this.sandbox.disposePluginModule(newModule);
+      }
+      
+      plugin.manifest = previous.manifest;
+      plugin.module = previous.module;
+      plugin.compatibility = previous.compatibility;
+      await this.applyPluginLimits(pluginName, previous.manifest);
+      
+      let rolledBack = true;
+      if (stopped && this.sandbox.usesWorker(previous.manifest)) {
+        rolledBack = false;
+      } else if (stopped) {
+        try {
+          await this.sandbox.initPlugin(pluginName, previous.module);
+        } catch (restartError) {
+          console.error(`Failed to restart previous version of plugin ${pluginName}:`, restartError);
+          rolledBack = false;
+        }
+      }
+      if (!rolledBack) {
+        console.warn(`Plugin ${pluginName} is stopped until it is fixed and enabled again`);
+        plugin.enabled = false;
+        this.enabledPlugins.delete(pluginName);
+        await this.disableDependents(pluginName);
+      }
+      
+      return {
+        name: pluginName,
+        success: false,
+        rolledBack,
+        duration: Date.now() - startedAt,
+        commandsChanged: this.getCommandSignature(pluginName) !== commandsBefore,
+        commands: this.sandbox.pluginCommands.get(pluginName) || [],
+        error: error.message
+      };
+    } finally {
+      this.reloading.delete(pluginName);
+    }
+  }
+  
+  // Serialize the commands a plugin has registered so reloads can detect changes
+  getCommandSignature(pluginName) {
+    const names = [...(this.sandbox.pluginCommands.get(pluginName) || [])].sort();
+    return JSON.stringify(names.map(name => {
+      const command = this.core.api && this.core.api.commands.get(name);
+      return command
+        ? [name, command.description, command.options || [], command.defaultMemberPermissions || null]
+        : [name];
+    }));
+  }
+  
+  // Watch the plugins directory and hot reload plugins when their files change
+  watchPlugins() {
+    if (this.watcher) {
+      return;
+    }
+    
+    try {
+      this.watcher = watch(this.pluginPath, { recursive: true }, (eventType, filename) => {
+        if (!filename) {
+          return;
+        }
+        
+        const segments = filename.split(path.sep);
+        const pluginName = segments[0];
+        // Ignore hidden files and installed packages inside plugins
+        if (!pluginName || segments.some(segment => segment.startsWith('.') || segment === 'node_modules')) {
+          return;
+        }
+        
+        this.scheduleHotReload(pluginName);
+      });
+      
+      this.watcher.on('error', (error) => {
+        console.error('Plugin watcher error:', error);
+      });
+      
+      console.log(`Watching ${this.pluginPath} for plugin changes`);
+    } catch (error) {
+      console.error('Failed to watch plugins directory:', error);
+      this.watcher = null;
+    }
+  }
+  
+  // Stop watching the plugins directory
+  unwatchPlugins() {
+    for (const timer of this.reloadTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.reloadTimers.clear();
+    
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+  
+  // Debounce file changes for a plugin into a single reload
+  scheduleHotReload(pluginName) {
+    clearTimeout(this.reloadTimers.get(pluginName));
+    
+    const changedAt = Date.now();
+    const timer = setTimeout(() => {
+      this.reloadTimers.delete(pluginName);
+      this.handlePluginChange(pluginName, changedAt).catch((error) => {
+        console.error(`Failed to hot reload plugin ${pluginName}:`, error);
+      });
+    }, HOT_RELOAD_DEBOUNCE);
+    
+    this.reloadTimers.set(pluginName, timer);
+  }
+  
+  // React to a change inside a plugin directory
+  async handlePluginChange(pluginName, changedAt) {
+    if (this.reloading.has(pluginName)) {
+      // Try again once the running reload has finished
+      this.scheduleHotReload(pluginName);
+      return;
+    }
+    
+    const pluginDir = path.join(this.pluginPath, pluginName);
+    let exists = false;
+    try {
+      exists = (await fs.stat(pluginDir)).isDirectory();
+    } catch (error) {
+      exists = false;
+    }
+    
+    const plugin = this.plugins.get(pluginName);
+    
+    // Plugin directory was removed
+    if (!exists) {
+      if (plugin) {
+        console.log(`Plugin directory removed, unloading: ${pluginName}`);
+        await this.disableDependents(pluginName);
+        if (plugin.enabled) {
+          await this.stopPluginInstance(pluginName, plugin.module);
+        }
+        plugin.enabled = false;
+        this.enabledPlugins.delete(pluginName);
+        this.plugins.delete(pluginName);
+        this.clearPluginLimits(pluginName);
+        this.purgeModuleCache(pluginDir);
+      }
+      return;
+    }
+    
+    // New plugin directory
+    if (!plugin) {
+      try {
+        await fs.access(path.join(pluginDir, 'plugin.json'));
+      } catch (error) {
+        // The manifest has not been written yet; a later change will pick it up
+        return;
+      }
+      
+      console.log(`Detected new plugin: ${pluginName}`);
+      const pluginStates = await this.loadPluginStates();
+      const state = pluginStates[pluginName];
+      await this.loadPlugin(pluginName, false);
+      this.restoreQuarantine(pluginName, state);
+      if (this.plugins.has(pluginName) && this.isStateEnabled(state)) {
+        await this.enablePlugin(pluginName);
+      }
+      return;
+    }
+    
+    // Skip changes that were already picked up by a newer load (e.g. an install)
+    if (plugin.loadedAt && plugin.loadedAt > changedAt) {
+      return;
+    }
+    
+    await this.reloadPlugin(pluginName);
+  }
+  
   async destroy() {
-    // Disable all plugins for cleanup (without saving state changes)
-    for (const [pluginName] of this.enabledPlugins) {
+    // Stop reacting to file changes
+    this.unwatchPlugins();
+    
+    // Disable all plugins for cleanup (without saving state changes).
+    // Plugins are enabled in dependency order, so tear them down in reverse.
+    for (const pluginName of Array.from(this.enabledPlugins.keys()).reverse()) {
       try {
         const plugin = this.plugins.get(pluginName);
         if (plugin) {
-          // Unregister plugin resources (commands, routes, etc.)
-          this.sandbox.unregisterPluginResources(pluginName);
-          
-          // Destroy plugin in sandbox
-          try {
-            await this.sandbox.runPluginMethod(pluginName, plugin.module, 'destroy');
-          } catch (error) {
-            console.error(`Failed to destroy plugin ${pluginName} in sandbox:`, error);
-          }
+          await this.stopPluginInstance(pluginName, plugin.module);
           
           // Mark plugin as disabled (but don't save state)
           plugin.enabled = false;
@@ -312,11 +719,352 @@ class PluginLoader {
   
   // Get list of all plugins
   getPlugins() {
-    return Array.from(this.plugins.entries()).map(([name, plugin]) => ({
+    return Array.from(this.plugins.entries()).map(([name, plugin]) => this.describePlugin(name, plugin));
+  }
+  
+  // Get a single plugin with the resources it has registered and the
+  // leak report from its last shutdown
+  getPlugin(pluginName) {
+    const plugin = this.plugins.get(pluginName);
+    if (!plugin) {
+      return null;
+    }
+    
+    return {
+      ...this.describePlugin(pluginName, plugin),
+      resources: this.sandbox.getPluginResources(pluginName),
+      leaks: plugin.leaks || null
+    };
+  }
+  
+  describePlugin(name, plugin) {
+    return {
       name,
       manifest: plugin.manifest,
-      enabled: plugin.enabled
-    }));
+      enabled: plugin.enabled,
+      compatibility: plugin.compatibility,
+      isolation: this.sandbox.getIsolationStatus(plugin.module),
+      quarantine: plugin.quarantine || null,
+      budgets: this.sandbox.budgets.getUsage(name),
+      conflicts: this.core.api ? this.core.api.getConflicts(name) : [],
+      dependencies: this.getDependencies(name),
+      dependents: this.getDependents(name),
+      disabledBy: plugin.disabledBy || null,
+      unmetDependencies: this.getUnmetDependencies(name),
+      dependencyCycle: this.findDependencyCycle(name)
+    };
+  }
+  
+  // Load operator-set budgets ({ "plugin-name": { "maxExecutionMs": 2000 } })
+  async loadOperatorBudgets() {
+    try {
+      const data = await fs.readFile(this.budgetFile, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      // No operator budgets configured
+      return {};
+    }
+  }
+  
+  // Apply a plugin's permissions, budgets and storage quota. Operator-set
+  // budgets take precedence over the ones declared in the manifest.
+  async applyPluginLimits(pluginName, manifest) {
+    const operatorBudgets = await this.loadOperatorBudgets();
+    const budgets = {
+      ...(manifest.budgets || {}),
+      ...(operatorBudgets[pluginName] || {})
+    };
+    
+    this.sandbox.setPluginPermissions(pluginName, manifest.permissions);
+    this.sandbox.budgets.setBudgets(pluginName, budgets);
+    this.core.storage.setQuota(pluginName, {
+      maxBytes: budgets.maxStorageBytes,
+      maxKeys: budgets.maxStorageKeys
+    });
+  }
+  
+  // Forget the permissions, budgets and storage quota of a removed plugin
+  clearPluginLimits(pluginName) {
+    this.sandbox.clearPluginPermissions(pluginName);
+    this.sandbox.budgets.clear(pluginName);
+    this.core.storage.clearQuota(pluginName);
+  }
+  
+  // Disable a plugin that keeps exceeding its budget and record why
+  async quarantinePlugin(pluginName, reason) {
+    const plugin = this.plugins.get(pluginName);
+    if (!plugin) {
+      throw new Error(`Plugin ${pluginName} not found`);
+    }
+    
+    console.error(`Quarantining plugin ${pluginName}: ${reason}`);
+    const quarantine = { reason, at: new Date().toISOString() };
+    plugin.quarantine = quarantine;
+    
+    if (plugin.enabled) {
+      await this.disablePlugin(pluginName);
+    }
+    await this.savePluginQuarantine(pluginName, quarantine);
+  }
+  
+  // Lift a quarantine. The plugin stays disabled until it is enabled again.
+  async clearQuarantine(pluginName) {
+    const plugin = this.plugins.get(pluginName);
+    if (!plugin) {
+      throw new Error(`Plugin ${pluginName} not found`);
+    }
+    
+    plugin.quarantine = null;
+    this.sandbox.budgets.resetViolations(pluginName);
+    await this.savePluginQuarantine(pluginName, null);
+    console.log(`Cleared quarantine of plugin ${pluginName}`);
+  }
+  
+  // Throw if a plugin is quarantined
+  checkQuarantine(pluginName) {
+    const plugin = this.plugins.get(pluginName);
+    if (plugin && plugin.quarantine) {
+      throw new Error(`Plugin ${pluginName} is quarantined: ${plugin.quarantine.reason}. Clear the quarantine before enabling it.`);
+    }
+  }
+  
+  // Copy a quarantine from a saved state onto a loaded plugin
+  restoreQuarantine(pluginName, state) {
+    const plugin = this.plugins.get(pluginName);
+    if (plugin && state && typeof state === 'object' && state.quarantined) {
+      plugin.quarantine = state.quarantined;
+    }
+  }
+  
+  // Saved states are either a boolean or { enabled, quarantined }
+  isStateEnabled(state) {
+    if (state && typeof state === 'object') {
+      return state.enabled !== false && !state.quarantined;
+    }
+    return state !== false;
+  }
+  
+  // Evaluate a manifest's compatibility.core range against the core version
+  checkCoreCompatibility(manifest) {
+    const coreVersion = this.core.version || null;
+    const required = manifest.compatibility && manifest.compatibility.core
+      ? manifest.compatibility.core
+      : null;
+    
+    if (!required || !coreVersion) {
+      return { compatible: true, required, coreVersion };
+    }
+    
+    if (!semver.isValidRange(required)) {
+      return {
+        compatible: false,
+        required,
+        coreVersion,
+        reason: `Invalid core compatibility range "${required}"`
+      };
+    }
+    
+    if (!semver.satisfies(coreVersion, required)) {
+      return {
+        compatible: false,
+        required,
+        coreVersion,
+        reason: `Requires core ${required} but the running core is ${coreVersion}`
+      };
+    }
+    
+    return { compatible: true, required, coreVersion };
+  }
+  
+  // Throw if a plugin was refused because it is incompatible with the core
+  checkCompatibility(pluginName) {
+    const plugin = this.plugins.get(pluginName);
+    if (plugin && plugin.compatibility && !plugin.compatibility.compatible) {
+      throw new Error(`Plugin ${pluginName} is incompatible: ${plugin.compatibility.reason}`);
+    }
+  }
+  
+  // Get the dependencies declared by a plugin as { name, range } entries.
+  // Accepts an array of "name" or "name@range" strings, or an object
+  // mapping plugin names to version ranges.
+  parseDependencies(pluginName) {
+    const plugin = this.plugins.get(pluginName);
+    const dependencies = plugin ? plugin.manifest.dependencies : null;
+    
+    if (Array.isArray(dependencies)) {
+      return dependencies
+        .filter(dependency => typeof dependency === 'string')
+        .map(dependency => {
+          const separator = dependency.indexOf('@', 1);
+          return separator === -1
+            ? { name: dependency, range: null }
+            : { name: dependency.slice(0, separator), range: dependency.slice(separator + 1) };
+        });
+    }
+    
+    if (dependencies && typeof dependencies === 'object') {
+      return Object.entries(dependencies).map(([name, range]) => ({
+        name,
+        range: typeof range === 'string' && range !== '' ? range : null
+      }));
+    }
+    
+    return [];
+  }
+  
+  // Get the names of the plugins a plugin depends on
+  getDependencies(pluginName) {
+    return this.parseDependencies(pluginName).map(dependency => dependency.name);
+  }
+  
+  // Get the names of loaded plugins that depend on a plugin
+  getDependents(pluginName) {
+    return Array.from(this.plugins.keys())
+      .filter(name => this.getDependencies(name).includes(pluginName));
+  }
+  
+  // Get the dependencies of a plugin that are missing or disabled
+  getUnmetDependencies(pluginName) {
+    const unmet = [];
+    for (const { name, range } of this.parseDependencies(pluginName)) {
+      const dependencyPlugin = this.plugins.get(name);
+      if (!dependencyPlugin) {
+        unmet.push({ name, reason: 'missing' });
+        continue;
+      }
+      
+      if (range) {
+        const version = dependencyPlugin.manifest.version;
+        let satisfied = false;
+        try {
+          satisfied = semver.satisfies(version, range);
+        } catch (error) {
+          // Invalid ranges or versions count as unsatisfied
+        }
+        if (!satisfied) {
+          unmet.push({ name, reason: 'incompatible', required: range, version: version || null });
+          continue;
+        }
+      }
+      
+      if (!dependencyPlugin.enabled) {
+        unmet.push({ name, reason: 'disabled' });
+      }
+    }
+    return unmet;
+  }
+  
+  // Find a dependency cycle that leads back to a plugin, e.g. ['a', 'b', 'a']
+  findDependencyCycle(pluginName) {
+    const visited = new Set();
+    
+    const visit = (name, trail) => {
+      for (const dependency of this.getDependencies(name)) {
+        if (dependency === pluginName) {
+          return [...trail, dependency];
+        }
+        if (visited.has(dependency) || !this.plugins.has(dependency)) {
+          continue;
+        }
+        visited.add(dependency);
+        const cycle = visit(dependency, [...trail, dependency]);
+        if (cycle) {
+          return cycle;
+        }
+      }
+      return null;
+    };
+    
+    return visit(pluginName, [pluginName]);
+  }
+  
+  // Sort loaded plugins so that every plugin comes after its dependencies.
+  // Plugins that are part of (or depend on) a cycle are appended at the end;
+  // enablePlugin will refuse them with a descriptive error.
+  resolveLoadOrder() {
+    const names = Array.from(this.plugins.keys());
+    const remaining = new Map();
+    for (const name of names) {
+      const loadedDependencies = this.getDependencies(name).filter(dep => this.plugins.has(dep));
+      remaining.set(name, new Set(loadedDependencies));
+    }
+    
+    const order = [];
+    let progressed = true;
+    while (progressed) {
+      progressed = false;
+      for (const name of names) {
+        const pending = remaining.get(name);
+        if (!pending || pending.size > 0) {
+          continue;
+        }
+        
+        order.push(name);
+        remaining.delete(name);
+        for (const other of remaining.values()) {
+          other.delete(name);
+        }
+        progressed = true;
+      }
+    }
+    
+    // Whatever is left could not be ordered because of a cycle
+    for (const name of remaining.keys()) {
+      order.push(name);
+    }
+    
+    return order;
+  }
+  
+  // Throw if a plugin cannot be enabled because of its dependencies
+  checkDependencies(pluginName) {
+    if (!this.plugins.has(pluginName)) {
+      return;
+    }
+    
+    const cycle = this.findDependencyCycle(pluginName);
+    if (cycle) {
+      throw new Error(`Circular dependency detected: ${cycle.join(' -> ')}`);
+    }
+    
+    const unmet = this.getUnmetDependencies(pluginName);
+    if (unmet.length > 0) {
+      const details = unmet.map(dep => dep.reason === 'incompatible'
+        ? `${dep.name} (requires ${dep.required}, found ${dep.version})`
+        : `${dep.name} (${dep.reason})`).join(', ');
+      throw new Error(`Plugin ${pluginName} has unmet dependencies: ${details}`);
+    }
+  }
+  
+  // Disable all enabled plugins that depend on a plugin. Their saved state
+  // is left alone, so they come back with the plugin.
+  async disableDependents(pluginName) {
+    for (const dependent of this.getDependents(pluginName)) {
+      const dependentPlugin = this.plugins.get(dependent);
+      if (dependentPlugin && dependentPlugin.enabled) {
+        console.log(`Disabling plugin ${dependent} because it depends on ${pluginName}`);
+        await this.disablePlugin(dependent, { disabledBy: pluginName });
+      }
+    }
+  }
+  
+  // Enable the dependents of a plugin that were waiting for their
+  // dependencies, once none is missing or disabled
+  async enableDependents(pluginName) {
+    for (const dependent of this.getDependents(pluginName)) {
+      const dependentPlugin = this.plugins.get(dependent);
+      if (!dependentPlugin || dependentPlugin.enabled || !dependentPlugin.disabledBy ||
+        this.getUnmetDependencies(dependent).length > 0) {
+        continue;
+      }
+      
+      console.log(`Enabling plugin ${dependent} again now that ${pluginName} is enabled`);
+      try {
+        await this.enablePlugin(dependent);
+      } catch (error) {
+        console.error(`Failed to enable plugin ${dependent} after ${pluginName}:`, error);
+      }
+    }
   }
   
   // Get list of enabled plugins
@@ -341,28 +1089,14 @@ class PluginLoader {
   // Save plugin state to file
   async savePluginState(pluginName, enabled) {
     try {
-      console.log(`[DEBUG] savePluginState called for ${pluginName} with value ${enabled}`);
-      // Load existing states
-      const states = await this.loadPluginStates();
-      
-      // Update state for this plugin
-      states[pluginName] = enabled;
-      
       console.log(`[DEBUG] Saving plugin state for ${pluginName}: ${enabled}`);
-      console.log(`[DEBUG] Current states object:`, JSON.stringify(states, null, 2));
-      
-      // Create config directory if it doesn't exist
-      const configDir = path.dirname(this.stateFile);
-      try {
-        await fs.access(configDir);
-      } catch (error) {
-        await fs.mkdir(configDir, { recursive: true });
-      }
-      
-      // Save states to file
-      console.log(`[DEBUG] Writing to file: ${this.stateFile}`);
-      await fs.writeFile(this.stateFile, JSON.stringify(states, null, 2));
-      console.log(`[DEBUG] Saved plugin states to file:`, states);
+      await this.updatePluginStates((states) => {
+        // Update state for this plugin, keeping any quarantine record
+        const current = states[pluginName];
+        states[pluginName] = current && typeof current === 'object'
+          ? { ...current, enabled }
+          : enabled;
+      });
     } catch (error) {
       console.error(`[ERROR] Failed to save plugin state for ${pluginName}:`, error);
       console.error(`[ERROR] Error stack:`, error.stack);
@@ -370,26 +1104,36 @@ class PluginLoader {
     }
   }
   
+  // Save or clear a plugin's quarantine in the states file
+  async savePluginQuarantine(pluginName, quarantine) {
+    await this.updatePluginStates((states) => {
+      states[pluginName] = quarantine
+        ? { enabled: false, quarantined: quarantine }
+        : false;
+    });
+  }
+  
+  // Run a change against the states file and write it back. Changes are
+  // queued, so two updates never read the same states and lose one another.
+  updatePluginStates(change) {
+    const run = async () => {
+      const states = await this.loadPluginStates();
+      change(states);
+      console.log(`[DEBUG] Writing to file: ${this.stateFile}`);
+      await writeJsonAtomic(this.stateFile, states);
+    };
+    
+    const current = this.stateWrites.then(run, run);
+    this.stateWrites = current.catch(() => {});
+    return current;
+  }
+  
   // Remove plugin state from file
   async removePluginState(pluginName) {
     try {
-      // Load existing states
-      const states = await this.loadPluginStates();
-      
-      // Remove state for this plugin
-      delete states[pluginName];
-      
-      // Create config directory if it doesn't exist
-      const configDir = path.dirname(this.stateFile);
-      try {
-        await fs.access(configDir);
-      } catch (error) {
-        // If config directory doesn't exist, there's nothing to remove
-        return;
-      }
-      
-      // Save states to file
-      await fs.writeFile(this.stateFile, JSON.stringify(states, null, 2));
+      await this.updatePluginStates((states) => {
+        delete states[pluginName];
+      });
     } catch (error) {
       console.error(`Failed to remove plugin state for ${pluginName}:`, error);
     }
@@ -0,0 +1,180 @@
+// core/sandbox/budgets.js
+// Per-plugin resource budgets. Handlers registered by a plugin are wrapped so
+// their call rate and execution time are checked; a plugin that keeps
+// exceeding its budget is quarantined through the plugin loader.
+const vm = require('vm');
+
+// Budgets used when neither the manifest nor the operator sets one
+const DEFAULT_BUDGETS = {
+  maxHeapMb: 64, // Heap limit of a worker plugin (worker isolation only)
+  maxExecutionMs: 10000, // Longest a single command, event or route call may take
+  maxCallsPerSecond: 50 // Handler calls allowed per second
+};
+
+// Violations within this window that lead to quarantine
+const QUARANTINE_THRESHOLD = 5;
+const VIOLATION_WINDOW = 60 * 1000;
+
+// Calls a handler from a script, so the vm timeout can interrupt the
+// handler's synchronous code. The context is shared; handler and args are
+// read as soon as the script starts, so nested calls do not disturb it.
+const CALL_SCRIPT = new vm.Script('handler(...args)');
+const CALL_CONTEXT = vm.createContext({ handler: null, args: null });
+
+// Call a function and stop it if its synchronous part runs longer than
+// timeout milliseconds. Work after its first await is not interrupted.
+function callWithTimeout(fn, args, timeout) {
+  CALL_CONTEXT.handler = fn;
+  CALL_CONTEXT.args = args;
+  try {
+    return CALL_SCRIPT.runInContext(CALL_CONTEXT, { timeout });
+  } finally {
+    CALL_CONTEXT.handler = null;
+    CALL_CONTEXT.args = null;
+  }
+}
+
+// Thrown when a call is refused because the plugin is over its call budget
+class BudgetExceededError extends Error {
+  constructor(pluginName, detail) {
+    super(`Plugin ${pluginName} exceeded its budget: ${detail}`);
+    this.name = 'BudgetExceededError';
+    this.pluginName = pluginName;
+  }
+}
+
+class PluginBudgets {
+  constructor(core) {
+    this.core = core;
+    this.budgets = new Map(); // Effective budgets per plugin
+    this.callWindows = new Map(); // Call counters for the current second
+    this.violations = new Map(); // Recent violations per plugin
+    this.quarantining = new Set(); // Plugins with a quarantine in progress
+  }
+
+  // Set a plugin's budgets; missing values fall back to the defaults
+  setBudgets(pluginName, budgets = {}) {
+    const effective = { ...DEFAULT_BUDGETS };
+    for (const [key, value] of Object.entries(budgets)) {
+      if (key in DEFAULT_BUDGETS && typeof value === 'number' && value > 0) {
+        effective[key] = value;
+      }
+    }
+    this.budgets.set(pluginName, effective);
+    return effective;
+  }
+
+  getBudgets(pluginName) {
+    return this.budgets.get(pluginName) || { ...DEFAULT_BUDGETS };
+  }
+
+  // Forget everything about a plugin
+  clear(pluginName) {
+    this.budgets.delete(pluginName);
+    this.callWindows.delete(pluginName);
+    this.violations.delete(pluginName);
+    this.quarantining.delete(pluginName);
+  }
+
+  // Reset the violation history, e.g. after an admin clears a quarantine
+  resetViolations(pluginName) {
+    this.violations.delete(pluginName);
+    this.quarantining.delete(pluginName);
+  }
+
+  // Count a call against the per-second budget. Returns false when over budget.
+  consumeCall(pluginName) {
+    const { maxCallsPerSecond } = this.getBudgets(pluginName);
+    const now = Date.now();
+    let window = this.callWindows.get(pluginName);
+    if (!window || now - window.startedAt >= 1000) {
+      window = { startedAt: now, count: 0, violated: false };
+      this.callWindows.set(pluginName, window);
+    }
+
+    window.count++;
+    if (window.count <= maxCallsPerSecond) {
+      return true;
+    }
+
+    // Record one violation per second rather than one per dropped call
+    if (!window.violated) {
+      window.violated = true;
+      this.recordViolation(pluginName, 'calls', `more than ${maxCallsPerSecond} calls per second`);
+    }
+    return false;
+  }
+
+  // Record a budget violation and quarantine the plugin if it keeps happening
+  recordViolation(pluginName, type, detail) {
+    const now = Date.now();
+    const recent = (this.violations.get(pluginName) || [])
+      .filter(violation => now - violation.at < VIOLATION_WINDOW);
+    recent.push({ type, detail, at: now });
+    this.violations.set(pluginName, recent);
+
+    console.warn(`[BUDGET] Plugin ${pluginName} exceeded its ${type} budget: ${detail}`);
+
+    if (recent.length >= QUARANTINE_THRESHOLD && !this.quarantining.has(pluginName)) {
+      this.quarantining.add(pluginName);
+      const reason = `Exceeded its ${type} budget ${recent.length} times within ${VIOLATION_WINDOW / 1000}s (last: ${detail})`;
+      if (this.core.plugins) {
+        this.core.plugins.quarantinePlugin(pluginName, reason).catch((error) => {
+          console.error(`Failed to quarantine plugin ${pluginName}:`, error);
+        });
+      }
+    }
+  }
+
+  // Recent violations for the plugin API
+  getUsage(pluginName) {
+    const now = Date.now();
+    const recent = (this.violations.get(pluginName) || [])
+      .filter(violation => now - violation.at < VIOLATION_WINDOW);
+    return {
+      budgets: this.getBudgets(pluginName),
+      recentViolations: recent
+    };
+  }
+
+  // Wrap a plugin handler so its call rate and execution time are checked.
+  // Event handlers never throw: their errors are logged, since event
+  // dispatch does not wait for them.
+  wrap(pluginName, kind, label, handler) {
+    return async (...args) => {
+      if (!this.consumeCall(pluginName)) {
+        if (kind === 'event') {
+          return undefined;
+        }
+        throw new BudgetExceededError(pluginName, `too many calls (${label})`);
+      }
+
+      const { maxExecutionMs } = this.getBudgets(pluginName);
+      const startedAt = Date.now();
+      let stopped = false;
+      try {
+        return await callWithTimeout(handler, args, maxExecutionMs);
+      } catch (caught) {
+        stopped = Boolean(caught && caught.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT');
+        const error = stopped
+          ? new BudgetExceededError(pluginName, `${label} was stopped after running for ${maxExecutionMs}ms`)
+          : caught;
+        if (kind !== 'event') {
+          throw error;
+        }
+        console.error(`Error in ${label} handler of plugin ${pluginName}:`, error);
+        return undefined;
+      } finally {
+        const duration = Date.now() - startedAt;
+        if (stopped || duration > maxExecutionMs) {
+          this.recordViolation(pluginName, 'time', `${label} took ${duration}ms (limit ${maxExecutionMs}ms)`);
+        }
+      }
+    };
+  }
+}
+
+module.exports = PluginBudgets;
+module.exports.DEFAULT_BUDGETS = DEFAULT_BUDGETS;
+module.exports.callWithTimeout = callWithTimeout;
+module.exports.BudgetExceededError = BudgetExceededError;
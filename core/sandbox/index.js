@@ -1,20 +1,52 @@
 // core/sandbox/index.js
 const vm = require('vm');
 const fs = require('fs').promises;
+const { readFileSync } = require('fs');
 const path = require('path');
+const { createRequire } = require('module');
+const WorkerPlugin = require('./worker-plugin');
+const PluginBudgets = require('./budgets');
+const { callWithTimeout } = require('./budgets');
+const { splitCommandDefinition } = require('../discord/commands');
+const { buildCustomId } = require('../discord/components');
+
+// Parameters of the function a plugin file is compiled into: Node's module
+// wrapper, plus the timer functions and the global object, so that plain and
+// globalThis.setTimeout both refer to the plugin's tracked timers
+const FILE_PARAMETERS = ['exports', 'require', 'module', '__filename', '__dirname',
+  'setTimeout', 'setInterval', 'clearTimeout', 'clearInterval', 'global', 'globalThis'];
+
+// Thrown when a plugin calls a core API method it has not declared a permission for
+class PermissionError extends Error {
+  constructor(pluginName, permission, method) {
+    super(`Plugin ${pluginName} is not allowed to call ${method}: missing permission "${permission}"`);
+    this.name = 'PermissionError';
+    this.pluginName = pluginName;
+    this.permission = permission;
+    this.method = method;
+  }
+}
 
 class PluginSandbox {
   constructor(core) {
     this.core = core;
+    this.pluginPermissions = new Map(); // Permissions declared in each plugin's manifest
     this.pluginCommands = new Map(); // Track commands registered by each plugin
     this.pluginRoutes = new Map(); // Track routes registered by each plugin
+    this.pluginEvents = new Map(); // Track event handlers registered by each plugin
+    this.pluginComponents = new Map(); // Track component and modal handlers registered by each plugin
+    this.pluginTextCommands = new Map(); // Track text commands registered by each plugin
+    this.pluginPresence = new Set(); // Plugins that requested a presence or added template variables
+    this.pluginTimers = new Map(); // Track pending timeouts and intervals of each plugin
+    this.budgets = new PluginBudgets(core); // Call rate and execution time budgets
   }
 
   async runPluginMethod(pluginName, pluginModule, method, ...args) {
     return new Promise((resolve, reject) => {
+      let timeout;
       try {
-        // Create a timeout to prevent infinite loops
-        const timeout = setTimeout(() => {
+        // Create a timeout so a plugin that never settles does not hang the caller
+        timeout = setTimeout(() => {
           reject(new Error(`Plugin ${pluginName} timed out`));
         }, 5000);
 
@@ -29,11 +61,8 @@ class PluginSandbox {
           },
           // Plugin can access core API but in a controlled way
           core: this.createSandboxedCoreAPI(pluginName),
-          // Standard JavaScript globals
-          setTimeout,
-          setInterval,
-          clearTimeout,
-          clearInterval,
+          // Standard JavaScript globals (timers are tracked per plugin)
+          ...this.createTimerFunctions(pluginName),
           Promise,
           JSON,
           Math,
@@ -85,56 +114,385 @@ class PluginSandbox {
         // Create a context with the sandbox
         const context = vm.createContext(sandbox);
         
-        // Run the script
-        script.runInContext(context);
-      } catch (error) {
+        // Run the script; synchronous code past the plugin's execution budget is stopped
+        const { maxExecutionMs } = this.budgets.getBudgets(pluginName);
+        script.runInContext(context, { timeout: maxExecutionMs });
+      } catch (caught) {
+        clearTimeout(timeout);
+        const error = caught && caught.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT'
+          ? new Error(`Plugin ${pluginName} was stopped: ${method} ran for more than ${this.budgets.getBudgets(pluginName).maxExecutionMs}ms`)
+          : caught;
         console.error(`Error running plugin ${pluginName} in sandbox:`, error);
         reject(error);
       }
     });
   }
 
+  // Check whether a plugin runs in its own worker thread. The manifest's
+  // "isolation" field wins over the PLUGIN_ISOLATION default ("vm" or "worker").
+  usesWorker(manifest) {
+    const mode = manifest.isolation || process.env.PLUGIN_ISOLATION || 'vm';
+    return mode === 'worker';
+  }
+  
+  // Load a plugin that runs in the main thread, like require() would. Its
+  // files see the plugin's tracked timer functions in place of the globals,
+  // also through global and globalThis, so timers started at module scope or
+  // from the plugin's own callbacks are cleared on disable and listed in the
+  // leak report. Other JavaScript files in the plugin's directory are loaded
+  // the same way and read from disk on every load; its node_modules and
+  // anything outside the directory go through the normal require, so timers
+  // they start are not tracked.
+  loadPluginModule(pluginName, entryPath) {
+    const pluginDir = path.dirname(entryPath) + path.sep;
+    const timers = this.createTimerFunctions(pluginName);
+    const pluginGlobal = new Proxy(globalThis, {
+      get: (target, key) => (Object.prototype.hasOwnProperty.call(timers, key) ? timers[key] : Reflect.get(target, key))
+    });
+    const loaded = new Map(); // Files loaded so far, for circular requires
+    
+    const loadFile = (filename) => {
+      if (loaded.has(filename)) {
+        return loaded.get(filename).exports;
+      }
+      
+      const fileModule = { id: filename, filename, exports: {}, loaded: false };
+      loaded.set(filename, fileModule);
+      
+      const nodeRequire = createRequire(filename);
+      const fileRequire = (request) => {
+        const resolved = nodeRequire.resolve(request);
+        const own = resolved.startsWith(pluginDir) &&
+          !resolved.slice(pluginDir.length).split(path.sep).includes('node_modules') &&
+          path.extname(resolved) === '.js';
+        return own ? loadFile(resolved) : nodeRequire(request);
+      };
+      fileRequire.resolve = nodeRequire.resolve;
+      fileRequire.cache = nodeRequire.cache;
+      fileModule.require = fileRequire;
+      
+      const source = readFileSync(filename, 'utf8').replace(/^#!.*/, '');
+      const compiled = vm.compileFunction(source, FILE_PARAMETERS, { filename });
+      compiled.call(fileModule.exports, fileModule.exports, fileRequire, fileModule, filename, path.dirname(filename),
+        timers.setTimeout, timers.setInterval, timers.clearTimeout, timers.clearInterval, pluginGlobal, pluginGlobal);
+      fileModule.loaded = true;
+      return fileModule.exports;
+    };
+    
+    return loadFile(require.resolve(entryPath));
+  }
+  
+  // Create the stand-in module for a plugin that runs in a worker thread
+  createWorkerPlugin(pluginName, entryPath, manifest) {
+    return new WorkerPlugin(this, pluginName, entryPath, manifest, this.budgets.getBudgets(pluginName));
+  }
+  
+  // Wrap a handler in the plugin's budget checks (non-functions are left for validation)
+  monitor(pluginName, kind, label, handler) {
+    return typeof handler === 'function'
+      ? this.budgets.wrap(pluginName, kind, label, handler)
+      : handler;
+  }
+  
+  // Release a plugin module that is being thrown away (terminates its worker)
+  async disposePluginModule(pluginModule) {
+    if (pluginModule instanceof WorkerPlugin) {
+      await pluginModule.terminate();
+    }
+  }
+  
+  // Describe how a loaded plugin module is isolated
+  getIsolationStatus(pluginModule) {
+    if (pluginModule instanceof WorkerPlugin) {
+      return pluginModule.getStatus();
+    }
+    return { mode: 'vm' };
+  }
+  
+  // Run a plugin's init method with its sandboxed view of the core
+  initPlugin(pluginName, pluginModule) {
+    return this.runPluginMethod(pluginName, pluginModule, 'init', this.createSandboxedCoreAPI(pluginName));
+  }
+  
+  // Create timer functions whose timers are cleared when the plugin is disabled
+  createTimerFunctions(pluginName) {
+    // Looked up on each call, since the map is dropped when the plugin is disabled
+    const timers = () => {
+      if (!this.pluginTimers.has(pluginName)) {
+        this.pluginTimers.set(pluginName, new Map());
+      }
+      return this.pluginTimers.get(pluginName);
+    };
+    
+    // Run a timer callback without letting its errors reach the process,
+    // stopping it if it runs past the plugin's execution budget
+    const run = (type, callback, args) => {
+      try {
+        const result = callWithTimeout(callback, args, this.budgets.getBudgets(pluginName).maxExecutionMs);
+        if (result && typeof result.catch === 'function') {
+          result.catch((error) => console.error(`Error in ${type} of plugin ${pluginName}:`, error));
+        }
+      } catch (error) {
+        console.error(`Error in ${type} of plugin ${pluginName}:`, error);
+      }
+    };
+    
+    const clear = (handle) => {
+      if (timers().has(handle)) {
+        const { type } = timers().get(handle);
+        timers().delete(handle);
+        (type === 'interval' ? clearInterval : clearTimeout)(handle);
+      }
+    };
+    
+    return {
+      setTimeout: (callback, delay, ...args) => {
+        const handle = setTimeout(() => {
+          timers().delete(handle);
+          run('timeout', callback, args);
+        }, delay);
+        timers().set(handle, { type: 'timeout', delay, createdAt: new Date().toISOString() });
+        return handle;
+      },
+      setInterval: (callback, delay, ...args) => {
+        const handle = setInterval(() => run('interval', callback, args), delay);
+        timers().set(handle, { type: 'interval', delay, createdAt: new Date().toISOString() });
+        return handle;
+      },
+      clearTimeout: clear,
+      clearInterval: clear
+    };
+  }
+  
+  // Clear every pending timeout and interval of a plugin
+  clearPluginTimers(pluginName) {
+    const timers = this.pluginTimers.get(pluginName);
+    if (!timers) {
+      return;
+    }
+    
+    for (const [handle, { type }] of timers) {
+      (type === 'interval' ? clearInterval : clearTimeout)(handle);
+    }
+    if (timers.size > 0) {
+      console.log(`Cleared ${timers.size} timer(s) of plugin ${pluginName}`);
+    }
+    this.pluginTimers.delete(pluginName);
+  }
+  
+  // List the resources a plugin currently has registered
+  getPluginResources(pluginName) {
+    const timers = Array.from((this.pluginTimers.get(pluginName) || new Map()).values());
+    return {
+      commands: this.pluginCommands.get(pluginName) || [],
+      routes: this.pluginRoutes.get(pluginName) || [],
+      components: this.pluginComponents.get(pluginName) || [],
+      textCommands: this.pluginTextCommands.get(pluginName) || [],
+      events: (this.pluginEvents.get(pluginName) || []).map(({ event }) => event),
+      timeouts: timers.filter(timer => timer.type === 'timeout'),
+      intervals: timers.filter(timer => timer.type === 'interval')
+    };
+  }
+  
+  // Describe the timers and event handlers a plugin left behind after destroy,
+  // or null if it cleaned up after itself. Commands and routes are not listed
+  // since the core removes those for the plugin.
+  getLeakReport(pluginName) {
+    const { events, timeouts, intervals } = this.getPluginResources(pluginName);
+    if (events.length === 0 && timeouts.length === 0 && intervals.length === 0) {
+      return null;
+    }
+    return { detectedAt: new Date().toISOString(), events, timeouts, intervals };
+  }
+  
+  // Set the permissions a plugin declared in its manifest
+  // ({ discord: [...], web: [...], core: [...] })
+  setPluginPermissions(pluginName, permissions) {
+    this.pluginPermissions.set(pluginName, permissions || {});
+  }
+  
+  // Forget the permissions of a removed plugin
+  clearPluginPermissions(pluginName) {
+    this.pluginPermissions.delete(pluginName);
+  }
+  
+  // Check a permission such as "discord.commands" against a plugin's manifest
+  hasPermission(pluginName, permission) {
+    const [scope, name] = permission.split('.');
+    const permissions = this.pluginPermissions.get(pluginName) || {};
+    return Array.isArray(permissions[scope]) && permissions[scope].includes(name);
+  }
+  
+  // Wrap an API method so it only runs when the plugin declared the permission
+  guard(pluginName, permission, method, fn) {
+    return (...args) => {
+      if (!this.hasPermission(pluginName, permission)) {
+        const error = new PermissionError(pluginName, permission, method);
+        console.warn(`[SECURITY] ${error.message}`);
+        throw error;
+      }
+      return fn(...args);
+    };
+  }
+
   createSandboxedCoreAPI(pluginName) {
     // Create a limited version of the core API
-    // This prevents plugins from accessing sensitive parts of the core
+    // This prevents plugins from accessing sensitive parts of the core.
+    // Every method except getLogger, customId, the timers and the plugin's own
+    // config and storage requires a permission from plugin.json.
     return {
       api: {
         // Plugin-specific command registration
-        registerCommand: (name, description, handler) => {
+        registerCommand: this.guard(pluginName, 'discord.commands', 'registerCommand', (name, description, handler, extra) => {
+          // Accept a full definition object as well
+          ({ name, description, handler, extra } = splitCommandDefinition(name, description, handler, extra));
           console.log(`Plugin registering command: ${name}`);
+          if (extra && typeof extra.autocomplete === 'function') {
+            extra.autocomplete = this.monitor(pluginName, 'autocomplete', `/${name}`, extra.autocomplete);
+          }
+          
+          // Delegate to the core API's plugin-specific command registration.
+          // The command may be renamed if its name is taken by another plugin.
+          const registered = this.core.api.registerPluginCommand(pluginName, name, description,
+            this.monitor(pluginName, 'command', `/${name}`, handler), extra) || name;
+          
           // Track the command for this plugin
           if (!this.pluginCommands.has(pluginName)) {
             this.pluginCommands.set(pluginName, []);
           }
-          this.pluginCommands.get(pluginName).push(name);
+          this.pluginCommands.get(pluginName).push(registered);
+          return registered;
+        }),
+        // User and message context menu commands
+        registerContextMenu: this.guard(pluginName, 'discord.commands', 'registerContextMenu', (name, type, handler, extra) => {
+          if (name && typeof name === 'object') {
+            ({ name, type, handler, ...extra } = name);
+          }
+          const key = this.core.api.registerPluginContextMenu(pluginName, name, type,
+            this.monitor(pluginName, 'command', name, handler), extra);
           
-          // Delegate to the core API's plugin-specific command registration
-          this.core.api.registerPluginCommand(pluginName, name, description, handler);
-        },
+          // Track the command for this plugin
+          if (!this.pluginCommands.has(pluginName)) {
+            this.pluginCommands.set(pluginName, []);
+          }
+          this.pluginCommands.get(pluginName).push(key);
+          return key;
+        }),
+        // Prefix commands read from messages
+        registerTextCommand: this.guard(pluginName, 'discord.commands', 'registerTextCommand', (name, description, handler, extra) => {
+          if (name && typeof name === 'object') {
+            ({ name, description, handler, ...extra } = name);
+          }
+          const registered = this.core.api.registerPluginTextCommand(pluginName, name, description,
+            this.monitor(pluginName, 'command', `text command ${name}`, handler), extra);
+          
+          // Track the command for this plugin
+          if (!this.pluginTextCommands.has(pluginName)) {
+            this.pluginTextCommands.set(pluginName, []);
+          }
+          this.pluginTextCommands.get(pluginName).push(registered);
+          return registered;
+        }),
         // Plugin-specific route registration
-        registerRoute: (path, handler) => {
+        registerRoute: this.guard(pluginName, 'web.routes', 'registerRoute', (path, handler) => {
           console.log(`Plugin registering route: ${path}`);
+          // Delegate to the core API's plugin-specific route registration first,
+          // so a route that collides with another plugin's is not tracked
+          this.core.api.registerPluginRoute(pluginName, path,
+            this.monitor(pluginName, 'route', path, handler));
+          
           // Track the route for this plugin
           if (!this.pluginRoutes.has(pluginName)) {
             this.pluginRoutes.set(pluginName, []);
           }
-          this.pluginRoutes.get(pluginName).push(path);
+          if (!this.pluginRoutes.get(pluginName).includes(path)) {
+            this.pluginRoutes.get(pluginName).push(path);
+          }
+        }),
+        // Plugin-specific event registration
+        registerEvent: this.guard(pluginName, 'discord.events', 'registerEvent', (event, handler) => {
+          // Register first so invalid parameters are rejected before tracking
+          const monitored = this.monitor(pluginName, 'event', event, handler);
+          this.core.api.registerPluginEvent(pluginName, event, monitored);
           
-          // Delegate to the core API's plugin-specific route registration
-          this.core.api.registerPluginRoute(pluginName, path, handler);
+          // Track the handler for this plugin
+          if (!this.pluginEvents.has(pluginName)) {
+            this.pluginEvents.set(pluginName, []);
+          }
+          this.pluginEvents.get(pluginName).push({ event, handler: monitored, original: handler });
+        }),
+        unregisterEvent: this.guard(pluginName, 'discord.events', 'unregisterEvent', (event, handler) => {
+          const tracked = this.pluginEvents.get(pluginName) || [];
+          const entry = tracked.find(candidate => candidate.event === event && candidate.original === handler);
+          if (!entry) {
+            return;
+          }
+          
+          this.core.api.unregisterEvent(event, entry.handler);
+          tracked.splice(tracked.indexOf(entry), 1);
+        }),
+        // Buttons, select menus and modals, namespaced to this plugin
+        registerComponent: this.guard(pluginName, 'discord.commands', 'registerComponent', (customIdPrefix, handler) =>
+          this.registerInteractionHandler(pluginName, 'component', customIdPrefix, handler)),
+        registerModal: this.guard(pluginName, 'discord.commands', 'registerModal', (customIdPrefix, handler) =>
+          this.registerInteractionHandler(pluginName, 'modal', customIdPrefix, handler)),
+        customId: (customIdPrefix, ...data) => buildCustomId(pluginName, customIdPrefix, ...data),
+        registerPage: this.guard(pluginName, 'web.pages', 'registerPage',
+          (...args) => this.core.api.registerPage(...args)),
+        getLogger: (...args) => this.core.api.getLogger(...args),
+        // Timers that are cleared when the plugin is disabled
+        ...this.createTimerFunctions(pluginName),
+        // The plugin's own configuration (see configSchema in plugin.json)
+        getConfig: (...args) => this.core.config.getConfig(pluginName, ...args),
+        // Key-value storage namespaced to this plugin
+        storage: {
+          get: (...args) => this.core.storage.get(pluginName, ...args),
+          set: (...args) => this.core.storage.set(pluginName, ...args),
+          delete: (...args) => this.core.storage.delete(pluginName, ...args),
+          list: (...args) => this.core.storage.list(pluginName, ...args),
+          increment: (...args) => this.core.storage.increment(pluginName, ...args)
+        },
+        // Bot status and activities, arbitrated with other plugins
+        presence: {
+          set: this.guard(pluginName, 'discord.presence', 'presence.set', (options) => {
+            this.pluginPresence.add(pluginName);
+            return this.core.discord.presence.request(pluginName, options);
+          }),
+          clear: this.guard(pluginName, 'discord.presence', 'presence.clear',
+            () => this.core.discord.presence.clear(pluginName)),
+          registerVariable: this.guard(pluginName, 'discord.presence', 'presence.registerVariable', (name, fn) => {
+            this.pluginPresence.add(pluginName);
+            return this.core.discord.presence.registerVariable(pluginName, name,
+              this.monitor(pluginName, 'presence', `{${pluginName}.${name}}`, fn));
+          }),
+          get: () => this.core.discord.presence.getStatus().current
         },
-        registerEvent: this.core.api.registerEvent.bind(this.core.api),
-        registerPage: this.core.api.registerPage.bind(this.core.api),
-        getLogger: this.core.api.getLogger.bind(this.core.api),
         // Plugin management functions
-        enablePlugin: this.core.api.enablePlugin.bind(this.core.api),
-        disablePlugin: this.core.api.disablePlugin.bind(this.core.api),
-        getPlugins: this.core.api.getPlugins.bind(this.core.api),
+        enablePlugin: this.guard(pluginName, 'core.manage', 'enablePlugin',
+          (...args) => this.core.api.enablePlugin(...args)),
+        disablePlugin: this.guard(pluginName, 'core.manage', 'disablePlugin',
+          (...args) => this.core.api.disablePlugin(...args)),
+        getPlugins: this.guard(pluginName, 'core.manage', 'getPlugins',
+          (...args) => this.core.api.getPlugins(...args)),
       }
     };
   }
   
-  // Unregister all commands and routes associated with a plugin
+  // Register a plugin's component or modal handler and track its namespaced custom ID
+  registerInteractionHandler(pluginName, type, customIdPrefix, handler) {
+    const monitored = this.monitor(pluginName, type, customIdPrefix, handler);
+    const customId = type === 'modal'
+      ? this.core.api.registerPluginModal(pluginName, customIdPrefix, monitored)
+      : this.core.api.registerPluginComponent(pluginName, customIdPrefix, monitored);
+    
+    if (!this.pluginComponents.has(pluginName)) {
+      this.pluginComponents.set(pluginName, []);
+    }
+    this.pluginComponents.get(pluginName).push(customId);
+    return customId;
+  }
+  
+  // Unregister all commands, text commands, routes, event handlers, components and timers associated with a plugin
   unregisterPluginResources(pluginName) {
     // Unregister commands
     if (this.pluginCommands.has(pluginName)) {
@@ -145,6 +503,12 @@ class PluginSandbox {
       this.pluginCommands.delete(pluginName);
     }
     
+    // Unregister text commands
+    if (this.pluginTextCommands.has(pluginName)) {
+      this.core.api.unregisterPluginTextCommands(pluginName);
+      this.pluginTextCommands.delete(pluginName);
+    }
+    
     // Unregister routes
     if (this.pluginRoutes.has(pluginName)) {
       // Unregister routes from API
@@ -153,7 +517,37 @@ class PluginSandbox {
       // Remove tracking
       this.pluginRoutes.delete(pluginName);
     }
+    
+    // Unregister event handlers
+    if (this.pluginEvents.has(pluginName)) {
+      // Unregister event handlers from API
+      this.core.api.unregisterPluginEvents(pluginName);
+      
+      // Remove tracking
+      this.pluginEvents.delete(pluginName);
+    }
+    
+    // Unregister component and modal handlers
+    if (this.pluginComponents.has(pluginName)) {
+      this.core.api.unregisterPluginComponents(pluginName);
+      this.pluginComponents.delete(pluginName);
+    }
+    
+    // Withdraw its presence request and template variables
+    if (this.pluginPresence.has(pluginName)) {
+      this.core.discord.presence.unregisterPlugin(pluginName).catch((error) => {
+        console.error(`Failed to update presence after plugin ${pluginName}:`, error);
+      });
+      this.pluginPresence.delete(pluginName);
+    }
+    
+    // Forget the commands and routes it failed to register
+    this.core.api.clearConflicts(pluginName);
+    
+    // Clear pending timeouts and intervals
+    this.clearPluginTimers(pluginName);
   }
 }
 
-module.exports = PluginSandbox;
\ No newline at end of file
+module.exports = PluginSandbox;
+module.exports.PermissionError = PermissionError;
\ No newline at end of file
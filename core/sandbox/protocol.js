@@ -0,0 +1,54 @@
+// core/sandbox/protocol.js
+// Helpers shared by the core and plugin worker threads. Only plain data can be
+// posted between threads, so Discord.js structures, errors and request objects
+// are converted before they are sent.
+
+// Interaction methods a worker may call on the real interaction in the core
+const INTERACTION_METHODS = [
+  'reply',
+  'deferReply',
+  'editReply',
+  'followUp',
+  'deleteReply',
+  'fetchReply',
+  'update',
+  'deferUpdate',
+  'showModal',
+  'respond'
+];
+
+// Convert a value into plain data that can be posted to another thread.
+// Discord.js structures are flattened through their toJSON methods.
+function toPlain(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const json = JSON.stringify(value, (key, val) => (typeof val === 'bigint' ? val.toString() : val));
+  return json === undefined ? undefined : JSON.parse(json);
+}
+
+// Convert an error into plain data
+function serializeError(error) {
+  if (error instanceof Error) {
+    return { name: error.name, message: error.message, stack: error.stack };
+  }
+  return { name: 'Error', message: String(error) };
+}
+
+// Rebuild an error from plain data
+function deserializeError(data) {
+  const error = new Error(data.message);
+  error.name = data.name || 'Error';
+  if (data.stack) {
+    error.stack = data.stack;
+  }
+  return error;
+}
+
+module.exports = {
+  INTERACTION_METHODS,
+  toPlain,
+  serializeError,
+  deserializeError
+};
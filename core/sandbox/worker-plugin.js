@@ -0,0 +1,410 @@
+// core/sandbox/worker-plugin.js
+// Host side of a plugin running in a worker thread. An instance stands in for
+// the plugin module: the loader calls init/destroy on it like on any plugin,
+// and commands, components, events and routes registered by the worker are
+// proxied here.
+const { Worker } = require('worker_threads');
+const path = require('path');
+const { INTERACTION_METHODS, toPlain, serializeError, deserializeError } = require('./protocol');
+
+const WORKER_SCRIPT = path.join(__dirname, 'worker.js');
+
+// Time allowed for init/destroy before the worker is terminated
+const LIFECYCLE_TIMEOUT = 5000;
+
+// Time allowed for a command, event or route call before the worker is restarted
+const CALL_TIMEOUT = 10000;
+
+// A worker that needs more restarts than this within the window is given up on
+const MAX_RESTARTS = 3;
+const RESTART_WINDOW = 60 * 1000;
+
+// Storage methods a worker may call
+const STORAGE_METHODS = ['get', 'set', 'delete', 'list', 'increment'];
+
+// core.api.presence methods a worker may call
+const PRESENCE_METHODS = ['set', 'clear', 'get'];
+
+// Default V8 limits for a plugin worker. manifest.resourceLimits overrides
+// them, and the plugin's heap budget sets maxOldGenerationSizeMb.
+const DEFAULT_RESOURCE_LIMITS = {
+  maxOldGenerationSizeMb: 64,
+  maxYoungGenerationSizeMb: 16,
+  stackSizeMb: 4
+};
+
+// Pick the parts of an interaction a plugin handler needs
+function serializeInteraction(interaction) {
+  return toPlain({
+    id: interaction.id,
+    type: interaction.type,
+    commandName: interaction.commandName,
+    commandType: interaction.commandType,
+    targetId: interaction.targetId,
+    targetUser: interaction.targetUser,
+    targetMember: interaction.targetMember,
+    targetMessage: interaction.targetMessage,
+    customId: interaction.customId,
+    componentType: interaction.componentType,
+    values: interaction.values,
+    fields: interaction.fields && interaction.fields.fields
+      ? interaction.fields.fields.map(field => ({ customId: field.customId, value: field.value }))
+      : undefined,
+    guildId: interaction.guildId,
+    channelId: interaction.channelId,
+    locale: interaction.locale,
+    user: interaction.user,
+    member: interaction.member,
+    options: interaction.options && interaction.options.data ? interaction.options.data : [],
+    replied: interaction.replied,
+    deferred: interaction.deferred
+  });
+}
+
+// Pick the parts of an HTTP request a route handler needs
+function serializeRequest(req) {
+  return toPlain({
+    method: req.method,
+    url: req.url,
+    headers: req.headers,
+    body: req.body,
+    params: req.params
+  });
+}
+
+class WorkerPlugin {
+  constructor(sandbox, pluginName, entryPath, manifest = {}, budgets = {}) {
+    this.sandbox = sandbox;
+    this.pluginName = pluginName;
+    this.entryPath = entryPath;
+    this.resourceLimits = { ...DEFAULT_RESOURCE_LIMITS, ...(manifest.resourceLimits || {}) };
+    if (budgets.maxHeapMb) {
+      this.resourceLimits.maxOldGenerationSizeMb = budgets.maxHeapMb;
+    }
+    this.lifecycleTimeout = LIFECYCLE_TIMEOUT;
+    this.callTimeout = budgets.maxExecutionMs || CALL_TIMEOUT;
+    this.worker = null;
+    this.core = null; // Sandboxed core API the worker's registrations go through
+    this.nextId = 1;
+    this.pending = new Map(); // Invocations waiting for a result from the worker
+    this.activeInteractions = new Map(); // Interactions by invocation id
+    this.eventHandlers = new Map(); // Core-side event handlers by worker handler id
+    this.restarts = []; // Timestamps of recent restarts
+    this.stopping = false;
+  }
+
+  // Start the worker and run the plugin's init method inside it
+  async init(core) {
+    this.core = core;
+    this.stopping = false;
+    this.startWorker();
+    return this.invoke('lifecycle', { method: 'init' }, this.lifecycleTimeout);
+  }
+
+  // Run the plugin's destroy method and terminate the worker
+  async destroy() {
+    if (!this.worker) {
+      return;
+    }
+
+    this.stopping = true;
+    try {
+      return await this.invoke('lifecycle', { method: 'destroy' }, this.lifecycleTimeout);
+    } finally {
+      await this.terminate();
+    }
+  }
+
+  // Pass new configuration values to the plugin's onConfigChange hook.
+  // Unlike init and destroy, a hook that hangs gets the worker restarted.
+  async onConfigChange(config, previous) {
+    return this.invoke('hook', { method: 'onConfigChange', args: toPlain([config, previous]) }, this.lifecycleTimeout);
+  }
+
+  // Describe the worker for the plugin API
+  getStatus() {
+    return {
+      mode: 'worker',
+      running: this.worker !== null,
+      threadId: this.worker ? this.worker.threadId : null,
+      restarts: this.restarts.length,
+      resourceLimits: this.resourceLimits
+    };
+  }
+
+  startWorker() {
+    const worker = new Worker(WORKER_SCRIPT, {
+      workerData: { pluginName: this.pluginName, entryPath: this.entryPath },
+      resourceLimits: this.resourceLimits
+    });
+
+    worker.on('message', (message) => this.handleMessage(worker, message));
+    worker.on('error', (error) => {
+      console.error(`[${this.pluginName}] Worker error:`, error);
+      if (error.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+        this.sandbox.budgets.recordViolation(this.pluginName, 'memory',
+          `worker ran out of memory (limit ${this.resourceLimits.maxOldGenerationSizeMb}MB)`);
+      }
+    });
+    worker.on('exit', (code) => this.handleExit(worker, code));
+
+    this.worker = worker;
+  }
+
+  async terminate() {
+    const worker = this.worker;
+    this.worker = null;
+    this.rejectPending(new Error(`Plugin ${this.pluginName} worker was terminated`));
+    this.eventHandlers.clear();
+
+    if (worker) {
+      await worker.terminate();
+    }
+  }
+
+  handleExit(worker, code) {
+    // Ignore workers that were terminated on purpose or already replaced
+    if (worker !== this.worker) {
+      return;
+    }
+
+    this.worker = null;
+    this.rejectPending(new Error(`Plugin ${this.pluginName} worker exited with code ${code}`));
+
+    if (!this.stopping) {
+      this.restart(`worker exited with code ${code}`).catch((error) => {
+        console.error(`Failed to restart plugin ${this.pluginName} worker:`, error);
+      });
+    }
+  }
+
+  // Replace a crashed or hung worker and run init again
+  async restart(reason) {
+    const now = Date.now();
+    this.restarts = this.restarts.filter(timestamp => now - timestamp < RESTART_WINDOW);
+
+    // Drop everything the old worker registered; its handlers no longer exist
+    await this.terminate();
+    this.sandbox.unregisterPluginResources(this.pluginName);
+
+    if (this.restarts.length >= MAX_RESTARTS) {
+      console.error(`Plugin ${this.pluginName} worker failed too often (${reason}), not restarting`);
+      return;
+    }
+
+    this.restarts.push(now);
+    console.warn(`Restarting plugin ${this.pluginName} worker: ${reason}`);
+
+    this.startWorker();
+    try {
+      await this.invoke('lifecycle', { method: 'init' }, this.lifecycleTimeout);
+    } catch (error) {
+      console.error(`Failed to initialize restarted plugin ${this.pluginName} worker:`, error);
+    }
+  }
+
+  rejectPending(error) {
+    for (const call of this.pending.values()) {
+      clearTimeout(call.timer);
+      call.reject(error);
+    }
+    this.pending.clear();
+    this.activeInteractions.clear();
+  }
+
+  // Ask the worker to run something and wait for the result
+  invoke(kind, payload, timeout = this.callTimeout, interaction = null) {
+    if (!this.worker) {
+      return Promise.reject(new Error(`Plugin ${this.pluginName} worker is not running`));
+    }
+
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        this.activeInteractions.delete(id);
+        reject(new Error(`Plugin ${this.pluginName} timed out`));
+
+        // A worker that does not answer in time is assumed to be stuck.
+        // Lifecycle calls are already failing, so there is nothing to restart.
+        if (kind === 'lifecycle' || this.stopping) {
+          this.terminate();
+        } else {
+          this.restart(`${kind} call timed out after ${timeout}ms`).catch((error) => {
+            console.error(`Failed to restart plugin ${this.pluginName} worker:`, error);
+          });
+        }
+      }, timeout);
+
+      this.pending.set(id, { resolve, reject, timer });
+      if (interaction) {
+        this.activeInteractions.set(id, interaction);
+      }
+      this.worker.postMessage({ type: 'invoke', id, kind, ...payload });
+    });
+  }
+
+  handleMessage(worker, message) {
+    if (worker !== this.worker) {
+      return;
+    }
+
+    if (message.type === 'result') {
+      const call = this.pending.get(message.id);
+      if (!call) {
+        return;
+      }
+
+      clearTimeout(call.timer);
+      this.pending.delete(message.id);
+      this.activeInteractions.delete(message.id);
+      if (message.error) {
+        call.reject(deserializeError(message.error));
+      } else {
+        call.resolve(message.result);
+      }
+      return;
+    }
+
+    if (message.type === 'request') {
+      // A result that cannot be converted (e.g. a circular structure) is
+      // answered as an error, so the worker's call does not hang
+      Promise.resolve()
+        .then(() => this.handleRequest(message))
+        .then((result) => ({ type: 'response', id: message.id, result: toPlain(result) }))
+        .catch((error) => ({ type: 'response', id: message.id, error: serializeError(error) }))
+        .then((response) => {
+          if (worker === this.worker) {
+            worker.postMessage(response);
+          }
+        })
+        .catch((error) => {
+          console.error(`[${this.pluginName}] Failed to answer worker request ${message.action}:`, error);
+          if (worker === this.worker) {
+            worker.postMessage({ type: 'response', id: message.id, error: serializeError(error) });
+          }
+        });
+    }
+  }
+
+  // Carry out a request from the worker through the sandboxed core API
+  async handleRequest(message) {
+    const api = this.core.api;
+
+    switch (message.action) {
+      case 'registerCommand': {
+        const extra = message.extra;
+        if (message.autocompleteId !== undefined) {
+          // Suggestions are returned to the core, which responds to Discord
+          extra.autocomplete = (interaction) => this.invoke('autocomplete', {
+            handlerId: message.autocompleteId,
+            interaction: serializeInteraction(interaction)
+          });
+        }
+        return api.registerCommand(message.name, message.description, (interaction) =>
+          this.invoke('command', {
+            handlerId: message.handlerId,
+            interaction: serializeInteraction(interaction)
+          }, this.callTimeout, interaction), extra);
+      }
+
+      case 'registerContextMenu':
+        return api.registerContextMenu(message.name, message.type, (interaction) =>
+          this.invoke('command', {
+            handlerId: message.handlerId,
+            interaction: serializeInteraction(interaction)
+          }, this.callTimeout, interaction), message.extra);
+
+      case 'registerTextCommand':
+        // Resolved users, channels and roles arrive as plain data
+        return api.registerTextCommand(message.name, message.description, (msg, args, context) =>
+          this.invoke('textCommand', {
+            handlerId: message.handlerId,
+            message: toPlain(msg),
+            args: toPlain(args),
+            context
+          }, this.callTimeout, msg), message.extra);
+
+      case 'registerComponent':
+      case 'registerModal':
+        return api[message.action](message.customIdPrefix, (interaction, data) =>
+          this.invoke('component', {
+            handlerId: message.handlerId,
+            interaction: serializeInteraction(interaction),
+            args: [data]
+          }, this.callTimeout, interaction));
+
+      case 'registerEvent': {
+        const handler = (...args) =>
+          this.invoke('event', { handlerId: message.handlerId, args: args.map(toPlain) })
+            .catch((error) => {
+              console.error(`Error in ${message.event} event handler of plugin ${this.pluginName}:`, error);
+            });
+        this.eventHandlers.set(message.handlerId, handler);
+        return api.registerEvent(message.event, handler);
+      }
+
+      case 'unregisterEvent': {
+        const handler = this.eventHandlers.get(message.handlerId);
+        this.eventHandlers.delete(message.handlerId);
+        return handler ? api.unregisterEvent(message.event, handler) : undefined;
+      }
+
+      case 'registerRoute':
+        return api.registerRoute(message.path, async (req, res) => {
+          const result = await this.invoke('route', {
+            handlerId: message.handlerId,
+            req: serializeRequest(req)
+          });
+          res.statusCode = result.statusCode;
+          for (const [name, value] of Object.entries(result.headers)) {
+            res.setHeader(name, value);
+          }
+          res.end(result.body);
+        });
+
+      case 'registerPage':
+        return api.registerPage(message.path, message.component);
+
+      case 'enablePlugin':
+      case 'disablePlugin':
+      case 'getPlugins':
+      case 'getConfig':
+        return api[message.action](...message.args);
+
+      case 'presence':
+        if (!PRESENCE_METHODS.includes(message.method)) {
+          throw new Error(`Presence method ${message.method} is not available to plugins`);
+        }
+        return api.presence[message.method](...message.args);
+
+      case 'registerPresenceVariable':
+        return api.presence.registerVariable(message.name, () =>
+          this.invoke('variable', { handlerId: message.handlerId }));
+
+      case 'storage':
+        if (!STORAGE_METHODS.includes(message.method)) {
+          throw new Error(`Storage method ${message.method} is not available to plugins`);
+        }
+        return api.storage[message.method](...message.args);
+
+      case 'interaction': {
+        const interaction = this.activeInteractions.get(message.invocationId);
+        if (!interaction) {
+          throw new Error('Interaction is no longer available');
+        }
+        if (!INTERACTION_METHODS.includes(message.method)) {
+          throw new Error(`Interaction method ${message.method} is not available to plugins`);
+        }
+
+        const result = await interaction[message.method](...message.args);
+        return { result, replied: interaction.replied, deferred: interaction.deferred };
+      }
+
+      default:
+        throw new Error(`Unknown request from plugin ${this.pluginName}: ${message.action}`);
+    }
+  }
+}
+
+module.exports = WorkerPlugin;
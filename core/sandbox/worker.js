@@ -0,0 +1,347 @@
+// core/sandbox/worker.js
+// Entry point of a plugin worker thread. The plugin module is loaded inside
+// this thread and talks to the core only through messages, so a crash or an
+// endless loop here cannot take the bot down.
+const { parentPort, workerData } = require('worker_threads');
+const { INTERACTION_METHODS, toPlain, serializeError, deserializeError } = require('./protocol');
+const { splitCommandDefinition } = require('../discord/commands');
+const { buildCustomId } = require('../discord/components');
+
+const { pluginName, entryPath } = workerData;
+
+const handlers = new Map(); // Plugin callbacks by handler id
+const pending = new Map(); // Requests to the core waiting for a response
+let nextId = 1;
+let registrations = []; // Registration requests made during init
+let pluginModule = null;
+
+// Prefix console output with the plugin name
+for (const level of ['log', 'info', 'warn', 'error', 'debug']) {
+  const original = console[level].bind(console);
+  console[level] = (...args) => original(`[${pluginName}]`, ...args);
+}
+
+// Send a request to the core and wait for its response
+function request(action, payload = {}) {
+  const id = nextId++;
+  return new Promise((resolve, reject) => {
+    pending.set(id, { resolve, reject });
+    parentPort.postMessage({ type: 'request', id, action, ...payload });
+  });
+}
+
+// Register a callback with the core. Failures (e.g. a PermissionError) are
+// reported when init finishes, like they would be for an in-process plugin.
+function register(action, payload, handler) {
+  const handlerId = nextId++;
+  handlers.set(handlerId, handler);
+
+  const registration = request(action, { ...payload, handlerId });
+  registration.catch(() => {});
+  registrations.push(registration);
+  return registration;
+}
+
+// Core API handed to the plugin's init method
+const core = {
+  api: {
+    registerCommand: (name, description, handler, extra) => {
+      // Subcommand and autocomplete handlers stay in this thread, combined
+      // into one handler each
+      ({ name, description, handler, extra } = splitCommandDefinition(name, description, handler, extra));
+      const { autocomplete, ...rest } = extra || {};
+      let autocompleteId;
+      if (typeof autocomplete === 'function') {
+        autocompleteId = nextId++;
+        handlers.set(autocompleteId, autocomplete);
+      }
+      return register('registerCommand', {
+        name,
+        description,
+        extra: extra === undefined ? undefined : toPlain(rest),
+        autocompleteId
+      }, handler);
+    },
+    registerEvent: (event, handler) => register('registerEvent', { event }, handler),
+    unregisterEvent: (event, handler) => {
+      for (const [handlerId, registered] of handlers) {
+        if (registered === handler) {
+          handlers.delete(handlerId);
+          return request('unregisterEvent', { event, handlerId });
+        }
+      }
+      return Promise.resolve();
+    },
+    registerContextMenu: (name, type, handler, extra) => {
+      if (name && typeof name === 'object') {
+        ({ name, type, handler, ...extra } = name);
+      }
+      return register('registerContextMenu', { name, type, extra: toPlain(extra) }, handler);
+    },
+    registerTextCommand: (name, description, handler, extra) => {
+      if (name && typeof name === 'object') {
+        ({ name, description, handler, ...extra } = name);
+      }
+      return register('registerTextCommand', { name, description, extra: toPlain(extra) }, handler);
+    },
+    registerComponent: (customIdPrefix, handler) => register('registerComponent', { customIdPrefix }, handler),
+    registerModal: (customIdPrefix, handler) => register('registerModal', { customIdPrefix }, handler),
+    customId: (customIdPrefix, ...data) => buildCustomId(pluginName, customIdPrefix, ...data),
+    registerRoute: (path, handler) => register('registerRoute', { path }, handler),
+    registerPage: (path, component) => {
+      const registration = request('registerPage', { path, component: toPlain(component) });
+      registration.catch(() => {});
+      registrations.push(registration);
+      return registration;
+    },
+    getLogger: (name) => ({
+      info: (message) => console.log(`[INFO] [${name}] ${message}`),
+      warn: (message) => console.warn(`[WARN] [${name}] ${message}`),
+      error: (message) => console.error(`[ERROR] [${name}] ${message}`),
+      debug: (message) => console.debug(`[DEBUG] [${name}] ${message}`)
+    }),
+    presence: {
+      set: (options) => request('presence', { method: 'set', args: toPlain([options]) }),
+      clear: () => request('presence', { method: 'clear', args: [] }),
+      get: () => request('presence', { method: 'get', args: [] }),
+      registerVariable: (name, fn) => register('registerPresenceVariable', { name }, fn)
+    },
+    enablePlugin: (name) => request('enablePlugin', { args: [name] }),
+    disablePlugin: (name) => request('disablePlugin', { args: [name] }),
+    getPlugins: () => request('getPlugins', { args: [] }),
+    getConfig: (key) => request('getConfig', { args: key === undefined ? [] : [key] }),
+    storage: {
+      get: (...args) => request('storage', { method: 'get', args: toPlain(args) }),
+      set: (...args) => request('storage', { method: 'set', args: toPlain(args) }),
+      delete: (...args) => request('storage', { method: 'delete', args: toPlain(args) }),
+      list: (...args) => request('storage', { method: 'list', args: toPlain(args) }),
+      increment: (...args) => request('storage', { method: 'increment', args: toPlain(args) })
+    },
+    // Timers end with the worker, so the thread's own timers are enough
+    setTimeout,
+    setInterval,
+    clearTimeout,
+    clearInterval
+  }
+};
+
+// Read options from the plain option data of an interaction
+function createOptionResolver(data) {
+  let group = null;
+  let subcommand = null;
+  let options = data;
+
+  // Step into subcommand groups (type 2) and subcommands (type 1)
+  if (options[0] && options[0].type === 2) {
+    group = options[0].name;
+    options = options[0].options || [];
+  }
+  if (options[0] && options[0].type === 1) {
+    subcommand = options[0].name;
+    options = options[0].options || [];
+  }
+
+  const get = (name, required = false) => {
+    const option = options.find(candidate => candidate.name === name);
+    if (!option && required) {
+      throw new Error(`Missing required option "${name}"`);
+    }
+    return option || null;
+  };
+  const value = (name, required) => {
+    const option = get(name, required);
+    return option ? option.value : null;
+  };
+  const resolved = (key) => (name, required) => {
+    const option = get(name, required);
+    return option ? option[key] || null : null;
+  };
+
+  return {
+    data,
+    get,
+    getSubcommand: (required = true) => {
+      if (!subcommand && required) {
+        throw new Error('No subcommand was used');
+      }
+      return subcommand;
+    },
+    getSubcommandGroup: () => group,
+    getFocused: (full = false) => {
+      const option = options.find(candidate => candidate.focused);
+      if (!option) {
+        throw new Error('No option is focused');
+      }
+      return full ? option : option.value;
+    },
+    getString: value,
+    getInteger: value,
+    getNumber: value,
+    getBoolean: value,
+    getUser: resolved('user'),
+    getMember: resolved('member'),
+    getChannel: resolved('channel'),
+    getRole: resolved('role'),
+    getAttachment: resolved('attachment'),
+    getMentionable: (name, required) => {
+      const option = get(name, required);
+      return option ? option.member || option.user || option.role || null : null;
+    }
+  };
+}
+
+// Build an interaction whose reply methods are carried out by the core
+function createInteraction(invocationId, data) {
+  const interaction = {
+    ...data,
+    options: createOptionResolver(data.options || [])
+  };
+  if (data.fields) {
+    // Text inputs of a submitted modal
+    interaction.fields = {
+      fields: data.fields,
+      getTextInputValue: (customId) => {
+        const field = data.fields.find(candidate => candidate.customId === customId);
+        if (!field) {
+          throw new Error(`No text input with custom ID "${customId}"`);
+        }
+        return field.value;
+      }
+    };
+  }
+
+  for (const method of INTERACTION_METHODS) {
+    interaction[method] = async (...args) => {
+      const response = await request('interaction', { invocationId, method, args: toPlain(args) });
+      interaction.replied = response.replied;
+      interaction.deferred = response.deferred;
+      return response.result;
+    };
+  }
+
+  return interaction;
+}
+
+// Build a message whose reply method is carried out by the core
+function createMessage(invocationId, data) {
+  return {
+    ...data,
+    reply: async (...args) => {
+      const response = await request('interaction', { invocationId, method: 'reply', args: toPlain(args) });
+      return response.result;
+    }
+  };
+}
+
+// Run a route handler against a response object that records the result
+async function runRoute(handler, req) {
+  const response = {
+    statusCode: 200,
+    headers: {},
+    body: '',
+    headersSent: false
+  };
+  const res = {
+    get statusCode() { return response.statusCode; },
+    set statusCode(code) { response.statusCode = code; },
+    get headersSent() { return response.headersSent; },
+    setHeader: (name, value) => { response.headers[name] = value; },
+    json: (data) => {
+      response.headers['Content-Type'] = 'application/json';
+      response.body = JSON.stringify(data);
+      response.headersSent = true;
+    },
+    end: (body = '') => {
+      response.body = typeof body === 'string' ? body : String(body);
+      response.headersSent = true;
+    }
+  };
+
+  await handler(req, res);
+  return response;
+}
+
+// Lifecycle hooks a plugin may leave out
+const OPTIONAL_HOOKS = ['onConfigChange'];
+
+// Load the plugin and run a lifecycle method
+async function runLifecycle(method, args = []) {
+  if (method === 'init') {
+    pluginModule = require(entryPath);
+    registrations = [];
+  }
+
+  if (OPTIONAL_HOOKS.includes(method) && pluginModule && typeof pluginModule[method] !== 'function') {
+    return undefined;
+  }
+  if (!pluginModule || typeof pluginModule[method] !== 'function') {
+    throw new Error('Method ' + method + ' not found in plugin');
+  }
+
+  const result = method === 'init'
+    ? await pluginModule.init(core)
+    : await pluginModule[method](...args);
+
+  if (method === 'init') {
+    await Promise.all(registrations);
+  }
+  return result;
+}
+
+async function handleInvoke(message) {
+  if (message.kind === 'lifecycle' || message.kind === 'hook') {
+    return runLifecycle(message.method, message.args);
+  }
+
+  const handler = handlers.get(message.handlerId);
+  if (!handler) {
+    throw new Error(`Handler ${message.handlerId} not found in plugin ${pluginName}`);
+  }
+
+  switch (message.kind) {
+    case 'command':
+      return handler(createInteraction(message.id, message.interaction));
+    case 'autocomplete': {
+      const interaction = createInteraction(message.id, message.interaction);
+      return handler(interaction, interaction.options.getFocused(true));
+    }
+    case 'component':
+      return handler(createInteraction(message.id, message.interaction), ...message.args);
+    case 'variable':
+      return handler();
+    case 'textCommand':
+      return handler(createMessage(message.id, message.message), message.args, message.context);
+    case 'event':
+      return handler(...message.args);
+    case 'route':
+      return runRoute(handler, message.req);
+    default:
+      throw new Error(`Unknown invocation kind: ${message.kind}`);
+  }
+}
+
+parentPort.on('message', async (message) => {
+  if (message.type === 'response') {
+    const call = pending.get(message.id);
+    if (call) {
+      pending.delete(message.id);
+      if (message.error) {
+        call.reject(deserializeError(message.error));
+      } else {
+        call.resolve(message.result);
+      }
+    }
+    return;
+  }
+
+  if (message.type !== 'invoke') {
+    return;
+  }
+
+  try {
+    const result = await handleInvoke(message);
+    parentPort.postMessage({ type: 'result', id: message.id, result: toPlain(result) });
+  } catch (error) {
+    parentPort.postMessage({ type: 'result', id: message.id, error: serializeError(error) });
+  }
+});
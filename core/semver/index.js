@@ -0,0 +1,249 @@
+// core/semver/index.js
+// Minimal semantic version parsing and range matching used for plugin
+// compatibility and dependency checks. Supports comparators (>=, <=, >, <, =),
+// caret (^) and tilde (~) ranges, x-ranges (1.x, 1.2.*), hyphen ranges
+// (1.0.0 - 2.0.0) and alternatives joined with ||.
+
+const VERSION_PATTERN = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+const PARTIAL_PATTERN = /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+const COMPARATOR_PATTERN = /^(>=|<=|>|<|=|\^|~)?(.*)$/;
+
+// Parse a full version string into its components
+function parseVersion(version) {
+  if (typeof version !== 'string') {
+    return null;
+  }
+
+  const match = version.trim().match(VERSION_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] ? match[4].split('.') : []
+  };
+}
+
+// Check whether a string is a valid full version
+function isValidVersion(version) {
+  return parseVersion(version) !== null;
+}
+
+// Compare prerelease identifier lists (a version without one is greater)
+function comparePrerelease(a, b) {
+  if (a.length === 0 && b.length === 0) return 0;
+  if (a.length === 0) return 1;
+  if (b.length === 0) return -1;
+
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === undefined) return -1;
+    if (b[i] === undefined) return 1;
+    if (a[i] === b[i]) continue;
+
+    const aNumeric = /^\d+$/.test(a[i]);
+    const bNumeric = /^\d+$/.test(b[i]);
+    if (aNumeric && bNumeric) return Number(a[i]) < Number(b[i]) ? -1 : 1;
+    if (aNumeric) return -1;
+    if (bNumeric) return 1;
+    return a[i] < b[i] ? -1 : 1;
+  }
+  return 0;
+}
+
+// Compare two versions, returning -1, 0 or 1
+function compareVersions(a, b) {
+  const left = typeof a === 'string' ? parseVersion(a) : a;
+  const right = typeof b === 'string' ? parseVersion(b) : b;
+  if (!left || !right) {
+    throw new Error(`Invalid version: ${!left ? a : b}`);
+  }
+
+  for (const key of ['major', 'minor', 'patch']) {
+    if (left[key] !== right[key]) {
+      return left[key] < right[key] ? -1 : 1;
+    }
+  }
+  return comparePrerelease(left.prerelease, right.prerelease);
+}
+
+// Parse a possibly partial version such as "1", "1.2" or "1.x"
+function parsePartial(text) {
+  const match = text.match(PARTIAL_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const parts = [match[1], match[2], match[3]].map(part =>
+    part === undefined || /^[xX*]$/.test(part) ? null : Number(part)
+  );
+  // Anything after a wildcard is a wildcard too (1.x.3 behaves like 1.x)
+  const wildcardIndex = parts.indexOf(null);
+  if (wildcardIndex !== -1) {
+    parts.fill(null, wildcardIndex);
+  }
+
+  return {
+    major: parts[0],
+    minor: parts[1],
+    patch: parts[2],
+    prerelease: match[4] && wildcardIndex === -1 ? match[4].split('.') : []
+  };
+}
+
+// Build a concrete version from a partial, filling gaps with zeros
+function fill(partial) {
+  return {
+    major: partial.major || 0,
+    minor: partial.minor || 0,
+    patch: partial.patch || 0,
+    prerelease: partial.prerelease
+  };
+}
+
+function version(major, minor, patch) {
+  return { major, minor, patch, prerelease: [] };
+}
+
+// The first version that is not covered by a partial (e.g. 1.2 -> 1.3.0)
+function nextAfterPartial(partial) {
+  if (partial.minor === null) return version(partial.major + 1, 0, 0);
+  return version(partial.major, partial.minor + 1, 0);
+}
+
+// Translate a single comparator token into a list of primitive comparators
+function desugarComparator(token, range) {
+  const [, operator = '', rest] = token.match(COMPARATOR_PATTERN);
+
+  if (rest === '' || /^[xX*]$/.test(rest)) {
+    // Wildcards match everything, except the impossible "<*" and ">*"
+    return operator === '<' || operator === '>'
+      ? [{ operator: '<', version: version(0, 0, 0) }]
+      : [];
+  }
+
+  const partial = parsePartial(rest);
+  if (!partial) {
+    throw new Error(`Invalid version range: ${range}`);
+  }
+
+  const isPartial = partial.patch === null;
+  const lower = fill(partial);
+
+  switch (operator) {
+    case '^': {
+      let upper;
+      if (partial.major > 0 || partial.minor === null) {
+        upper = version(partial.major + 1, 0, 0);
+      } else if (partial.minor > 0 || partial.patch === null) {
+        upper = version(0, partial.minor + 1, 0);
+      } else {
+        upper = version(0, 0, partial.patch + 1);
+      }
+      return [{ operator: '>=', version: lower }, { operator: '<', version: upper }];
+    }
+    case '~': {
+      const upper = partial.minor === null
+        ? version(partial.major + 1, 0, 0)
+        : version(partial.major, partial.minor + 1, 0);
+      return [{ operator: '>=', version: lower }, { operator: '<', version: upper }];
+    }
+    case '>':
+      return isPartial
+        ? [{ operator: '>=', version: nextAfterPartial(partial) }]
+        : [{ operator: '>', version: lower }];
+    case '>=':
+      return [{ operator: '>=', version: lower }];
+    case '<':
+      return [{ operator: '<', version: lower }];
+    case '<=':
+      return isPartial
+        ? [{ operator: '<', version: nextAfterPartial(partial) }]
+        : [{ operator: '<=', version: lower }];
+    default:
+      return isPartial
+        ? [{ operator: '>=', version: lower }, { operator: '<', version: nextAfterPartial(partial) }]
+        : [{ operator: '=', version: lower }];
+  }
+}
+
+// Parse one side of "||" into a list of primitive comparators
+function parseComparatorSet(set, range) {
+  const hyphen = set.match(/^(\S+)\s+-\s+(\S+)$/);
+  if (hyphen) {
+    const from = parsePartial(hyphen[1]);
+    const to = parsePartial(hyphen[2]);
+    if (!from || !to) {
+      throw new Error(`Invalid version range: ${range}`);
+    }
+
+    const upper = to.major === null
+      ? []
+      : to.patch === null
+        ? [{ operator: '<', version: nextAfterPartial(to) }]
+        : [{ operator: '<=', version: fill(to) }];
+    return [{ operator: '>=', version: fill(from) }, ...upper];
+  }
+
+  // Allow whitespace between an operator and its version (">= 1.0.0")
+  const normalized = set.replace(/(>=|<=|>|<|=|\^|~)\s+/g, '$1');
+  const tokens = normalized.split(/\s+/).filter(Boolean);
+  if (tokens.length === 0) {
+    return [];
+  }
+
+  return tokens.flatMap(token => desugarComparator(token, range));
+}
+
+// Parse a range string into alternatives of comparator lists
+function parseRange(range) {
+  if (typeof range !== 'string') {
+    throw new Error(`Invalid version range: ${range}`);
+  }
+
+  return range.split('||').map(set => parseComparatorSet(set.trim(), range));
+}
+
+// Check whether a range string is valid
+function isValidRange(range) {
+  try {
+    parseRange(range);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function testComparator(parsedVersion, { operator, version: target }) {
+  const result = compareVersions(parsedVersion, target);
+  switch (operator) {
+    case '>': return result > 0;
+    case '>=': return result >= 0;
+    case '<': return result < 0;
+    case '<=': return result <= 0;
+    default: return result === 0;
+  }
+}
+
+// Check whether a version satisfies a range. Throws on an invalid range.
+function satisfies(versionString, range) {
+  const parsedVersion = parseVersion(versionString);
+  if (!parsedVersion) {
+    throw new Error(`Invalid version: ${versionString}`);
+  }
+
+  return parseRange(range).some(comparators =>
+    comparators.every(comparator => testComparator(parsedVersion, comparator))
+  );
+}
+
+module.exports = {
+  parseVersion,
+  isValidVersion,
+  compareVersions,
+  parseRange,
+  isValidRange,
+  satisfies
+};
@@ -0,0 +1,201 @@
+// core/storage/index.js
+// Persistent key-value storage for plugins. Each plugin gets its own JSON
+// file under the data directory.
+const fs = require('fs').promises;
+const path = require('path');
+const { writeJsonAtomic } = require('../utils/atomic-write');
+
+// Storage directory (DATA_DIR defaults to ./data)
+const STORAGE_DIR = path.join(process.env.DATA_DIR || path.join(__dirname, '..', '..', 'data'), 'plugin-storage');
+
+// Quota used when none is set for a plugin
+const DEFAULT_QUOTA = {
+  maxBytes: 1024 * 1024, // Size of the plugin's store as JSON
+  maxKeys: 1000
+};
+
+const MAX_KEY_LENGTH = 256;
+
+// Thrown when a write would take a plugin over its storage quota
+class StorageQuotaError extends Error {
+  constructor(pluginName, detail) {
+    super(`Plugin ${pluginName} exceeded its storage quota: ${detail}`);
+    this.name = 'StorageQuotaError';
+    this.pluginName = pluginName;
+  }
+}
+
+class PluginStorage {
+  constructor(core) {
+    this.core = core;
+    this.storageDir = STORAGE_DIR;
+    this.stores = new Map(); // Loaded stores by plugin name
+    this.queues = new Map(); // Pending writes by plugin name, run one at a time
+    this.quotas = new Map(); // Quotas by plugin name
+  }
+
+  // Set a plugin's quota; missing values fall back to the defaults
+  setQuota(pluginName, quota = {}) {
+    const effective = { ...DEFAULT_QUOTA };
+    for (const [key, value] of Object.entries(quota)) {
+      if (key in DEFAULT_QUOTA && typeof value === 'number' && value > 0) {
+        effective[key] = value;
+      }
+    }
+    this.quotas.set(pluginName, effective);
+    return effective;
+  }
+
+  getQuota(pluginName) {
+    return this.quotas.get(pluginName) || { ...DEFAULT_QUOTA };
+  }
+
+  clearQuota(pluginName) {
+    this.quotas.delete(pluginName);
+  }
+
+  getFilePath(pluginName) {
+    return path.join(this.storageDir, `${pluginName}.json`);
+  }
+
+  // Read a plugin's store from disk the first time it is used
+  async load(pluginName) {
+    if (this.stores.has(pluginName)) {
+      return this.stores.get(pluginName);
+    }
+
+    let data = {};
+    try {
+      data = JSON.parse(await fs.readFile(this.getFilePath(pluginName), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to read storage of plugin ${pluginName}:`, error);
+        throw new Error(`Storage of plugin ${pluginName} could not be read`);
+      }
+    }
+
+    this.stores.set(pluginName, data);
+    return data;
+  }
+
+  async write(pluginName, data) {
+    await writeJsonAtomic(this.getFilePath(pluginName), data);
+  }
+
+  // Run a change against a copy of a plugin's store and save it. Changes to
+  // the same store are queued, so read-modify-write operations never interleave.
+  update(pluginName, change) {
+    const run = async () => {
+      const data = { ...(await this.load(pluginName)) };
+      const result = change(data);
+      this.checkQuota(pluginName, data);
+      await this.write(pluginName, data);
+      this.stores.set(pluginName, data);
+      return result;
+    };
+
+    const previous = this.queues.get(pluginName) || Promise.resolve();
+    const current = previous.then(run, run);
+    this.queues.set(pluginName, current.catch(() => {}));
+    return current;
+  }
+
+  checkQuota(pluginName, data) {
+    const { maxBytes, maxKeys } = this.getQuota(pluginName);
+    const keys = Object.keys(data).length;
+    if (keys > maxKeys) {
+      throw new StorageQuotaError(pluginName, `${keys} keys (limit ${maxKeys})`);
+    }
+
+    const bytes = Buffer.byteLength(JSON.stringify(data));
+    if (bytes > maxBytes) {
+      throw new StorageQuotaError(pluginName, `${bytes} bytes (limit ${maxBytes})`);
+    }
+  }
+
+  validateKey(key) {
+    if (typeof key !== 'string' || key.length === 0 || key.length > MAX_KEY_LENGTH) {
+      throw new Error(`Storage keys must be non-empty strings of at most ${MAX_KEY_LENGTH} characters`);
+    }
+  }
+
+  async get(pluginName, key, defaultValue = null) {
+    this.validateKey(key);
+    const data = await this.load(pluginName);
+    // Hand out copies so callers cannot change stored values in place
+    return key in data ? JSON.parse(JSON.stringify(data[key])) : defaultValue;
+  }
+
+  async set(pluginName, key, value) {
+    this.validateKey(key);
+    if (value === undefined) {
+      throw new Error('Storage values cannot be undefined; use delete to remove a key');
+    }
+
+    const stored = JSON.parse(JSON.stringify(value));
+    await this.update(pluginName, (data) => {
+      data[key] = stored;
+    });
+  }
+
+  // Remove a key; resolves to whether it existed
+  async delete(pluginName, key) {
+    this.validateKey(key);
+    return this.update(pluginName, (data) => {
+      const existed = key in data;
+      delete data[key];
+      return existed;
+    });
+  }
+
+  // List keys, optionally only those starting with a prefix
+  async list(pluginName, prefix = '') {
+    const data = await this.load(pluginName);
+    return Object.keys(data).filter(key => key.startsWith(prefix)).sort();
+  }
+
+  // Add to a numeric value (missing keys start at 0) and return the result
+  async increment(pluginName, key, amount = 1) {
+    this.validateKey(key);
+    if (typeof amount !== 'number' || !Number.isFinite(amount)) {
+      throw new Error('Increment amount must be a finite number');
+    }
+
+    return this.update(pluginName, (data) => {
+      const current = key in data ? data[key] : 0;
+      if (typeof current !== 'number') {
+        throw new Error(`Storage key ${key} does not hold a number`);
+      }
+      data[key] = current + amount;
+      return data[key];
+    });
+  }
+
+  // Size of a plugin's store for the plugin API
+  async getUsage(pluginName) {
+    const data = await this.load(pluginName);
+    return {
+      keys: Object.keys(data).length,
+      bytes: Buffer.byteLength(JSON.stringify(data)),
+      quota: this.getQuota(pluginName)
+    };
+  }
+
+  // Remove all of a plugin's data, after any pending writes have finished
+  async deleteNamespace(pluginName) {
+    await this.queues.get(pluginName);
+    this.stores.delete(pluginName);
+    this.queues.delete(pluginName);
+    await fs.rm(this.getFilePath(pluginName), { force: true });
+    console.log(`Deleted storage of plugin ${pluginName}`);
+  }
+
+  // Wait for all pending writes, e.g. before shutting down
+  async flush() {
+    await Promise.all(this.queues.values());
+  }
+}
+
+module.exports = PluginStorage;
+module.exports.DEFAULT_QUOTA = DEFAULT_QUOTA;
+module.exports.StorageQuotaError = StorageQuotaError;
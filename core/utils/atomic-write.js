@@ -0,0 +1,26 @@
+// core/utils/atomic-write.js
+// Writes JSON files to a temporary file that is then renamed over the old
+// one, so a crash never leaves a half-written file behind.
+const fs = require('fs').promises;
+const path = require('path');
+
+// Counter that keeps temporary names unique within this process
+let writes = 0;
+
+// Write data as formatted JSON to file, creating its directory if needed.
+// Concurrent writes each use their own temporary file; the last rename wins.
+async function writeJsonAtomic(file, data) {
+  writes += 1;
+  const tempFile = `${file}.${process.pid}.${writes}.tmp`;
+
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  try {
+    await fs.writeFile(tempFile, JSON.stringify(data, null, 2));
+    await fs.rename(tempFile, file);
+  } catch (error) {
+    await fs.rm(tempFile, { force: true });
+    throw error;
+  }
+}
+
+module.exports = { writeJsonAtomic };
@@ -0,0 +1,181 @@
+// core/web/app/components/PluginConfigForm.js
+import React, { useState, useEffect } from 'react';
+
+// Convert a form field back into the type its schema expects
+const parseField = (property, raw) => {
+  if (raw === '' || raw === undefined) {
+    return undefined;
+  }
+
+  switch (property.type) {
+    case 'number':
+      return Number(raw);
+    case 'integer':
+      return Number.parseInt(raw, 10);
+    case 'array':
+      return raw.split(',').map(item => item.trim()).filter(item => item !== '')
+        .map(item => parseField(property.items, item));
+    default:
+      return raw;
+  }
+};
+
+// Settings form generated from a plugin's configSchema
+export default function PluginConfigForm({ pluginName, onSaved }) {
+  const [schema, setSchema] = useState(null);
+  const [values, setValues] = useState({});
+  const [secrets, setSecrets] = useState([]);
+  const [errors, setErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchConfig = async () => {
+      try {
+        const response = await fetch(`/api/plugins/${encodeURIComponent(pluginName)}/config`);
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to fetch configuration');
+        }
+        setSchema(data.schema);
+        setValues(data.values || {});
+        setSecrets(data.secrets || []);
+      } catch (err) {
+        setErrors([err.message]);
+        console.error(err);
+      }
+    };
+
+    fetchConfig();
+  }, [pluginName]);
+
+  const updateValue = (name, value) => {
+    setValues({ ...values, [name]: value });
+  };
+
+  const saveConfig = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    setErrors([]);
+
+    // Empty fields are left out so defaults apply
+    const payload = {};
+    for (const [name, property] of Object.entries(schema.properties || {})) {
+      const value = property.type === 'boolean'
+        ? values[name] === true
+        : parseField(property, Array.isArray(values[name]) ? values[name].join(', ') : values[name]);
+      if (value !== undefined) {
+        payload[name] = value;
+      }
+    }
+
+    try {
+      const response = await fetch(`/api/plugins/${encodeURIComponent(pluginName)}/config`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ values: payload })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setErrors(data.errors || [data.error || 'Failed to save configuration']);
+        return;
+      }
+
+      setValues(data.values);
+      setSecrets(data.secrets || []);
+      if (onSaved) {
+        onSaved(data.message);
+      }
+    } catch (err) {
+      setErrors(['Failed to save configuration: Network error']);
+      console.error(err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!schema) {
+    return errors.length > 0
+      ? <div className="alert alert-error">{errors[0]}</div>
+      : <p className="text-gray-500">Loading settings...</p>;
+  }
+
+  const required = schema.required || [];
+
+  // Render the input for one property
+  const renderField = (name, property) => {
+    const value = values[name];
+    const id = `${pluginName}-${name}`;
+
+    if (property.type === 'boolean') {
+      return (
+        <input
+          id={id}
+          type="checkbox"
+          checked={value === true}
+          onChange={(event) => updateValue(name, event.target.checked)}
+        />
+      );
+    }
+
+    if (property.enum) {
+      return (
+        <select
+          id={id}
+          className="input"
+          value={value === undefined ? '' : value}
+          onChange={(event) => updateValue(name, event.target.value)}
+        >
+          <option value="">Select...</option>
+          {property.enum.map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      );
+    }
+
+    const inputType = property.writeOnly
+      ? 'password'
+      : (property.type === 'number' || property.type === 'integer' ? 'number' : 'text');
+    return (
+      <input
+        id={id}
+        type={inputType}
+        className="input"
+        min={property.minimum}
+        max={property.maximum}
+        step={property.type === 'integer' ? 1 : undefined}
+        placeholder={property.type === 'array'
+          ? 'Comma-separated values'
+          : (secrets.includes(name) ? 'Saved; leave blank to keep' : undefined)}
+        value={value === undefined || value === null ? '' : (Array.isArray(value) ? value.join(', ') : value)}
+        onChange={(event) => updateValue(name, event.target.value)}
+      />
+    );
+  };
+
+  return (
+    <form onSubmit={saveConfig} className="mt-4">
+      {errors.length > 0 && (
+        <div className="alert alert-error mb-4">
+          {errors.map(error => <div key={error}>{error}</div>)}
+        </div>
+      )}
+
+      {Object.entries(schema.properties || {}).map(([name, property]) => (
+        <div key={name} className="form-group">
+          <label htmlFor={`${pluginName}-${name}`} className="form-label">
+            {property.title || name}{required.includes(name) ? ' *' : ''}
+          </label>
+          {renderField(name, property)}
+          {property.description && (
+            <p className="plugin-item-meta">{property.description}</p>
+          )}
+        </div>
+      ))}
+
+      <button type="submit" disabled={saving} className="btn btn-primary btn-sm">
+        {saving ? 'Saving...' : 'Save Settings'}
+      </button>
+    </form>
+  );
+}
@@ -0,0 +1,195 @@
+// core/web/app/components/PresenceControl.js
+import React, { useState, useEffect } from 'react';
+
+const STATUSES = ['online', 'idle', 'dnd', 'invisible'];
+const ACTIVITY_TYPES = ['playing', 'listening', 'watching', 'competing', 'streaming', 'custom'];
+
+// Shows the bot's presence and edits the rotation operators configure
+export default function PresenceControl() {
+  const [presence, setPresence] = useState(null);
+  const [rotation, setRotation] = useState(null);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const fetchPresence = async () => {
+    try {
+      const response = await fetch('/api/bot/presence');
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch presence');
+      }
+      setPresence(data);
+      setRotation((current) => current || data.rotation);
+    } catch (err) {
+      setError(err.message);
+      console.error(err);
+    }
+  };
+
+  useEffect(() => {
+    fetchPresence();
+    const interval = setInterval(fetchPresence, 15000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const update = (changes) => {
+    setRotation({ ...rotation, ...changes });
+    setMessage(null);
+  };
+
+  const updateActivity = (index, changes) => {
+    update({
+      activities: rotation.activities.map((activity, i) => (i === index ? { ...activity, ...changes } : activity))
+    });
+  };
+
+  const saveRotation = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/bot/presence', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ rotation })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save presence rotation');
+      }
+
+      setPresence(data);
+      setRotation(data.rotation);
+      setMessage(data.message);
+    } catch (err) {
+      setError(err.message);
+      console.error(err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!rotation) {
+    return error
+      ? <div className="alert alert-error">{error}</div>
+      : <p className="text-gray-500">Loading presence...</p>;
+  }
+
+  const current = presence && presence.current;
+
+  return (
+    <form onSubmit={saveRotation}>
+      {error && <div className="alert alert-error mb-4">{error}</div>}
+      {message && <div className="alert alert-success mb-4">{message}</div>}
+
+      <p className="text-sm text-gray-600 mb-4">
+        Showing: {current && current.activities.length > 0
+          ? current.activities.map(activity => `${activity.type} ${activity.name}`).join(', ')
+          : 'no activity'}
+        {current && ` (${current.status}, ${current.source === 'rotation' ? 'rotation' : `set by ${current.source}`})`}
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="form-group">
+          <label htmlFor="presence-status" className="form-label">Status</label>
+          <select
+            id="presence-status"
+            className="input"
+            value={rotation.status}
+            onChange={(event) => update({ status: event.target.value })}
+          >
+            {STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="presence-interval" className="form-label">Seconds per activity</label>
+          <input
+            id="presence-interval"
+            type="number"
+            className="input"
+            min={15}
+            step={1}
+            value={rotation.interval}
+            onChange={(event) => update({ interval: Number.parseInt(event.target.value, 10) })}
+          />
+        </div>
+        <div className="form-group">
+          <label className="form-label">
+            <input
+              type="checkbox"
+              checked={rotation.enabled}
+              onChange={(event) => update({ enabled: event.target.checked })}
+            />{' '}
+            Rotate activities
+          </label>
+          <label className="form-label">
+            <input
+              type="checkbox"
+              checked={rotation.allowPlugins}
+              onChange={(event) => update({ allowPlugins: event.target.checked })}
+            />{' '}
+            Let plugins override
+          </label>
+        </div>
+      </div>
+
+      {rotation.activities.map((activity, index) => (
+        <div key={index} className="flex gap-2 mb-2">
+          <select
+            className="input"
+            aria-label="Activity type"
+            value={activity.type}
+            onChange={(event) => updateActivity(index, { type: event.target.value })}
+          >
+            {ACTIVITY_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+          </select>
+          <input
+            type="text"
+            className="input"
+            aria-label="Activity text"
+            maxLength={128}
+            value={activity.name}
+            onChange={(event) => updateActivity(index, { name: event.target.value })}
+          />
+          {activity.type === 'streaming' && (
+            <input
+              type="url"
+              className="input"
+              aria-label="Stream URL"
+              placeholder="https://twitch.tv/..."
+              value={activity.url || ''}
+              onChange={(event) => updateActivity(index, { url: event.target.value })}
+            />
+          )}
+          <button
+            type="button"
+            className="btn btn-secondary btn-sm"
+            onClick={() => update({ activities: rotation.activities.filter((_, i) => i !== index) })}
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+      {presence && (
+        <p className="plugin-item-meta mb-4">
+          Variables: {presence.variables.map(name => `{${name}}`).join(' ')}
+        </p>
+      )}
+
+      <div className="flex gap-2">
+        <button
+          type="button"
+          className="btn btn-secondary btn-sm"
+          onClick={() => update({ activities: [...rotation.activities, { type: 'watching', name: '{guilds} servers' }] })}
+        >
+          Add Activity
+        </button>
+        <button type="submit" disabled={saving} className="btn btn-primary btn-sm">
+          {saving ? 'Saving...' : 'Save Presence'}
+        </button>
+      </div>
+    </form>
+  );
+}
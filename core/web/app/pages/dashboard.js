@@ -1,6 +1,7 @@
 // core/web/app/pages/dashboard.js
 import React, { useState, useEffect } from 'react';
 import Layout from '../components/Layout';
+import PresenceControl from '../components/PresenceControl';
 
 export default function Dashboard() {
   const [botStatus, setBotStatus] = useState({
@@ -51,6 +52,47 @@ export default function Dashboard() {
     return () => clearInterval(interval);
   }, []);
 
+  // Clear a plugin's quarantine and refresh the plugin list
+  const clearQuarantine = async (pluginName) => {
+    try {
+      const response = await fetch('/api/plugins/quarantine/clear', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ pluginName })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to clear quarantine');
+      }
+
+      const pluginsResponse = await fetch('/api/plugins');
+      setPlugins(await pluginsResponse.json());
+    } catch (err) {
+      setError(err.message);
+      console.error(err);
+    }
+  };
+
+  // Reconnect so newly enabled plugins get the gateway intents they need
+  const reconnectBot = async () => {
+    try {
+      const response = await fetch('/api/bot/reconnect', { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to reconnect');
+      }
+
+      const statusResponse = await fetch('/api/bot/status');
+      setBotStatus(await statusResponse.json());
+    } catch (err) {
+      setError(err.message);
+      console.error(err);
+    }
+  };
+
+  const quarantinedPlugins = plugins.filter(p => p.quarantine);
+  const gateway = botStatus.gateway;
+
   // Format uptime
   const formatUptime = (ms) => {
     if (!ms) return '0s';
@@ -72,6 +114,7 @@ export default function Dashboard() {
       case 'online':
         return 'bg-green-500';
       case 'connecting':
+      case 'reconnecting':
         return 'bg-yellow-500';
       case 'disconnected':
         return 'bg-red-500';
@@ -80,6 +123,25 @@ export default function Dashboard() {
     }
   };
 
+  // Get the color of a shard's connection status
+  const getShardColor = (status) => {
+    switch (status) {
+      case 'Ready':
+        return 'bg-green-500';
+      case 'Disconnected':
+        return 'bg-red-500';
+      default:
+        return 'bg-yellow-500';
+    }
+  };
+
+  // One line of the connection history, such as "reconnecting (shard 0)"
+  const describeConnectionEntry = (entry) => {
+    const shard = entry.shardId !== undefined && entry.shardId !== null ? ` (shard ${entry.shardId})` : '';
+    const details = entry.reason || entry.message || (entry.source && `${entry.source}${entry.route ? ` ${entry.method} ${entry.route}` : ''}`);
+    return `${entry.type}${shard}${details ? `: ${details}` : ''}`;
+  };
+
   return (
     <Layout>
       <div className="max-w-6xl mx-auto">
@@ -127,6 +189,92 @@ export default function Dashboard() {
               <div className="text-2xl font-bold mt-2">{formatUptime(botStatus.uptime)}</div>
             </div>
           </div>
+
+          {botStatus.shards && botStatus.shards.length > 0 && (
+            <div className="mt-4">
+              <div className="font-medium mb-2">
+                {botStatus.shardCount === 1 ? '1 shard' : `${botStatus.shardCount} shards`}
+                {botStatus.ping !== null && ` · ${botStatus.ping}ms average ping`}
+                {` · ${botStatus.userCount} members`}
+              </div>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                {botStatus.shards.map((shard) => (
+                  <div key={shard.id} className="border rounded-lg p-2 text-sm">
+                    <div className="flex items-center">
+                      <div className={`w-2 h-2 rounded-full mr-2 ${getShardColor(shard.status)}`}></div>
+                      <span className="font-medium">Shard {shard.id}</span>
+                    </div>
+                    <div className="text-gray-600">
+                      {shard.status} · {shard.ping === null ? 'no ping yet' : `${shard.ping}ms`} · {shard.guildCount} servers
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {botStatus.connection && botStatus.connection.recent.length > 0 && (
+            <div className="mt-4">
+              <div className="font-medium mb-2">Connection</div>
+              <div className="text-sm text-gray-600">
+                {botStatus.connection.counts.reconnecting} reconnects · {botStatus.connection.counts.resume} resumes
+                {` · ${botStatus.connection.counts.invalidSession} invalid sessions · ${botStatus.connection.counts.rateLimit} rate limits`}
+                {botStatus.connection.lastDisconnectAt &&
+                  ` · last lost ${new Date(botStatus.connection.lastDisconnectAt).toLocaleString()}`}
+              </div>
+              <ul className="text-sm text-gray-600 mt-1">
+                {botStatus.connection.recent.slice(0, 5).map((entry, index) => (
+                  <li key={index}>
+                    {new Date(entry.at).toLocaleTimeString()} {describeConnectionEntry(entry)}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {botStatus.commandSync && (
+            <div className="text-sm text-gray-600 mt-4">
+              Commands: {botStatus.commandSync.state === 'synced' && botStatus.commandSync.lastSyncAt
+                ? `synced ${new Date(botStatus.commandSync.lastSyncAt).toLocaleString()}`
+                : botStatus.commandSync.state}
+              {botStatus.devGuildId && ` (development guild ${botStatus.devGuildId})`}
+              {botStatus.commandSync.lastError && (
+                <div className="text-red-600 mt-1">
+                  Last sync error: {botStatus.commandSync.lastError}
+                  {' '}({new Date(botStatus.commandSync.lastErrorAt).toLocaleString()})
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Gateway intents */}
+        {gateway && gateway.reconnectRequired && (
+          <div className="alert alert-warning mb-6 flex justify-between items-start">
+            <div>
+              <div className="font-medium">Reconnect needed</div>
+              <p className="text-sm mt-1">
+                {gateway.waitingPlugins.join(', ')} need{' '}
+                {[...gateway.missingIntents, ...gateway.missingPartials].join(', ')}, which the bot
+                did not connect with. Their events will not arrive until the bot reconnects.
+              </p>
+            </div>
+            <button onClick={reconnectBot} className="btn btn-secondary btn-sm">
+              Reconnect
+            </button>
+          </div>
+        )}
+        {gateway && gateway.privileged.length > 0 && (
+          <p className="text-sm text-gray-600 mb-6">
+            Privileged intents in use: {gateway.privileged.map(({ intent, plugins: requestedBy }) =>
+              `${intent} (${requestedBy.join(', ')})`).join('; ')}. They must be enabled in the Discord Developer Portal.
+          </p>
+        )}
+
+        {/* Presence */}
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <h2 className="text-2xl font-semibold mb-4">Presence</h2>
+          <PresenceControl />
         </div>
 
         {/* Plugin Status */}
@@ -156,6 +304,35 @@ export default function Dashboard() {
           </div>
         </div>
 
+        {/* Quarantined Plugins */}
+        {quarantinedPlugins.length > 0 && (
+          <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+            <h2 className="text-2xl font-semibold mb-4">Quarantined Plugins</h2>
+            <p className="text-gray-600 mb-4">
+              These plugins were disabled because they kept exceeding their resource budgets.
+            </p>
+            <div className="space-y-3">
+              {quarantinedPlugins.map((plugin) => (
+                <div key={plugin.name} className="border rounded-lg p-4 flex justify-between items-start">
+                  <div>
+                    <h3 className="font-medium">{plugin.manifest.name}</h3>
+                    <p className="text-sm text-red-600 mt-1">{plugin.quarantine.reason}</p>
+                    <div className="text-xs text-gray-500 mt-2">
+                      Since {new Date(plugin.quarantine.at).toLocaleString()}
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => clearQuarantine(plugin.name)}
+                    className="btn btn-secondary btn-sm"
+                  >
+                    Clear
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Quick Actions */}
         <div className="dashboard-grid">
           <div className="dashboard-card">
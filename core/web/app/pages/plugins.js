@@ -1,12 +1,16 @@
 // core/web/app/pages/plugins.js
 import React, { useState, useEffect } from 'react';
 import Layout from '../components/Layout';
+import PluginConfigForm from '../components/PluginConfigForm';
 
 export default function Plugins() {
   const [plugins, setPlugins] = useState([]);
   const [availablePlugins, setAvailablePlugins] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [reloading, setReloading] = useState(null);
+  const [configuring, setConfiguring] = useState(null);
 
   // Fetch installed plugins
   useEffect(() => {
@@ -86,12 +90,46 @@ export default function Plugins() {
     }
   };
 
+  // Reload a plugin's manifest and code
+  const reloadPlugin = async (pluginName) => {
+    setReloading(pluginName);
+    setError(null);
+    setNotice(null);
+    try {
+      const response = await fetch('/api/plugins/reload', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ pluginName }),
+      });
+      
+      const data = await response.json();
+      if (response.ok) {
+        setNotice(`Reloaded ${pluginName} in ${data.duration}ms (commands ${data.commandsChanged ? 'changed' : 'unchanged'})`);
+        fetchInstalledPlugins(); // Refresh the list
+      } else {
+        setError(data.error
+          ? `Failed to reload ${pluginName}: ${data.error}. ${data.rolledBack === false
+            ? 'The plugin is stopped until it is fixed and enabled again.'
+            : 'The previous version is still running.'}`
+          : 'Failed to reload plugin');
+      }
+    } catch (err) {
+      setError('Failed to reload plugin');
+      console.error(err);
+    } finally {
+      setReloading(null);
+    }
+  };
+
   // Delete a plugin
   const deletePlugin = async (pluginName) => {
     // Confirm deletion
     if (!window.confirm(`Are you sure you want to delete the plugin "${pluginName}"? This action cannot be undone.`)) {
       return;
     }
+    const preserveData = window.confirm(`Keep the data stored by "${pluginName}"? Choose OK to keep it for a later reinstall, or Cancel to delete it.`);
     
     try {
       console.log(`Deleting plugin: ${pluginName}`);
@@ -100,7 +138,7 @@ export default function Plugins() {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ pluginName }),
+        body: JSON.stringify({ pluginName, preserveData }),
       });
       
       const data = await response.json();
@@ -158,6 +196,12 @@ export default function Plugins() {
           </div>
         )}
         
+        {notice && (
+          <div className="alert alert-success">
+            {notice}
+          </div>
+        )}
+        
         <div className="plugin-grid">
           {/* Installed Plugins Section */}
           <div className="plugin-section">
@@ -176,6 +220,33 @@ export default function Plugins() {
                         <h3 className="plugin-item-title">{plugin.manifest.name}</h3>
                         <p className="plugin-item-description">{plugin.manifest.description}</p>
                         <p className="plugin-item-meta">Version {plugin.manifest.version}</p>
+                        {plugin.dependencies && plugin.dependencies.length > 0 && (
+                          <p className="plugin-item-meta">Depends on: {plugin.dependencies.join(', ')}</p>
+                        )}
+                        {plugin.compatibility && plugin.compatibility.compatible === false && (
+                          <p className="plugin-item-meta text-red-600">
+                            Incompatible: {plugin.compatibility.reason}
+                          </p>
+                        )}
+                        {plugin.unmetDependencies && plugin.unmetDependencies.length > 0 && (
+                          <p className="plugin-item-meta text-red-600">
+                            Unmet dependencies: {plugin.unmetDependencies.map(dep => dep.reason === 'incompatible'
+                              ? `${dep.name} (requires ${dep.required}, found ${dep.version})`
+                              : `${dep.name} (${dep.reason})`).join(', ')}
+                          </p>
+                        )}
+                        {plugin.dependencyCycle && (
+                          <p className="plugin-item-meta text-red-600">
+                            Circular dependency: {plugin.dependencyCycle.join(' → ')}
+                          </p>
+                        )}
+                        {plugin.conflicts && plugin.conflicts.filter(conflict => conflict.plugin === plugin.name).map(conflict => (
+                          <p key={`${conflict.type}-${conflict.name}`} className="plugin-item-meta text-red-600">
+                            {conflict.resolution === 'namespaced'
+                              ? `${conflict.type} ${conflict.name} is taken by ${conflict.owner}; registered as ${conflict.renamedTo}`
+                              : `${conflict.type} ${conflict.name} was not registered: it belongs to ${conflict.owner}`}
+                          </p>
+                        ))}
                       </div>
                       <span className={plugin.enabled ? 'badge-success' : 'badge-error'}>
                         {plugin.enabled ? 'Enabled' : 'Disabled'}
@@ -198,6 +269,21 @@ export default function Plugins() {
                           Enable
                         </button>
                       )}
+                      <button
+                        onClick={() => reloadPlugin(plugin.name)}
+                        disabled={reloading === plugin.name}
+                        className="btn btn-secondary btn-sm"
+                      >
+                        {reloading === plugin.name ? 'Reloading...' : 'Reload'}
+                      </button>
+                      {plugin.manifest.configSchema && (
+                        <button
+                          onClick={() => setConfiguring(configuring === plugin.name ? null : plugin.name)}
+                          className="btn btn-secondary btn-sm"
+                        >
+                          {configuring === plugin.name ? 'Close Settings' : 'Settings'}
+                        </button>
+                      )}
                       <button
                         onClick={() => deletePlugin(plugin.name)}
                         className="btn btn-danger btn-sm"
@@ -205,6 +291,10 @@ export default function Plugins() {
                         Delete
                       </button>
                     </div>
+                    
+                    {configuring === plugin.name && (
+                      <PluginConfigForm pluginName={plugin.name} onSaved={setNotice} />
+                    )}
                   </div>
                 ))}
               </div>
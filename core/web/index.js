@@ -71,8 +71,11 @@ class WebServer {
   async handleRequest(req, res, nextHandler) {
     try {
       // Handle routes registered by plugins
-      const routeHandler = this.core.api.routes.get(req.url);
-      if (routeHandler) {
+      const route = this.core.api.matchRoute(req.url);
+      if (route) {
+        const routeHandler = route.handler;
+        req.params = route.params;
+
         // Wrap res.json to provide Express-like functionality
         res.json = (data) => {
           res.setHeader('Content-Type', 'application/json');
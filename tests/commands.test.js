@@ -0,0 +1,140 @@
+// tests/commands.test.js
+const { normalizeCommand, splitCommandDefinition, normalizeAutocompleteChoices } = require('../core/discord/commands');
+
+describe('Slash command definitions', () => {
+  const handler = jest.fn();
+
+  test('should convert options to Discord\'s format', () => {
+    const command = normalizeCommand('weather', 'Show the weather', handler, {
+      options: [
+        { type: 'string', name: 'city', description: 'City name', required: true, maxLength: 50 },
+        {
+          type: 'string',
+          name: 'units',
+          description: 'Units',
+          choices: [{ name: 'Metric', value: 'metric' }, { name: 'Imperial', value: 'imperial' }]
+        },
+        { type: 'integer', name: 'days', description: 'Days ahead', minValue: 1, maxValue: 7 }
+      ]
+    });
+
+    expect(command.options).toEqual([
+      { type: 3, name: 'city', description: 'City name', required: true, max_length: 50 },
+      {
+        type: 3,
+        name: 'units',
+        description: 'Units',
+        choices: [{ name: 'Metric', value: 'metric' }, { name: 'Imperial', value: 'imperial' }]
+      },
+      { type: 4, name: 'days', description: 'Days ahead', min_value: 1, max_value: 7 }
+    ]);
+  });
+
+  test('should keep commands without options unchanged', () => {
+    expect(normalizeCommand('ping', 'Ping the bot', handler)).toEqual({
+      description: 'Ping the bot',
+      handler,
+      options: undefined,
+      defaultMemberPermissions: undefined
+    });
+  });
+
+  test('should reject definitions that break Discord\'s limits', () => {
+    const tooManyChoices = Array.from({ length: 26 }, (value, index) => ({ name: `c${index}`, value: `c${index}` }));
+
+    expect(() => normalizeCommand('Weather', 'Show the weather', handler)).toThrow('/Weather name must be');
+    expect(() => normalizeCommand('weather', 'x'.repeat(101), handler)).toThrow('description must be 1-100 characters');
+    expect(() => normalizeCommand('weather', 'Show the weather', handler, {
+      options: [{ type: 'string', name: 'city', description: 'City', choices: tooManyChoices }]
+    })).toThrow('/weather > city choices must be an array of at most 25 choices');
+    expect(() => normalizeCommand('weather', 'Show the weather', handler, {
+      options: [
+        { type: 'string', name: 'units', description: 'Units' },
+        { type: 'string', name: 'city', description: 'City', required: true }
+      ]
+    })).toThrow('/weather > city required options must come before optional ones');
+    expect(() => normalizeCommand('weather', 'Show the weather', handler, {
+      options: [
+        { type: 'subcommand', name: 'today', description: 'Today' },
+        { type: 'boolean', name: 'detailed', description: 'Detailed' }
+      ]
+    })).toThrow('cannot mix subcommands with other options');
+  });
+
+  test('should route subcommands to their own handlers', () => {
+    const today = jest.fn();
+    const add = jest.fn();
+    const { name, description, handler: dispatch, extra } = splitCommandDefinition({
+      name: 'weather',
+      description: 'Weather tools',
+      options: [
+        { type: 'subcommand', name: 'today', description: 'Today\'s weather', handler: today },
+        {
+          type: 'subcommand_group',
+          name: 'alerts',
+          description: 'Weather alerts',
+          options: [{ type: 'subcommand', name: 'add', description: 'Add an alert', handler: add }]
+        }
+      ]
+    });
+
+    const command = normalizeCommand(name, description, dispatch, extra);
+    expect(command.options[1]).toEqual({
+      type: 2,
+      name: 'alerts',
+      description: 'Weather alerts',
+      options: [{ type: 1, name: 'add', description: 'Add an alert', options: [] }]
+    });
+
+    const interaction = (group, subcommand) => ({
+      options: { getSubcommandGroup: () => group, getSubcommand: () => subcommand }
+    });
+    dispatch(interaction(null, 'today'));
+    dispatch(interaction('alerts', 'add'));
+    expect(today).toHaveBeenCalledTimes(1);
+    expect(add).toHaveBeenCalledTimes(1);
+  });
+
+  test('should route autocomplete to the focused option\'s handler', async () => {
+    const suggestCity = jest.fn().mockReturnValue(['Berlin', 'Bern']);
+    const { name, description, handler: run, extra } = splitCommandDefinition({
+      name: 'weather',
+      description: 'Show the weather',
+      handler,
+      options: [
+        { type: 'string', name: 'city', description: 'City name', autocomplete: suggestCity },
+        { type: 'string', name: 'country', description: 'Country' }
+      ]
+    });
+
+    const command = normalizeCommand(name, description, run, extra);
+    expect(command.options[0].autocomplete).toBe(true);
+
+    const focused = { name: 'city', value: 'Ber', focused: true };
+    const interaction = {
+      options: { getFocused: () => focused, getSubcommandGroup: () => null, getSubcommand: () => null }
+    };
+    expect(await command.autocomplete(interaction)).toEqual(['Berlin', 'Bern']);
+    expect(suggestCity).toHaveBeenCalledWith(interaction, focused);
+  });
+
+  test('should reject autocomplete on unsupported options', () => {
+    expect(() => normalizeCommand('weather', 'Show the weather', handler, {
+      options: [{ type: 'boolean', name: 'hourly', description: 'Hourly', autocomplete: true }],
+      autocomplete: jest.fn()
+    })).toThrow('autocomplete is only allowed on string, integer and number options');
+    expect(() => normalizeCommand('weather', 'Show the weather', handler, {
+      options: [{ type: 'string', name: 'city', description: 'City', autocomplete: true }]
+    })).toThrow('no autocomplete handler');
+  });
+
+  test('should limit autocomplete choices to what Discord accepts', () => {
+    const many = Array.from({ length: 30 }, (_, index) => `city-${index}`);
+    expect(normalizeAutocompleteChoices(many)).toHaveLength(25);
+    expect(normalizeAutocompleteChoices([{ name: 'x'.repeat(150), value: 3 }, null, 7])).toEqual([
+      { name: 'x'.repeat(100), value: 3 },
+      { name: '7', value: 7 }
+    ]);
+    expect(normalizeAutocompleteChoices(undefined)).toEqual([]);
+  });
+});
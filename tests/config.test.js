@@ -0,0 +1,127 @@
+// tests/config.test.js
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const PluginConfig = require('../core/config');
+const { ConfigValidationError } = require('../core/config');
+const { checkSchema, validate } = require('../core/config/schema');
+
+const configSchema = {
+  type: 'object',
+  required: ['apiKey'],
+  properties: {
+    apiKey: { type: 'string', writeOnly: true, minLength: 8 },
+    units: { type: 'string', enum: ['metric', 'imperial'], default: 'metric' },
+    refreshMinutes: { type: 'integer', minimum: 1, maximum: 60, default: 15 },
+    channels: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+describe('Plugin config schema', () => {
+  test('should report unsupported schemas', () => {
+    expect(checkSchema(configSchema)).toEqual([]);
+    expect(checkSchema({ type: 'object', properties: { nested: { type: 'object' } } }))
+      .toEqual(['nested: type must be one of string, number, integer, boolean, array']);
+  });
+
+  test('should validate values', () => {
+    expect(validate(configSchema, { apiKey: 'abcdefgh', channels: ['general'] })).toEqual([]);
+    expect(validate(configSchema, { units: 'kelvin', refreshMinutes: 1.5, channels: [1] })).toEqual([
+      'apiKey is required',
+      'units must be one of metric, imperial',
+      'refreshMinutes must be of type integer',
+      'channels[0] must be of type string'
+    ]);
+  });
+});
+
+describe('PluginConfig', () => {
+  let config;
+  let configDir;
+  let plugin;
+  let mockCore;
+
+  beforeEach(() => {
+    configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'plugin-config-'));
+    plugin = {
+      manifest: { name: 'weather', configSchema },
+      enabled: true,
+      module: { onConfigChange: jest.fn() }
+    };
+    mockCore = {
+      plugins: {
+        plugins: new Map([['weather', plugin]]),
+        sandbox: { runPluginMethod: jest.fn().mockResolvedValue() }
+      }
+    };
+    config = new PluginConfig(mockCore);
+    config.configFile = path.join(configDir, 'plugin-config.json');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    fs.rmSync(configDir, { recursive: true, force: true });
+  });
+
+  test('should fill in defaults', async () => {
+    expect(await config.getConfig('weather')).toEqual({ units: 'metric', refreshMinutes: 15 });
+    expect(await config.getConfig('weather', 'units')).toBe('metric');
+  });
+
+  test('should save valid values and call onConfigChange', async () => {
+    const saved = await config.setConfig('weather', { apiKey: 'secret-key', units: 'imperial' });
+
+    expect(saved).toEqual({ apiKey: 'secret-key', units: 'imperial', refreshMinutes: 15 });
+    expect(JSON.parse(fs.readFileSync(config.configFile, 'utf8'))).toEqual({
+      weather: { apiKey: 'secret-key', units: 'imperial' }
+    });
+    expect(mockCore.plugins.sandbox.runPluginMethod).toHaveBeenCalledWith(
+      'weather', plugin.module, 'onConfigChange', saved, { units: 'metric', refreshMinutes: 15 });
+  });
+
+  test('should reject invalid values', async () => {
+    const error = await config.setConfig('weather', { apiKey: 'short' }).catch(err => err);
+
+    expect(error).toBeInstanceOf(ConfigValidationError);
+    expect(error.errors).toEqual(['apiKey must be at least 8 characters long']);
+    expect(fs.existsSync(config.configFile)).toBe(false);
+    expect(mockCore.plugins.sandbox.runPluginMethod).not.toHaveBeenCalled();
+  });
+
+  test('should reject values that are not an object', async () => {
+    for (const values of [undefined, ['apiKey', 'secret-key']]) {
+      const error = await config.setConfig('weather', values).catch(err => err);
+      expect(error).toBeInstanceOf(ConfigValidationError);
+      expect(error.errors).toEqual(['Configuration must be an object']);
+    }
+    expect(fs.existsSync(config.configFile)).toBe(false);
+  });
+
+  test('should keep a saved writeOnly value sent blank and leave it out for the dashboard', async () => {
+    await config.setConfig('weather', { apiKey: 'secret-key' });
+    await config.setConfig('weather', { apiKey: '', units: 'imperial' });
+
+    expect(await config.getConfig('weather', 'apiKey')).toBe('secret-key');
+    expect(await config.getVisibleConfig('weather')).toEqual({
+      values: { units: 'imperial', refreshMinutes: 15 },
+      secrets: ['apiKey']
+    });
+  });
+
+  test('should write concurrent saves one at a time', async () => {
+    mockCore.plugins.plugins.set('news', { manifest: { name: 'news', configSchema }, enabled: false, module: {} });
+
+    await Promise.all([
+      config.setConfig('weather', { apiKey: 'weather-key', units: 'imperial' }),
+      config.setConfig('news', { apiKey: 'news-key-1' }),
+      config.deleteConfig('missing')
+    ]);
+
+    expect(JSON.parse(fs.readFileSync(config.configFile, 'utf8'))).toEqual({
+      weather: { apiKey: 'weather-key', units: 'imperial' },
+      news: { apiKey: 'news-key-1' }
+    });
+    expect(fs.readdirSync(configDir)).toEqual(['plugin-config.json']);
+  });
+});
@@ -30,4 +30,25 @@ describe('CoreSystem', () => {
     expect(core.api.registerPage).toBeInstanceOf(Function);
     expect(core.api.getLogger).toBeInstanceOf(Function);
   });
-});
\ No newline at end of file
+
+  test('should only let administrators reload plugins', async () => {
+    const { PermissionsBitField, PermissionFlagsBits } = require('discord.js');
+    core.registerCoreCommands();
+    const { handler } = core.api.commands.get('reload-plugin');
+    core.api.reloadPlugin = jest.fn().mockResolvedValue({ success: true, duration: 5, commandsChanged: false });
+    const interaction = (permissions) => ({
+      memberPermissions: new PermissionsBitField(permissions),
+      options: { getString: () => 'weather' },
+      reply: jest.fn().mockResolvedValue()
+    });
+
+    const member = interaction(PermissionFlagsBits.ManageGuild);
+    await handler(member);
+    expect(core.api.reloadPlugin).not.toHaveBeenCalled();
+    expect(member.reply).toHaveBeenCalledWith({ content: 'Only administrators can reload plugins.', ephemeral: true });
+
+    const admin = interaction(PermissionFlagsBits.Administrator);
+    await handler(admin);
+    expect(core.api.reloadPlugin).toHaveBeenCalledWith('weather');
+  });
+});
@@ -0,0 +1,801 @@
+// tests/discord.test.js
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const DiscordManager = require('../core/discord');
+const API = require('../core/api');
+
+describe('DiscordManager command registration', () => {
+  let manager;
+  let core;
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'discord-'));
+    core = {};
+    core.api = new API(core);
+    manager = new DiscordManager(core);
+    core.discord = manager;
+    manager.scopesFile = path.join(tempDir, 'command-scopes.json');
+    manager.client = { application: { id: 'app' } };
+    // Commands "on Discord" by route
+    const remote = new Map();
+    manager.rest = {
+      get: jest.fn(async route => remote.get(route) || []),
+      put: jest.fn(async (route, { body }) => {
+        remote.set(route, body.map((command, index) => ({ id: String(index), version: '1', ...command })));
+        return body;
+      })
+    };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    delete process.env.DEV_GUILD_ID;
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.warn.mockRestore();
+    delete process.env.DEV_GUILD_ID;
+    delete process.env.PLUGIN_COLLISION_POLICY;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const uploads = () => Object.fromEntries(manager.rest.put.mock.calls.map(([route, { body }]) => [
+    route,
+    body.map(command => command.name)
+  ]));
+
+  test('should upload guild commands to their guilds and clean up emptied scopes', async () => {
+    core.api.registerCommand('ping', 'Ping', jest.fn());
+    core.api.registerCommand('admin', 'Admin tools', jest.fn(), { guilds: ['123456789012345678'] });
+    await manager.registerCommands();
+
+    expect(uploads()).toEqual({
+      '/applications/app/commands': ['ping'],
+      '/applications/app/guilds/123456789012345678/commands': ['admin']
+    });
+    expect(JSON.parse(fs.readFileSync(manager.scopesFile, 'utf8'))).toEqual({
+      global: ['ping'],
+      '123456789012345678': ['admin']
+    });
+
+    core.api.commands.delete('admin');
+    manager.rest.put.mockClear();
+    await manager.registerCommands();
+    expect(uploads()['/applications/app/guilds/123456789012345678/commands']).toEqual([]);
+    expect(manager.uploadedScopes).toEqual({ global: ['ping'] });
+  });
+
+  test('should skip scopes whose commands are unchanged', async () => {
+    core.api.registerCommand('weather', 'Show the weather', jest.fn(), {
+      options: [{ type: 'string', name: 'city', description: 'City', required: true }]
+    });
+    await manager.registerCommands();
+    expect(manager.rest.put).toHaveBeenCalledTimes(1);
+
+    await manager.registerCommands();
+    expect(manager.rest.put).toHaveBeenCalledTimes(1);
+    expect(manager.getBotStatus().commandSync).toMatchObject({ state: 'synced', uploaded: [], unchanged: ['global'] });
+
+    manager.rest.get.mockRejectedValueOnce(new Error('Missing Access'));
+    await manager.registerCommands();
+    expect(manager.syncStatus).toMatchObject({ state: 'error', lastError: 'global: Missing Access' });
+  });
+
+  test('should batch command changes into one sync', async () => {
+    jest.useFakeTimers();
+    try {
+      manager.registerPluginCommand('tools', 'one', 'First', jest.fn());
+      manager.registerPluginCommand('tools', 'two', 'Second', jest.fn());
+      manager.registerPluginCommand('tools', 'three', 'Third', jest.fn());
+      expect(manager.syncStatus.state).toBe('pending');
+      expect(manager.rest.get).not.toHaveBeenCalled();
+
+      jest.runOnlyPendingTimers();
+      await manager.syncing;
+    } finally {
+      jest.useRealTimers();
+    }
+    expect(manager.rest.put).toHaveBeenCalledTimes(1);
+    expect(uploads()['/applications/app/commands']).toEqual(['one', 'two', 'three']);
+  });
+
+  test('should reject commands another plugin already registered', () => {
+    const first = jest.fn();
+    manager.registerPluginCommand('greeter', 'hello', 'Say hello', first);
+    expect(() => manager.registerPluginCommand('other', 'hello', 'Say hi', jest.fn()))
+      .toThrow('already registered by plugin greeter');
+
+    expect(core.api.commands.get('hello').handler).toBe(first);
+    expect(manager.registeredCommands.get('hello')).toBe('greeter');
+    expect(core.api.getConflicts('other')).toEqual([
+      expect.objectContaining({ type: 'command', name: 'hello', plugin: 'other', owner: 'greeter', resolution: 'rejected' })
+    ]);
+
+    // The same plugin may register its command again, e.g. when reloaded
+    manager.registerPluginCommand('greeter', 'hello', 'Say hello', first);
+    clearTimeout(manager.syncTimer);
+  });
+
+  test('should namespace colliding commands when the policy asks for it', () => {
+    process.env.PLUGIN_COLLISION_POLICY = 'namespace';
+    core.api.registerCommand('reload-plugin', 'Core command', jest.fn());
+
+    expect(manager.registerPluginCommand('tools', 'reload-plugin', 'Reload', jest.fn())).toBe('tools-reload-plugin');
+    expect(manager.registeredCommands.get('tools-reload-plugin')).toBe('tools');
+    expect(core.api.getConflicts('tools')[0]).toMatchObject({ owner: 'core', resolution: 'namespaced', renamedTo: 'tools-reload-plugin' });
+    clearTimeout(manager.syncTimer);
+  });
+
+  test('should upload every command to the development guild', async () => {
+    process.env.DEV_GUILD_ID = '876543210987654321';
+    core.api.registerCommand('ping', 'Ping', jest.fn());
+    core.api.registerContextMenu('Show Profile', 'user', jest.fn(), { guilds: ['123456789012345678'] });
+    await manager.registerCommands();
+
+    expect(uploads()).toEqual({
+      '/applications/app/guilds/876543210987654321/commands': ['ping', 'Show Profile']
+    });
+  });
+
+  test('should leave production commands alone in development mode', async () => {
+    core.api.registerCommand('ping', 'Ping', jest.fn());
+    core.api.registerCommand('admin', 'Admin tools', jest.fn(), { guilds: ['123456789012345678'] });
+    await manager.registerCommands();
+
+    process.env.DEV_GUILD_ID = '876543210987654321';
+    manager.rest.put.mockClear();
+    await manager.registerCommands();
+    expect(uploads()).toEqual({
+      '/applications/app/guilds/876543210987654321/commands': ['ping', 'admin']
+    });
+    expect(manager.uploadedScopes).toEqual({
+      '876543210987654321': ['ping', 'admin'],
+      global: ['ping'],
+      '123456789012345678': ['admin']
+    });
+
+    // Back in production mode, the development guild is cleaned up
+    delete process.env.DEV_GUILD_ID;
+    manager.rest.put.mockClear();
+    await manager.registerCommands();
+    expect(uploads()).toEqual({ '/applications/app/guilds/876543210987654321/commands': [] });
+  });
+});
+
+describe('Command restrictions', () => {
+  const { PermissionsBitField } = require('discord.js');
+  const { CooldownTracker, normalizeRestrictions, checkRestrictions } = require('../core/discord/restrictions');
+
+  const restrict = (extra) => {
+    const errors = [];
+    const restrictions = normalizeRestrictions(extra, '/test', errors);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+    return restrictions;
+  };
+
+  const context = (overrides = {}) => ({
+    userId: 'user-1',
+    guildId: 'guild-1',
+    member: { roles: ['role-1'] },
+    memberPermissions: new PermissionsBitField(PermissionsBitField.Flags.SendMessages),
+    ...overrides
+  });
+
+  test('should enforce cooldowns per scope', () => {
+    const cooldowns = new CooldownTracker();
+    const command = restrict({ cooldown: { seconds: 30, scope: 'guild' } });
+
+    expect(checkRestrictions(command, 'daily', context(), cooldowns)).toBeNull();
+    expect(checkRestrictions(command, 'daily', context({ userId: 'user-2' }), cooldowns)).toMatch(/on cooldown/);
+    expect(checkRestrictions(command, 'daily', context({ guildId: 'guild-2' }), cooldowns)).toBeNull();
+
+    cooldowns.clear('daily');
+    expect(checkRestrictions(command, 'daily', context(), cooldowns)).toBeNull();
+  });
+
+  test('should require permissions and roles in a guild', () => {
+    const cooldowns = new CooldownTracker();
+    const command = restrict({ permissions: ['ManageMessages'], roles: ['role-1'] });
+    expect(command).toMatchObject({ permissions: String(PermissionsBitField.Flags.ManageMessages), guildOnly: true });
+
+    expect(checkRestrictions(command, 'purge', context(), cooldowns))
+      .toBe('You need the following permissions to use this command: Manage Messages.');
+    const moderator = context({ memberPermissions: new PermissionsBitField(PermissionsBitField.Flags.ManageMessages) });
+    expect(checkRestrictions(command, 'purge', moderator, cooldowns)).toBeNull();
+    expect(checkRestrictions(command, 'purge', { ...moderator, member: { roles: ['role-2'] } }, cooldowns)).toMatch(/role/);
+    expect(checkRestrictions(command, 'purge', context({ guildId: null }), cooldowns)).toMatch(/only be used in a server/);
+  });
+
+  test('should check DM-only commands and reject invalid settings', () => {
+    const command = restrict({ dmOnly: true });
+    expect(checkRestrictions(command, 'secret', context(), new CooldownTracker())).toMatch(/direct messages/);
+    expect(() => restrict({ permissions: ['NotAPermission'] })).toThrow('permission names');
+    expect(() => restrict({ dmOnly: true, guildOnly: true })).toThrow('both DM-only and guild-only');
+    expect(() => restrict({ cooldown: { seconds: 5, scope: 'channel' } })).toThrow('cooldown scope');
+  });
+
+  test('should log a blocked reply that fails instead of throwing', async () => {
+    const core = {};
+    core.api = new API(core);
+    const manager = new DiscordManager(core);
+    const handler = jest.fn(async interaction => interaction.reply('Claimed'));
+    core.api.registerCommand('daily', 'Claim a reward', handler, { cooldown: { seconds: 30 } });
+
+    const interaction = {
+      id: 'interaction-2',
+      commandName: 'daily',
+      user: { id: 'user-1' },
+      replied: false,
+      deferred: false,
+      isAutocomplete: () => false,
+      isMessageComponent: () => false,
+      isModalSubmit: () => false,
+      isChatInputCommand: () => true,
+      reply: jest.fn(async () => { interaction.replied = true; })
+    };
+    await manager.handleInteraction(interaction);
+    expect(handler).toHaveBeenCalledTimes(1);
+
+    // The cooldown message cannot be sent, e.g. because the interaction expired
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    Object.assign(interaction, { replied: false, reply: jest.fn().mockRejectedValue(new Error('Unknown interaction')) });
+    await expect(manager.handleInteraction(interaction)).resolves.toBeUndefined();
+    expect(interaction.reply).toHaveBeenCalledWith({ content: expect.stringMatching(/cooldown/), ephemeral: true });
+    expect(console.error).toHaveBeenCalledWith('Failed to send error response for interaction interaction-2:', expect.any(Error));
+    console.error.mockRestore();
+  });
+});
+
+describe('Command responses', () => {
+  const { runWithAutoDefer, respondWithError, CommandMetrics } = require('../core/discord/interactions');
+
+  // Tracks replied/deferred like a discord.js interaction
+  const createInteraction = () => {
+    const interaction = { id: 'interaction-1', replied: false, deferred: false };
+    interaction.deferReply = jest.fn(async () => { interaction.deferred = true; });
+    interaction.reply = jest.fn(async () => { interaction.replied = true; });
+    interaction.editReply = jest.fn(async () => { interaction.replied = true; });
+    interaction.followUp = jest.fn(async () => {});
+    return interaction;
+  };
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should defer slow handlers and turn their reply into an edit', async () => {
+    jest.useFakeTimers();
+    const interaction = createInteraction();
+    const handler = async (i) => {
+      await new Promise(resolve => setTimeout(resolve, 2500));
+      await i.reply({ content: 'Done' });
+    };
+
+    // The core replaces the methods it redirects, so keep the mocks
+    const { deferReply, editReply } = interaction;
+    const running = runWithAutoDefer(interaction, handler, { after: 1000, ephemeral: true });
+    await jest.advanceTimersByTimeAsync(2500);
+    const result = await running;
+
+    expect(deferReply).toHaveBeenCalledWith({ ephemeral: true });
+    expect(editReply).toHaveBeenCalledWith({ content: 'Done' });
+    expect(result).toMatchObject({ autoDeferred: true, timedOut: false, error: null, durationMs: 2500 });
+  });
+
+  test('should wait for a deferral in flight before replying', async () => {
+    jest.useFakeTimers();
+    const interaction = createInteraction();
+    // Discord takes 300ms to acknowledge the deferral
+    interaction.deferReply = jest.fn(() => new Promise((resolve) => {
+      setTimeout(() => {
+        interaction.deferred = true;
+        resolve();
+      }, 300);
+    }));
+    const handler = async (i) => {
+      await new Promise(resolve => setTimeout(resolve, 1100));
+      await i.reply({ content: 'Done' });
+    };
+
+    const { deferReply, reply, editReply } = interaction;
+    const running = runWithAutoDefer(interaction, handler, { after: 1000 });
+    await jest.advanceTimersByTimeAsync(1300);
+    const result = await running;
+
+    expect(deferReply).toHaveBeenCalledTimes(1);
+    expect(reply).not.toHaveBeenCalled();
+    expect(editReply).toHaveBeenCalledWith({ content: 'Done' });
+    expect(result).toMatchObject({ autoDeferred: true, timedOut: false, error: null });
+  });
+
+  test('should not defer while the handler\'s reply is in flight', async () => {
+    jest.useFakeTimers();
+    const interaction = createInteraction();
+    // Discord takes 500ms to acknowledge the reply
+    interaction.reply = jest.fn(() => new Promise((resolve) => {
+      setTimeout(() => {
+        interaction.replied = true;
+        resolve();
+      }, 500);
+    }));
+    const handler = async (i) => {
+      await new Promise(resolve => setTimeout(resolve, 800));
+      await i.reply({ content: 'Done' });
+    };
+
+    const { deferReply, reply } = interaction;
+    const running = runWithAutoDefer(interaction, handler, { after: 1000 });
+    await jest.advanceTimersByTimeAsync(1300);
+    const result = await running;
+
+    expect(reply).toHaveBeenCalledWith({ content: 'Done' });
+    expect(deferReply).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ autoDeferred: false, timedOut: false, error: null });
+  });
+
+  test('should ignore a handler deferring itself after the automatic deferral', async () => {
+    jest.useFakeTimers();
+    const interaction = createInteraction();
+    const { deferReply, editReply } = interaction;
+    let modalError;
+    const handler = async (i) => {
+      await new Promise(resolve => setTimeout(resolve, 1500));
+      await i.deferReply();
+      modalError = await i.showModal({}).catch(error => error);
+      await i.editReply({ content: 'Done' });
+    };
+
+    const running = runWithAutoDefer(interaction, handler, { after: 1000 });
+    await jest.advanceTimersByTimeAsync(1500);
+    const result = await running;
+
+    expect(deferReply).toHaveBeenCalledTimes(1);
+    expect(modalError.message).toMatch(/Cannot show a modal: the interaction was deferred .* after 1000ms/);
+    expect(editReply).toHaveBeenCalledWith({ content: 'Done' });
+    expect(result).toMatchObject({ autoDeferred: true, error: null });
+  });
+
+  test('should count a timeout when a handler does not respond in time', async () => {
+    jest.useFakeTimers();
+    const interaction = createInteraction();
+    const running = runWithAutoDefer(interaction, () => new Promise(resolve => setTimeout(resolve, 4000)), false);
+    await jest.advanceTimersByTimeAsync(4000);
+    const result = await running;
+
+    expect(interaction.deferReply).not.toHaveBeenCalled();
+    expect(result.timedOut).toBe(true);
+
+    const metrics = new CommandMetrics();
+    metrics.record('slow', result);
+    metrics.record('slow', { durationMs: 1000, autoDeferred: false, timedOut: false, error: new Error('boom') });
+    expect(metrics.getStats()).toEqual({
+      slow: { calls: 2, errors: 1, autoDeferred: 0, timeouts: 1, maxMs: 4000, lastMs: 1000, averageMs: 2500 }
+    });
+  });
+
+  test('should pick the response method that still works for errors', async () => {
+    const fresh = createInteraction();
+    await respondWithError(fresh, 'Failed');
+    expect(fresh.reply).toHaveBeenCalledWith({ content: 'Failed', ephemeral: true });
+
+    const deferred = createInteraction();
+    deferred.deferred = true;
+    await respondWithError(deferred, 'Failed');
+    expect(deferred.editReply).toHaveBeenCalledWith({ content: 'Failed' });
+
+    const replied = createInteraction();
+    replied.replied = true;
+    await respondWithError(replied, 'Failed');
+    expect(replied.followUp).toHaveBeenCalledWith({ content: 'Failed', ephemeral: true });
+    expect(replied.reply).not.toHaveBeenCalled();
+  });
+});
+
+describe('Text commands', () => {
+  let manager;
+  let core;
+
+  beforeEach(() => {
+    core = {};
+    core.api = new API(core);
+    manager = new DiscordManager(core);
+    core.discord = manager;
+    manager.prefixes.prefixes = { 'guild-1': '?' };
+    manager.client = {
+      user: { id: '42' },
+      users: { fetch: jest.fn(async id => (id === '123456789012345678' ? { id, username: 'spammer' } : null)) }
+    };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.warn.mockRestore();
+    delete process.env.PLUGIN_COLLISION_POLICY;
+  });
+
+  const createMessage = (content, overrides = {}) => ({
+    id: 'message-1',
+    content,
+    guildId: 'guild-1',
+    author: { id: 'user-1', bot: false },
+    reply: jest.fn(async () => {}),
+    ...overrides
+  });
+
+  test('should run commands with the guild prefix, aliases and resolved arguments', async () => {
+    const handler = jest.fn();
+    core.api.registerTextCommand('warn', 'Warn a member', handler, {
+      aliases: ['w'],
+      args: [{ name: 'member', type: 'user', required: true }, { name: 'reason', rest: true }]
+    });
+
+    await manager.handleMessage(createMessage('!warn <@123456789012345678> spam'));
+    expect(handler).not.toHaveBeenCalled();
+
+    await manager.handleMessage(createMessage('?W <@123456789012345678> posting spam'));
+    expect(handler).toHaveBeenCalledWith(expect.any(Object),
+      { member: { id: '123456789012345678', username: 'spammer' }, reason: 'posting spam' },
+      { prefix: '?', name: 'warn', alias: 'w', body: '<@123456789012345678> posting spam' });
+
+    const unknown = createMessage('<@42> warn 234567890123456789');
+    await manager.handleMessage(unknown);
+    expect(unknown.reply).toHaveBeenCalledWith({
+      content: 'Could not find the user given for `member`.\nUsage: `?warn <member> [reason...]`',
+      allowedMentions: { repliedUser: false }
+    });
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('should apply the same restrictions as slash commands', async () => {
+    const handler = jest.fn();
+    core.api.registerTextCommand('daily', 'Claim your reward', handler, { cooldown: 60 });
+    core.api.registerTextCommand('purge', 'Delete messages', handler, { permissions: ['ManageMessages'] });
+
+    await manager.handleMessage(createMessage('?daily'));
+    const again = createMessage('?daily');
+    await manager.handleMessage(again);
+    expect(again.reply.mock.calls[0][0].content).toMatch(/on cooldown/);
+
+    const dm = createMessage('!purge', { guildId: null });
+    await manager.handleMessage(dm);
+    expect(dm.reply.mock.calls[0][0].content).toBe('This command can only be used in a server.');
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(manager.metrics.getStats()['text:daily']).toMatchObject({ calls: 1, errors: 0 });
+  });
+
+  test('should handle plugin collisions and remove plugin commands', () => {
+    core.api.registerTextCommand('help', 'List commands', jest.fn(), { aliases: ['commands'] });
+
+    expect(() => core.api.registerPluginTextCommand('tools', 'help', 'Help', jest.fn()))
+      .toThrow('already registered by the core');
+    process.env.PLUGIN_COLLISION_POLICY = 'namespace';
+    expect(core.api.registerPluginTextCommand('tools', 'help', 'Help', jest.fn())).toBe('tools-help');
+
+    core.api.registerPluginTextCommand('tools', 'roll', 'Roll dice', jest.fn(), { aliases: ['commands', 'dice'] });
+    expect(core.api.getTextCommand('dice').name).toBe('roll');
+    expect(core.api.getTextCommand('commands').name).toBe('help');
+    expect(core.api.getConflicts('tools').map(conflict => `${conflict.type} ${conflict.name}: ${conflict.resolution}`))
+      .toEqual(['text command help: namespaced', 'text command alias commands: dropped']);
+
+    core.api.unregisterPluginTextCommands('tools');
+    expect(Array.from(core.api.textCommands.keys())).toEqual(['help']);
+    expect(core.api.getTextCommand('dice')).toBeNull();
+  });
+});
+
+describe('Presence', () => {
+  const PresenceManager = require('../core/discord/presence');
+  let presence;
+  let core;
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'presence-'));
+    core = { version: '1.2.0', api: { commands: new Map() } };
+    core.discord = {
+      client: {
+        user: { setPresence: jest.fn() },
+        uptime: 3 * 3600000 + 5 * 60000,
+        guilds: { cache: new Map([['1', { memberCount: 10 }], ['2', { memberCount: 5 }]]) }
+      }
+    };
+    // Collection's reduce, which the guild count uses
+    core.discord.client.guilds.cache.reduce = (fn, initial) => Array.from(core.discord.client.guilds.cache.values()).reduce(fn, initial);
+    presence = new PresenceManager(core);
+    presence.file = path.join(tempDir, 'presence.json');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    presence.stop();
+    console.log.mockRestore();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const sent = () => core.discord.client.user.setPresence.mock.calls.map(([{ status, activities }]) =>
+    `${status}: ${activities.map(activity => activity.name).join(', ')}`);
+
+  test('should rotate activities with template variables', async () => {
+    presence.registerVariable('music', 'track', () => 'Song A');
+    await presence.setRotation({
+      enabled: true,
+      interval: 30,
+      activities: [
+        { type: 'watching', name: '{guilds} servers, {users} members' },
+        { type: 'listening', name: '{music.track} for {uptime} ({unknown})' }
+      ]
+    });
+
+    await presence.update();
+    presence.rotationIndex++;
+    await presence.update();
+    await presence.update();
+
+    expect(sent()).toEqual(['online: 2 servers, 15 members', 'online: Song A for 3h 5m ({unknown})']);
+    expect(JSON.parse(fs.readFileSync(presence.file, 'utf8'))).toMatchObject({ enabled: true, interval: 30 });
+    await expect(presence.setRotation({ interval: 5 })).rejects.toThrow('at least 15');
+  });
+
+  test('should arbitrate between plugins by priority and recency', async () => {
+    await presence.load();
+    expect(await presence.request('music', { activity: { type: 'listening', name: 'Song A' } })).toBe(true);
+    expect(await presence.request('events', { status: 'dnd', activity: { name: 'Tournament' }, priority: 5 })).toBe(true);
+    expect(await presence.request('games', { activity: { name: 'Chess' } })).toBe(false);
+    expect(presence.getStatus().current).toMatchObject({ source: 'events', status: 'dnd' });
+
+    await presence.unregisterPlugin('events');
+    expect(presence.getStatus().current.source).toBe('games');
+    await presence.clear('games');
+    expect(presence.getStatus().current.source).toBe('music');
+
+    await presence.setRotation({ allowPlugins: false });
+    expect(presence.getStatus().current).toEqual({ source: 'rotation', status: 'online', activities: [] });
+    expect(() => presence.registerVariable('music', 'bad name', () => 1)).toThrow('Invalid parameters');
+    await expect(presence.request('music', { status: 'busy' })).rejects.toThrow('status must be one of');
+  });
+});
+
+describe('Sharding', () => {
+  const { Collection, Status } = require('discord.js');
+  const { getShardingOptions } = require('../core/discord/shards');
+
+  test('should read the shard setting', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(getShardingOptions(undefined)).toEqual({});
+    expect(getShardingOptions('auto')).toEqual({ shards: 'auto' });
+    expect(getShardingOptions('3')).toEqual({ shards: [0, 1, 2], shardCount: 3 });
+    expect(getShardingOptions('many')).toEqual({});
+    expect(console.warn).toHaveBeenCalledWith('Ignoring DISCORD_SHARDS=many: expected "auto" or a number of shards');
+    console.warn.mockRestore();
+  });
+
+  test('should report counts across shards and the status of each', () => {
+    const core = {};
+    core.api = new API(core);
+    const manager = new DiscordManager(core);
+    const guilds = new Collection([
+      ['1', { shardId: 0, memberCount: 100 }],
+      ['2', { shardId: 1, memberCount: 50 }],
+      ['3', { shardId: 1, memberCount: 25 }]
+    ]);
+    const shards = new Collection([
+      [1, { id: 1, status: Status.Reconnecting, ping: -1 }],
+      [0, { id: 0, status: Status.Ready, ping: 42 }]
+    ]);
+    manager.client = { readyAt: new Date(), uptime: 1000, guilds: { cache: guilds }, ws: { shards, ping: 42 } };
+
+    expect(manager.getBotStatus()).toMatchObject({
+      guildCount: 3,
+      userCount: 175,
+      ping: 42,
+      shardCount: 2,
+      shards: [
+        { id: 0, status: 'Ready', ping: 42, guildCount: 1 },
+        { id: 1, status: 'Reconnecting', ping: null, guildCount: 2 }
+      ]
+    });
+  });
+});
+
+describe('Connection history', () => {
+  const EventEmitter = require('events');
+  const { Collection, Events } = require('discord.js');
+  const { ConnectionHistory, parseDebugMessage } = require('../core/discord/connection');
+  let manager;
+  let core;
+  let ready;
+
+  beforeEach(() => {
+    core = {};
+    core.api = new API(core);
+    manager = new DiscordManager(core);
+    core.discord = manager;
+    ready = false;
+    manager.client = Object.assign(new EventEmitter(), {
+      rest: new EventEmitter(),
+      isReady: () => ready,
+      user: { tag: 'Bot#0001' },
+      guilds: { cache: new Collection() },
+      ws: { shards: new Collection([[0, { id: 0, status: 0, ping: 40 }], [1, { id: 1, status: 0, ping: 40 }]]), ping: 40 }
+    });
+    manager.attachConnectionListeners(manager.client);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  test('should tell plugins when the bot connects and loses its connection', async () => {
+    const onReady = jest.fn();
+    const onDisconnected = jest.fn();
+    core.api.registerPluginEvent('status', 'core:discordReady', onReady);
+    core.api.registerPluginEvent('status', 'core:discordDisconnected', onDisconnected);
+
+    // Shards become ready before the client does
+    manager.client.emit(Events.ShardReady, 0, new Set());
+    expect(onReady).not.toHaveBeenCalled();
+    ready = true;
+    manager.client.readyAt = new Date();
+    await manager.markConnected(null);
+    expect(onReady).toHaveBeenCalledWith({ username: 'Bot#0001', guildCount: 0, shardCount: 2, downtimeMs: null });
+    expect(manager.getBotStatus().status).toBe('online');
+
+    // Only the first shard to drop and the last to come back are reported
+    manager.client.emit(Events.ShardReconnecting, 0);
+    manager.client.emit(Events.ShardReconnecting, 1);
+    await new Promise(setImmediate);
+    expect(onDisconnected).toHaveBeenCalledTimes(1);
+    expect(onDisconnected).toHaveBeenCalledWith({ shardId: 0, willReconnect: true });
+    expect(manager.getBotStatus().status).toBe('reconnecting');
+
+    manager.client.emit(Events.Debug, '[WS => Shard 1] Invalid session; will attempt to resume: false');
+    manager.client.emit(Events.ShardResume, 0, 12);
+    manager.client.emit(Events.ShardReady, 1, new Set());
+    await new Promise(setImmediate);
+    expect(onReady).toHaveBeenCalledTimes(2);
+    expect(onReady.mock.calls[1][0].downtimeMs).toEqual(expect.any(Number));
+
+    const { connection } = manager.getBotStatus();
+    expect(connection).toMatchObject({ connected: true, downShards: [] });
+    expect(connection.counts).toMatchObject({ shardReady: 2, reconnecting: 2, resume: 1, invalidSession: 1 });
+    expect(connection.recent.map(entry => entry.type)).toEqual(['shardReady', 'resume', 'invalidSession', 'reconnecting', 'reconnecting', 'shardReady']);
+    expect(connection.recent[1]).toMatchObject({ shardId: 0, replayedEvents: 12, at: expect.any(String) });
+  });
+
+  test('should record disconnects, rate limits and errors', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    manager.client.emit(Events.ShardDisconnect, { code: 4014 }, 1);
+    manager.client.emit(Events.ShardError, new Error('ECONNRESET'), 0);
+    manager.client.rest.emit('rateLimited', { method: 'PUT', route: '/guilds/:id/members/:id', global: false, retryAfter: 800 });
+    manager.client.emit(Events.Debug, '[WS => Shard 0] Heartbeat acknowledged, latency of 40ms.');
+    console.error.mockRestore();
+
+    expect(manager.connection.getHistory({ shardId: 1 })).toEqual([
+      { type: 'disconnect', at: expect.any(String), shardId: 1, code: 4014, reason: 'DisallowedIntents' }
+    ]);
+    expect(manager.connection.getHistory({ type: 'rateLimit' })[0]).toMatchObject({ source: 'rest', route: '/guilds/:id/members/:id', retryAfter: 800 });
+    expect(manager.connection.getHistory()).toHaveLength(3);
+    expect(parseDebugMessage('[WS => Shard 2] Was about to hit the send rate limit, sleeping for 1500.5ms'))
+      .toEqual({ type: 'rateLimit', shardId: 2, source: 'gateway', retryAfter: 1501 });
+
+    // Old entries are dropped once the history is full
+    const history = new ConnectionHistory(2);
+    ['ready', 'reconnecting', 'resume'].forEach(type => history.record(type));
+    expect(history.getHistory().map(entry => entry.type)).toEqual(['resume', 'reconnecting']);
+    expect(history.counts.ready).toBe(1);
+  });
+});
+
+describe('DiscordManager events', () => {
+  const EventEmitter = require('events');
+  let manager;
+  let core;
+
+  beforeEach(() => {
+    core = {};
+    core.api = new API(core);
+    manager = new DiscordManager(core);
+    core.discord = manager;
+    manager.client = new EventEmitter();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  test('should listen to client events only while handlers are registered', () => {
+    const handler = jest.fn();
+    expect(manager.client.listenerCount('guildMemberAdd')).toBe(0);
+
+    core.api.registerPluginEvent('welcome', 'guildMemberAdd', handler);
+    core.api.registerEvent('guildMemberAdd', jest.fn());
+    expect(manager.client.listenerCount('guildMemberAdd')).toBe(1);
+
+    core.api.unregisterPluginEvents('welcome');
+    expect(manager.client.listenerCount('guildMemberAdd')).toBe(1);
+    core.api.unregisterEvent('guildMemberAdd', core.api.events.get('guildMemberAdd')[0]);
+    expect(manager.client.listenerCount('guildMemberAdd')).toBe(0);
+
+    // Events that are not Discord client events are not listened to
+    core.api.registerEvent('core:custom', jest.fn());
+    expect(manager.client.listenerCount('core:custom')).toBe(0);
+  });
+
+  test('should await every handler and log which plugin failed', async () => {
+    const order = [];
+    core.api.registerPluginEvent('slow', 'messageCreate', async () => {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      order.push('slow');
+    });
+    core.api.registerPluginEvent('broken', 'messageCreate', () => {
+      throw new Error('boom');
+    });
+    core.api.registerPluginEvent('fast', 'messageCreate', () => order.push('fast'));
+
+    await manager.dispatchEvent('messageCreate', { content: 'hi' });
+    expect(order).toEqual(['fast', 'slow']);
+    expect(console.error).toHaveBeenCalledWith('Error in messageCreate event handler of plugin broken:', expect.any(Error));
+  });
+});
+
+describe('Gateway intents', () => {
+  const { resolveGatewayRequirements } = require('../core/discord/intents');
+
+  test('should combine the intents and partials of plugins', () => {
+    const requirements = resolveGatewayRequirements([
+      { name: 'welcome', manifest: { intents: ['GuildMembers'] } },
+      { name: 'reactions', manifest: { intents: ['GuildMessageReactions', 'Bogus'], partials: ['Message', 'Reaction'] } }
+    ]);
+
+    expect(requirements.intents).toEqual(['Guilds', 'GuildMessages', 'MessageContent', 'GuildMembers', 'GuildMessageReactions']);
+    expect(requirements.partials).toEqual(['Message', 'Reaction']);
+    expect(requirements.privileged).toEqual([
+      { intent: 'GuildMembers', plugins: ['welcome'] },
+      { intent: 'MessageContent', plugins: ['core'] }
+    ]);
+    expect(requirements.invalid).toEqual([{ plugin: 'reactions', type: 'intent', name: 'Bogus' }]);
+  });
+
+  test('should skip malformed intent lists and inherited names', () => {
+    const requirements = resolveGatewayRequirements([
+      { name: 'broken', manifest: { intents: 'GuildMembers', partials: { Message: true } } },
+      { name: 'tricky', manifest: { intents: ['constructor', 'toString', '1', 'GuildMembers'], partials: ['__proto__'] } }
+    ]);
+
+    expect(requirements.intents).toEqual(['Guilds', 'GuildMessages', 'MessageContent', 'GuildMembers']);
+    expect(requirements.partials).toEqual([]);
+    expect(requirements.invalid).toEqual([
+      { plugin: 'broken', type: 'intent', name: null, reason: '"intents" must be an array of names' },
+      { plugin: 'broken', type: 'partial', name: null, reason: '"partials" must be an array of names' },
+      { plugin: 'tricky', type: 'intent', name: 'constructor' },
+      { plugin: 'tricky', type: 'intent', name: 'toString' },
+      { plugin: 'tricky', type: 'intent', name: '1' },
+      { plugin: 'tricky', type: 'partial', name: '__proto__' }
+    ]);
+  });
+
+  test('should report plugins that need a reconnect', () => {
+    const plugins = new Map([['welcome', { enabled: false, manifest: { intents: ['GuildMembers'] } }]]);
+    const manager = new DiscordManager({ plugins: { plugins } });
+    manager.gateway = { intents: ['Guilds', 'GuildMessages', 'MessageContent'], partials: [] };
+    expect(manager.getGatewayStatus().reconnectRequired).toBe(false);
+
+    plugins.get('welcome').enabled = true;
+    expect(manager.getGatewayStatus()).toMatchObject({
+      reconnectRequired: true,
+      missingIntents: ['GuildMembers'],
+      waitingPlugins: ['welcome']
+    });
+  });
+});
@@ -29,6 +29,15 @@ describe('API', () => {
     expect(api.events.get('messageCreate')).toContain(handler);
   });
 
+  test('should unregister a plugin\'s event handlers', () => {
+    const handler = jest.fn();
+    api.registerPluginEvent('test-plugin', 'messageCreate', handler);
+    api.unregisterPluginEvents('test-plugin');
+
+    expect(api.events.has('messageCreate')).toBe(false);
+    expect(api.pluginEvents.has('test-plugin')).toBe(false);
+  });
+
   test('should register a route', () => {
     const handler = jest.fn();
     api.registerRoute('/test', handler);
@@ -37,6 +46,78 @@ describe('API', () => {
     expect(api.routes.get('/test')).toBe(handler);
   });
 
+  test('should reject routes another plugin already registered', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const handler = jest.fn();
+    api.registerPluginRoute('dashboard', '/api/stats', handler);
+
+    expect(() => api.registerPluginRoute('metrics', '/api/stats', jest.fn())).toThrow('already registered by plugin dashboard');
+    expect(api.routes.get('/api/stats')).toBe(handler);
+    expect(api.getConflicts('dashboard')).toHaveLength(1);
+
+    api.clearConflicts('metrics');
+    expect(api.getConflicts()).toEqual([]);
+    console.warn.mockRestore();
+  });
+
+  test('should reject routes that overlap another plugin\'s route', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    api.registerPluginRoute('dashboard', '/api/stats/daily', jest.fn());
+
+    expect(() => api.registerPluginRoute('metrics', '/api/stats/:id', jest.fn()))
+      .toThrow('it overlaps /api/stats/daily, registered by plugin dashboard');
+    expect(api.getConflicts('metrics')[0]).toMatchObject({ name: '/api/stats/:id', overlaps: '/api/stats/daily' });
+    expect(() => api.registerPluginRoute('metrics', '/api/stats/:id/history', jest.fn())).not.toThrow();
+    console.warn.mockRestore();
+  });
+
+  test('should track a plugin route registered twice once', () => {
+    const handler = jest.fn();
+    api.registerPluginRoute('dashboard', '/api/stats', jest.fn());
+    api.registerPluginRoute('dashboard', '/api/stats', handler);
+
+    expect(api.pluginRoutes.get('dashboard')).toEqual(['/api/stats']);
+    expect(api.routes.get('/api/stats')).toBe(handler);
+  });
+
+  test('should match routes with parameters', () => {
+    const exact = jest.fn();
+    const detail = jest.fn();
+    api.registerRoute('/api/plugins/enable', exact);
+    api.registerRoute('/api/plugins/:name', detail);
+
+    expect(api.matchRoute('/api/plugins/enable').handler).toBe(exact);
+    expect(api.matchRoute('/api/plugins/my%20plugin?full=1')).toEqual({ handler: detail, params: { name: 'my plugin' } });
+    expect(api.matchRoute('/api/plugins/a/b')).toBeNull();
+  });
+
+  test('should register context menu commands by type', () => {
+    const profile = jest.fn();
+    const quote = jest.fn();
+    expect(api.registerContextMenu('Show Profile', 'user', profile)).toBe('user:Show Profile');
+    api.registerContextMenu({ name: 'Show Profile', type: 'message', handler: quote });
+
+    expect(api.contextMenus.get('user:Show Profile')).toMatchObject({ type: 2, handler: profile });
+    expect(api.contextMenus.get('message:Show Profile')).toMatchObject({ type: 3, handler: quote });
+    expect(() => api.registerContextMenu('Pin', 'channel', quote)).toThrow('type must be "user" or "message"');
+  });
+
+  test('should namespace and dispatch plugin component handlers', () => {
+    const vote = jest.fn();
+    const feedback = jest.fn();
+    expect(api.registerPluginComponent('polls', 'vote', vote)).toBe('polls:vote');
+    api.registerPluginModal('polls', 'feedback', feedback);
+
+    expect(api.matchComponent('polls:vote:42:yes')).toEqual({ prefix: 'polls:vote', handler: vote, data: '42:yes' });
+    expect(api.matchComponent('polls:feedback', 'modal').handler).toBe(feedback);
+    expect(api.matchComponent('polls:feedback')).toBeNull();
+    expect(() => api.registerPluginComponent('polls', 'a:b', vote)).toThrow('cannot contain');
+
+    api.unregisterPluginComponents('polls');
+    expect(api.matchComponent('polls:vote:42:yes')).toBeNull();
+    expect(api.modals.size).toBe(0);
+  });
+
   test('should register a page', () => {
     const component = {};
     api.registerPage('/test', component);
@@ -53,4 +134,308 @@ describe('API', () => {
     expect(logger.error).toBeInstanceOf(Function);
     expect(logger.debug).toBeInstanceOf(Function);
   });
-});
\ No newline at end of file
+});
+
+const PluginLoader = require('../core/loader');
+const PluginStorage = require('../core/storage');
+
+describe('PluginLoader dependencies', () => {
+  let loader;
+
+  const addPlugin = (name, dependencies = [], version = '1.0.0') => {
+    loader.plugins.set(name, {
+      name,
+      manifest: { name, version, entry: './index.js', dependencies },
+      module: { init: jest.fn(), destroy: jest.fn() },
+      enabled: false
+    });
+  };
+
+  beforeEach(() => {
+    loader = new PluginLoader({ version: '1.2.0' });
+    loader.savePluginState = jest.fn().mockResolvedValue();
+    loader.sandbox.runPluginMethod = jest.fn().mockResolvedValue();
+    loader.sandbox.unregisterPluginResources = jest.fn();
+  });
+
+  test('should order plugins after their dependencies', () => {
+    addPlugin('c', ['b']);
+    addPlugin('b', ['a']);
+    addPlugin('a');
+
+    expect(loader.resolveLoadOrder()).toEqual(['a', 'b', 'c']);
+  });
+
+  test('should refuse to enable a plugin with unmet dependencies', async () => {
+    addPlugin('a');
+    addPlugin('b', ['a', 'missing']);
+
+    await expect(loader.enablePlugin('b')).rejects.toThrow('unmet dependencies: a (disabled), missing (missing)');
+    expect(loader.plugins.get('b').enabled).toBe(false);
+    expect(loader.savePluginState).not.toHaveBeenCalled();
+  });
+
+  test('should detect dependency cycles', async () => {
+    addPlugin('a', ['b']);
+    addPlugin('b', ['a']);
+
+    expect(loader.findDependencyCycle('a')).toEqual(['a', 'b', 'a']);
+    await expect(loader.enablePlugin('a')).rejects.toThrow('Circular dependency detected: a -> b -> a');
+  });
+
+  test('should cascade disable to dependents', async () => {
+    addPlugin('a');
+    addPlugin('b', ['a']);
+    await loader.enablePlugin('a');
+    await loader.enablePlugin('b');
+
+    await loader.disablePlugin('a');
+
+    expect(loader.plugins.get('a').enabled).toBe(false);
+    expect(loader.plugins.get('b').enabled).toBe(false);
+    expect(loader.getPlugins().find(p => p.name === 'b').unmetDependencies)
+      .toEqual([{ name: 'a', reason: 'disabled' }]);
+  });
+
+  test('should enable dependents again with their dependency', async () => {
+    addPlugin('a');
+    addPlugin('b', ['a']);
+    addPlugin('c', ['a']);
+    await loader.enablePlugin('a');
+    await loader.enablePlugin('b');
+    await loader.enablePlugin('c');
+
+    // The cascade is not saved, so b and c stay enabled after a restart
+    loader.savePluginState.mockClear();
+    await loader.disablePlugin('a');
+    expect(loader.savePluginState.mock.calls).toEqual([['a', false]]);
+    expect(loader.getPlugins().find(p => p.name === 'b').disabledBy).toBe('a');
+
+    // A dependent the user disables while it waits stays disabled
+    await loader.disablePlugin('c');
+    expect(loader.savePluginState).toHaveBeenLastCalledWith('c', false);
+
+    await loader.enablePlugin('a');
+    expect(loader.plugins.get('b').enabled).toBe(true);
+    expect(loader.plugins.get('b').disabledBy).toBeUndefined();
+    expect(loader.plugins.get('c').enabled).toBe(false);
+  });
+
+  test('should quarantine a plugin until the quarantine is cleared', async () => {
+    loader.savePluginQuarantine = jest.fn().mockResolvedValue();
+    addPlugin('a');
+    await loader.enablePlugin('a');
+
+    await loader.quarantinePlugin('a', 'Exceeded its calls budget');
+
+    expect(loader.plugins.get('a').enabled).toBe(false);
+    expect(loader.savePluginQuarantine).toHaveBeenCalledWith('a', expect.objectContaining({ reason: 'Exceeded its calls budget' }));
+    await expect(loader.enablePlugin('a')).rejects.toThrow('Plugin a is quarantined');
+
+    await loader.clearQuarantine('a');
+    expect(loader.savePluginQuarantine).toHaveBeenLastCalledWith('a', null);
+    await loader.enablePlugin('a');
+    expect(loader.plugins.get('a').enabled).toBe(true);
+  });
+
+  test('should read quarantines from saved states', () => {
+    expect(loader.isStateEnabled(undefined)).toBe(true);
+    expect(loader.isStateEnabled(false)).toBe(false);
+    expect(loader.isStateEnabled({ enabled: true })).toBe(true);
+    expect(loader.isStateEnabled({ enabled: false, quarantined: { reason: 'x' } })).toBe(false);
+  });
+
+  test('should check version-pinned dependencies', async () => {
+    addPlugin('a', [], '1.4.0');
+    addPlugin('b', ['a@^1.2.0']);
+    addPlugin('c', { a: '>=2.0.0' });
+    await loader.enablePlugin('a');
+
+    await loader.enablePlugin('b');
+    expect(loader.plugins.get('b').enabled).toBe(true);
+    await expect(loader.enablePlugin('c')).rejects.toThrow('a (requires >=2.0.0, found 1.4.0)');
+  });
+
+  test('should evaluate core compatibility ranges', () => {
+    expect(loader.checkCoreCompatibility({ compatibility: { core: '^1.0.0' } }).compatible).toBe(true);
+    expect(loader.checkCoreCompatibility({ compatibility: { core: '>=2.0.0' } })).toEqual({
+      compatible: false,
+      required: '>=2.0.0',
+      coreVersion: '1.2.0',
+      reason: 'Requires core >=2.0.0 but the running core is 1.2.0'
+    });
+  });
+});
+
+describe('PluginLoader hot reload', () => {
+  const os = require('os');
+  const fs = require('fs');
+  const path = require('path');
+  let loader;
+  let pluginPath;
+
+  const writePlugin = (name, source, entry = 'index.js') => {
+    const dir = path.join(pluginPath, name);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'plugin.json'), JSON.stringify({ name, version: '1.0.0', entry: `./${entry}` }));
+    fs.writeFileSync(path.join(dir, entry), source);
+  };
+
+  beforeEach(() => {
+    pluginPath = fs.mkdtempSync(path.join(os.tmpdir(), 'plugins-'));
+    const api = new (require('../core/api'))({});
+    api.enablePlugin = jest.fn();
+    api.disablePlugin = jest.fn();
+    api.getPlugins = jest.fn();
+    loader = new PluginLoader({ version: '1.0.0', api, storage: new PluginStorage({}) });
+    loader.pluginPath = pluginPath;
+    loader.savePluginState = jest.fn().mockResolvedValue();
+  });
+
+  afterEach(() => {
+    fs.rmSync(pluginPath, { recursive: true, force: true });
+  });
+
+  test('should reload plugin code from disk', async () => {
+    writePlugin('reloadable', 'module.exports = { version: 1, async init() {}, async destroy() {} };');
+    await loader.loadPlugin('reloadable');
+    expect(loader.plugins.get('reloadable').module.version).toBe(1);
+
+    // Same path: the plugin's own files are read from disk on every load
+    writePlugin('reloadable', 'module.exports = { version: 2, async init() {}, async destroy() {} };');
+    const result = await loader.reloadPlugin('reloadable');
+
+    expect(result.success).toBe(true);
+    expect(result.commandsChanged).toBe(false);
+    expect(typeof result.duration).toBe('number');
+    expect(loader.plugins.get('reloadable').module.version).toBe(2);
+    expect(loader.plugins.get('reloadable').enabled).toBe(true);
+  });
+
+  test('should roll back to the previous module when init fails', async () => {
+    writePlugin('fragile', 'module.exports = { version: 1, async init() {}, async destroy() {} };');
+    await loader.loadPlugin('fragile');
+    const previousModule = loader.plugins.get('fragile').module;
+
+    writePlugin('fragile', 'module.exports = { version: 2, async init() { throw new Error("broken"); } };', 'v2.js');
+    const result = await loader.reloadPlugin('fragile');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('broken');
+    expect(result.rolledBack).toBe(true);
+    expect(loader.plugins.get('fragile').module).toBe(previousModule);
+    expect(loader.plugins.get('fragile').manifest.entry).toBe('./index.js');
+  });
+
+  test('should leave a worker plugin stopped when its new version fails', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const writeWorkerPlugin = (source) => {
+      writePlugin('isolated', source);
+      fs.writeFileSync(path.join(pluginPath, 'isolated', 'plugin.json'),
+        JSON.stringify({ name: 'isolated', version: '1.0.0', entry: './index.js', isolation: 'worker' }));
+    };
+    writeWorkerPlugin('module.exports = { async init() {}, async destroy() {} };');
+    await loader.loadPlugin('isolated');
+    expect(loader.plugins.get('isolated').enabled).toBe(true);
+
+    writeWorkerPlugin('module.exports = { async init() { throw new Error("broken"); } };');
+    const result = await loader.reloadPlugin('isolated');
+
+    expect(result).toMatchObject({ success: false, rolledBack: false, error: 'broken' });
+    expect(loader.plugins.get('isolated').enabled).toBe(false);
+    expect(loader.getEnabledPlugins()).not.toContain('isolated');
+    await loader.sandbox.disposePluginModule(loader.plugins.get('isolated').module);
+    console.warn.mockRestore();
+  });
+
+  test('should enable a dependent saved as enabled once its dependency is enabled', async () => {
+    const previousHotReload = process.env.PLUGIN_HOT_RELOAD;
+    process.env.PLUGIN_HOT_RELOAD = 'false';
+    writePlugin('base', 'module.exports = { async init() {}, async destroy() {} };');
+    writePlugin('addon', 'module.exports = { async init() {}, async destroy() {} };');
+    fs.writeFileSync(path.join(pluginPath, 'addon', 'plugin.json'),
+      JSON.stringify({ name: 'addon', version: '1.0.0', entry: './index.js', dependencies: ['base'] }));
+    loader.loadPluginStates = jest.fn().mockResolvedValue({ base: false, addon: true });
+
+    await loader.init();
+    expect(loader.plugins.get('addon').enabled).toBe(false);
+    expect(loader.plugins.get('addon').disabledBy).toBe('base');
+
+    await loader.enablePlugin('base');
+    expect(loader.plugins.get('addon').enabled).toBe(true);
+    expect(loader.savePluginState).not.toHaveBeenCalledWith('addon', false);
+
+    if (previousHotReload === undefined) {
+      delete process.env.PLUGIN_HOT_RELOAD;
+    } else {
+      process.env.PLUGIN_HOT_RELOAD = previousHotReload;
+    }
+  });
+
+  test('should apply concurrent state changes one at a time', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    delete loader.savePluginState;
+    loader.stateFile = path.join(pluginPath, 'config', 'plugin-states.json');
+
+    await Promise.all([
+      loader.savePluginState('a', true),
+      loader.savePluginState('b', false),
+      loader.savePluginQuarantine('c', { reason: 'Exceeded its calls budget' }),
+      loader.removePluginState('d')
+    ]);
+
+    expect(JSON.parse(fs.readFileSync(loader.stateFile, 'utf8'))).toEqual({
+      a: true,
+      b: false,
+      c: { enabled: false, quarantined: { reason: 'Exceeded its calls budget' } }
+    });
+    expect(fs.readdirSync(path.dirname(loader.stateFile))).toEqual(['plugin-states.json']);
+    console.log.mockRestore();
+  });
+
+  test('should track timers a plugin starts with the global functions', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    writePlugin('ticker', 'const clock = { ticks: 0 };\nsetInterval(() => { clock.ticks++; }, 10);\nmodule.exports = clock;', 'clock.js');
+    writePlugin('ticker', [
+      'const clock = require("./clock");',
+      'module.exports = { clock, async init() { setTimeout(() => {}, 60000); }, async destroy() {} };'
+    ].join('\n'));
+    await loader.loadPlugin('ticker');
+    expect(loader.sandbox.getPluginResources('ticker')).toMatchObject({
+      intervals: [expect.objectContaining({ delay: 10 })],
+      timeouts: [expect.objectContaining({ delay: 60000 })]
+    });
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await loader.disablePlugin('ticker');
+    const { clock } = loader.plugins.get('ticker').module;
+    const ticks = clock.ticks;
+    expect(ticks).toBeGreaterThan(0);
+    expect(loader.plugins.get('ticker').leaks).toMatchObject({ intervals: [expect.anything()], timeouts: [expect.anything()] });
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(clock.ticks).toBe(ticks);
+    console.warn.mockRestore();
+  });
+
+  test('should track timers a plugin starts through the global object', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    writePlugin('ticker', [
+      'const clock = { ticks: 0 };',
+      'globalThis.setInterval(() => { clock.ticks++; }, 10);',
+      'module.exports = { clock, async init() { global.setTimeout(() => {}, 60000); }, async destroy() {} };'
+    ].join('\n'));
+    await loader.loadPlugin('ticker');
+    expect(loader.sandbox.getPluginResources('ticker')).toMatchObject({
+      intervals: [expect.objectContaining({ delay: 10 })],
+      timeouts: [expect.objectContaining({ delay: 60000 })]
+    });
+
+    await loader.disablePlugin('ticker');
+    const { clock } = loader.plugins.get('ticker').module;
+    const ticks = clock.ticks;
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(clock.ticks).toBe(ticks);
+    console.warn.mockRestore();
+  });
+});
@@ -1,5 +1,6 @@
 // tests/sandbox.test.js
 const PluginSandbox = require('../core/sandbox');
+const { PermissionError } = require('../core/sandbox');
 
 describe('PluginSandbox', () => {
   let sandbox;
@@ -9,7 +10,13 @@ describe('PluginSandbox', () => {
     mockCore = {
       api: {
         registerCommand: jest.fn(),
+        registerPluginCommand: jest.fn(),
+        registerPluginRoute: jest.fn(),
         registerEvent: jest.fn(),
+        registerPluginEvent: jest.fn(),
+        unregisterPluginEvents: jest.fn(),
+        clearConflicts: jest.fn(),
+        unregisterEvent: jest.fn(),
         registerRoute: jest.fn(),
         registerPage: jest.fn(),
         getLogger: jest.fn(),
@@ -59,10 +66,266 @@ describe('PluginSandbox', () => {
       .rejects.toThrow('Plugin initialization failed');
   });
 
+  test('should stop a plugin method stuck in a synchronous loop', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    sandbox.budgets.setBudgets('test-plugin', { maxExecutionMs: 50 });
+    const pluginModule = {
+      init() {
+        for (;;) {
+          // Never returns
+        }
+      }
+    };
+
+    await expect(sandbox.runPluginMethod('test-plugin', pluginModule, 'init', mockCore))
+      .rejects.toThrow('Plugin test-plugin was stopped: init ran for more than 50ms');
+    console.error.mockRestore();
+  });
+
   test('should handle missing plugin methods', async () => {
     const pluginModule = {};
 
     await expect(sandbox.runPluginMethod('test-plugin', pluginModule, 'init', mockCore))
       .rejects.toThrow('Method init not found in plugin');
   });
-});
\ No newline at end of file
+
+  test('should allow API methods covered by declared permissions', () => {
+    sandbox.setPluginPermissions('test-plugin', { discord: ['commands'], web: ['routes'] });
+    const sandboxedCore = sandbox.createSandboxedCoreAPI('test-plugin');
+    const handler = jest.fn();
+
+    sandboxedCore.api.registerCommand('hello', 'Say hello', handler);
+    sandboxedCore.api.registerRoute('/api/hello', handler);
+
+    expect(mockCore.api.registerPluginCommand).toHaveBeenCalledWith('test-plugin', 'hello', 'Say hello', expect.any(Function), undefined);
+    expect(mockCore.api.registerPluginRoute).toHaveBeenCalledWith('test-plugin', '/api/hello', expect.any(Function));
+  });
+
+  test('should deny API methods without a declared permission', () => {
+    sandbox.setPluginPermissions('test-plugin', { web: ['routes'] });
+    const sandboxedCore = sandbox.createSandboxedCoreAPI('test-plugin');
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(() => sandboxedCore.api.registerCommand('hello', 'Say hello', jest.fn())).toThrow(PermissionError);
+    expect(() => sandboxedCore.api.registerEvent('messageCreate', jest.fn())).toThrow('missing permission "discord.events"');
+    expect(() => sandboxedCore.api.disablePlugin('other-plugin')).toThrow('missing permission "core.manage"');
+    expect(mockCore.api.registerPluginCommand).not.toHaveBeenCalled();
+    expect(mockCore.api.disablePlugin).not.toHaveBeenCalled();
+    expect(console.warn).toHaveBeenCalled();
+    console.warn.mockRestore();
+  });
+});
+
+describe('PluginSandbox resource tracking', () => {
+  let sandbox;
+  let mockCore;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    mockCore = {
+      api: {
+        registerPluginEvent: jest.fn(),
+        unregisterPluginEvents: jest.fn(),
+        clearConflicts: jest.fn(),
+        unregisterEvent: jest.fn()
+      }
+    };
+    sandbox = new PluginSandbox(mockCore);
+    sandbox.setPluginPermissions('timer-plugin', { discord: ['events'] });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should clear a plugin\'s timers when its resources are unregistered', () => {
+    const core = sandbox.createSandboxedCoreAPI('timer-plugin');
+    const tick = jest.fn();
+    core.api.setInterval(tick, 1000);
+    core.api.setTimeout(tick, 5000);
+
+    jest.advanceTimersByTime(2000);
+    expect(tick).toHaveBeenCalledTimes(2);
+
+    sandbox.unregisterPluginResources('timer-plugin');
+    jest.advanceTimersByTime(10000);
+    expect(tick).toHaveBeenCalledTimes(2);
+  });
+
+  test('should report timers and event handlers left after destroy', () => {
+    const core = sandbox.createSandboxedCoreAPI('timer-plugin');
+    const handler = jest.fn();
+    core.api.registerEvent('messageCreate', handler);
+    const timeout = core.api.setTimeout(jest.fn(), 1000);
+    core.api.setInterval(jest.fn(), 1000);
+    expect(sandbox.getPluginResources('timer-plugin').timeouts).toHaveLength(1);
+
+    // Handlers and timers the plugin cleans up itself are not leaks
+    core.api.clearTimeout(timeout);
+    core.api.unregisterEvent('messageCreate', handler);
+
+    const report = sandbox.getLeakReport('timer-plugin');
+    expect(report.events).toEqual([]);
+    expect(report.timeouts).toEqual([]);
+    expect(report.intervals).toEqual([expect.objectContaining({ type: 'interval', delay: 1000 })]);
+
+    sandbox.unregisterPluginResources('timer-plugin');
+    expect(sandbox.getLeakReport('timer-plugin')).toBeNull();
+  });
+});
+
+describe('PluginSandbox worker isolation', () => {
+  const os = require('os');
+  const fs = require('fs');
+  const path = require('path');
+  let sandbox;
+  let mockCore;
+  let pluginDir;
+
+  beforeEach(() => {
+    pluginDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worker-plugin-'));
+    fs.writeFileSync(path.join(pluginDir, 'index.js'), `
+      const { isMainThread } = require('worker_threads');
+      module.exports = {
+        async init(core) {
+          core.api.registerRoute('/api/worker', (req, res) => res.json({ isMainThread, body: req.body }));
+          core.api.registerEvent('messageCreate', () => { while (true) {} });
+        },
+        async destroy() {}
+      };
+    `);
+    mockCore = {
+      api: {
+        registerPluginRoute: jest.fn(),
+        unregisterPluginRoutes: jest.fn(),
+        registerPluginEvent: jest.fn(),
+        unregisterPluginEvents: jest.fn(),
+        clearConflicts: jest.fn()
+      }
+    };
+    sandbox = new PluginSandbox(mockCore);
+    sandbox.setPluginPermissions('worker-plugin', { discord: ['events'], web: ['routes'] });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+    console.error.mockRestore();
+    fs.rmSync(pluginDir, { recursive: true, force: true });
+  });
+
+  test('should select worker isolation from the manifest', () => {
+    expect(sandbox.usesWorker({ isolation: 'worker' })).toBe(true);
+    expect(sandbox.usesWorker({})).toBe(false);
+  });
+
+  test('should run plugin code in a worker and restart it when it hangs', async () => {
+    const manifest = { isolation: 'worker' };
+    const pluginModule = sandbox.createWorkerPlugin('worker-plugin', path.join(pluginDir, 'index.js'), manifest);
+    pluginModule.callTimeout = 200;
+
+    await sandbox.initPlugin('worker-plugin', pluginModule);
+
+    // Route calls are proxied to the worker
+    const routeHandler = mockCore.api.registerPluginRoute.mock.calls[0][2];
+    const res = { statusCode: 200, setHeader: jest.fn(), end: jest.fn() };
+    await routeHandler({ method: 'POST', url: '/api/worker', headers: {}, body: { ping: true } }, res);
+    expect(JSON.parse(res.end.mock.calls[0][0])).toEqual({ isMainThread: false, body: { ping: true } });
+    expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'application/json');
+
+    // A handler stuck in an endless loop gets its worker terminated and restarted
+    const eventHandler = mockCore.api.registerPluginEvent.mock.calls[0][2];
+    await eventHandler({ content: 'hello' });
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    const status = pluginModule.getStatus();
+    expect(status.restarts).toBe(1);
+    expect(status.running).toBe(true);
+    expect(mockCore.api.unregisterPluginEvents).toHaveBeenCalledWith('worker-plugin');
+
+    await sandbox.runPluginMethod('worker-plugin', pluginModule, 'destroy');
+    expect(pluginModule.getStatus().running).toBe(false);
+  });
+
+  test('should answer a request whose result cannot be sent with an error', async () => {
+    const pluginModule = sandbox.createWorkerPlugin('worker-plugin', path.join(pluginDir, 'index.js'), { isolation: 'worker' });
+    const worker = { postMessage: jest.fn() };
+    pluginModule.worker = worker;
+    const circular = { name: 'loop' };
+    circular.self = circular;
+    pluginModule.handleRequest = jest.fn().mockResolvedValue(circular);
+
+    pluginModule.handleMessage(worker, { type: 'request', id: 7, action: 'getPlugins' });
+    await new Promise(setImmediate);
+
+    expect(worker.postMessage).toHaveBeenCalledWith({
+      type: 'response',
+      id: 7,
+      error: expect.objectContaining({ name: 'TypeError', message: expect.stringMatching(/circular/) })
+    });
+  });
+});
+
+describe('PluginBudgets', () => {
+  const PluginBudgets = require('../core/sandbox/budgets');
+  const { BudgetExceededError } = require('../core/sandbox/budgets');
+  let budgets;
+  let mockCore;
+
+  beforeEach(() => {
+    mockCore = {
+      plugins: { quarantinePlugin: jest.fn().mockResolvedValue() }
+    };
+    budgets = new PluginBudgets(mockCore);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('should refuse command calls over the call budget', async () => {
+    budgets.setBudgets('busy-plugin', { maxCallsPerSecond: 2 });
+    const handler = budgets.wrap('busy-plugin', 'command', '/ping', jest.fn().mockResolvedValue('pong'));
+
+    await expect(handler()).resolves.toBe('pong');
+    await expect(handler()).resolves.toBe('pong');
+    await expect(handler()).rejects.toThrow(BudgetExceededError);
+    expect(budgets.getUsage('busy-plugin').recentViolations).toHaveLength(1);
+  });
+
+  test('should record slow calls as violations', async () => {
+    budgets.setBudgets('slow-plugin', { maxExecutionMs: 10 });
+    const handler = budgets.wrap('slow-plugin', 'event', 'messageCreate',
+      () => new Promise(resolve => setTimeout(resolve, 30)));
+
+    await handler();
+    const [violation] = budgets.getUsage('slow-plugin').recentViolations;
+    expect(violation.type).toBe('time');
+  });
+
+  test('should stop a handler stuck in a synchronous loop', async () => {
+    budgets.setBudgets('stuck-plugin', { maxExecutionMs: 50 });
+    const handler = budgets.wrap('stuck-plugin', 'command', '/spin', () => {
+      for (;;) {
+        // Never returns
+      }
+    });
+
+    const error = await handler().catch(err => err);
+    expect(error).toBeInstanceOf(BudgetExceededError);
+    expect(error.message).toContain('/spin was stopped after running for 50ms');
+    expect(budgets.getUsage('stuck-plugin').recentViolations).toEqual([expect.objectContaining({ type: 'time' })]);
+  });
+
+  test('should quarantine a plugin that keeps exceeding its budget', () => {
+    for (let i = 0; i < 5; i++) {
+      budgets.recordViolation('noisy-plugin', 'calls', 'too many calls');
+    }
+    budgets.recordViolation('noisy-plugin', 'calls', 'too many calls');
+
+    expect(mockCore.plugins.quarantinePlugin).toHaveBeenCalledTimes(1);
+    expect(mockCore.plugins.quarantinePlugin).toHaveBeenCalledWith('noisy-plugin', expect.stringContaining('calls budget'));
+  });
+});
@@ -0,0 +1,43 @@
+// tests/semver.test.js
+const semver = require('../core/semver');
+
+describe('semver', () => {
+  test('should compare versions', () => {
+    expect(semver.compareVersions('1.2.3', '1.2.3')).toBe(0);
+    expect(semver.compareVersions('1.2.3', '1.10.0')).toBe(-1);
+    expect(semver.compareVersions('2.0.0', '2.0.0-beta.1')).toBe(1);
+    expect(semver.compareVersions('1.0.0-alpha.2', '1.0.0-alpha.10')).toBe(-1);
+  });
+
+  test('should evaluate comparator ranges', () => {
+    expect(semver.satisfies('1.0.0', '>=1.0.0')).toBe(true);
+    expect(semver.satisfies('0.9.9', '>=1.0.0')).toBe(false);
+    expect(semver.satisfies('1.5.0', '>=1.2.0 <2.0.0')).toBe(true);
+    expect(semver.satisfies('2.0.0', '>=1.2.0 <2.0.0')).toBe(false);
+    expect(semver.satisfies('1.3.0', '>= 1.2')).toBe(true);
+  });
+
+  test('should evaluate caret and tilde ranges', () => {
+    expect(semver.satisfies('1.9.0', '^1.2.3')).toBe(true);
+    expect(semver.satisfies('2.0.0', '^1.2.3')).toBe(false);
+    expect(semver.satisfies('0.2.5', '^0.2.3')).toBe(true);
+    expect(semver.satisfies('0.3.0', '^0.2.3')).toBe(false);
+    expect(semver.satisfies('1.2.9', '~1.2.3')).toBe(true);
+    expect(semver.satisfies('1.3.0', '~1.2.3')).toBe(false);
+  });
+
+  test('should evaluate x, hyphen and alternative ranges', () => {
+    expect(semver.satisfies('1.4.2', '1.x')).toBe(true);
+    expect(semver.satisfies('3.0.0', '*')).toBe(true);
+    expect(semver.satisfies('1.5.0', '1.0.0 - 2.0.0')).toBe(true);
+    expect(semver.satisfies('2.1.0', '1.0.0 - 2')).toBe(true);
+    expect(semver.satisfies('3.0.0', '1.0.0 - 2')).toBe(false);
+    expect(semver.satisfies('3.1.0', '^1.0.0 || ^3.0.0')).toBe(true);
+    expect(semver.satisfies('2.1.0', '^1.0.0 || ^3.0.0')).toBe(false);
+  });
+
+  test('should reject invalid ranges', () => {
+    expect(semver.isValidRange('>=abc')).toBe(false);
+    expect(() => semver.satisfies('1.0.0', 'not a range')).toThrow('Invalid version range');
+  });
+});
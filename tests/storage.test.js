@@ -0,0 +1,70 @@
+// tests/storage.test.js
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const PluginStorage = require('../core/storage');
+const { StorageQuotaError } = require('../core/storage');
+
+describe('PluginStorage', () => {
+  let storage;
+  let storageDir;
+
+  beforeEach(() => {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'plugin-storage-'));
+    storage = new PluginStorage({});
+    storage.storageDir = storageDir;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  test('should store values per plugin and persist them', async () => {
+    await storage.set('plugin-a', 'settings', { prefix: '!' });
+    await storage.set('plugin-b', 'settings', { prefix: '?' });
+
+    // A fresh instance reads the values back from disk
+    const reloaded = new PluginStorage({});
+    reloaded.storageDir = storageDir;
+    expect(await reloaded.get('plugin-a', 'settings')).toEqual({ prefix: '!' });
+    expect(await reloaded.get('plugin-b', 'settings')).toEqual({ prefix: '?' });
+    expect(await reloaded.get('plugin-a', 'missing', 'default')).toBe('default');
+    expect(fs.readdirSync(storageDir).sort()).toEqual(['plugin-a.json', 'plugin-b.json']);
+  });
+
+  test('should list, delete and increment keys', async () => {
+    await storage.set('plugin-a', 'user:1', 'alice');
+    await storage.set('plugin-a', 'user:2', 'bob');
+    await storage.set('plugin-a', 'count', 'not a number');
+
+    expect(await storage.list('plugin-a', 'user:')).toEqual(['user:1', 'user:2']);
+    expect(await storage.delete('plugin-a', 'user:1')).toBe(true);
+    expect(await storage.delete('plugin-a', 'user:1')).toBe(false);
+
+    // Concurrent increments are applied one after another
+    const results = await Promise.all([1, 2, 3].map(() => storage.increment('plugin-a', 'visits')));
+    expect(results).toEqual([1, 2, 3]);
+    await expect(storage.increment('plugin-a', 'count')).rejects.toThrow('does not hold a number');
+  });
+
+  test('should enforce storage quotas', async () => {
+    storage.setQuota('plugin-a', { maxKeys: 2, maxBytes: 100 });
+    await storage.set('plugin-a', 'a', 1);
+    await storage.set('plugin-a', 'b', 2);
+
+    await expect(storage.set('plugin-a', 'c', 3)).rejects.toThrow(StorageQuotaError);
+    await expect(storage.set('plugin-a', 'a', 'x'.repeat(200))).rejects.toThrow('bytes (limit 100)');
+    expect(await storage.list('plugin-a')).toEqual(['a', 'b']);
+    expect(await storage.get('plugin-a', 'a')).toBe(1);
+  });
+
+  test('should delete a plugin\'s data', async () => {
+    await storage.set('plugin-a', 'key', 'value');
+    await storage.deleteNamespace('plugin-a');
+
+    expect(fs.existsSync(path.join(storageDir, 'plugin-a.json'))).toBe(false);
+    expect(await storage.list('plugin-a')).toEqual([]);
+  });
+});
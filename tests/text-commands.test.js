@@ -0,0 +1,82 @@
+// tests/text-commands.test.js
+const {
+  tokenize,
+  parseDuration,
+  normalizeTextCommand,
+  parseMessage,
+  parseArguments,
+  formatUsage,
+  formatHelp
+} = require('../core/discord/text-commands');
+
+describe('Text command parsing', () => {
+  const handler = jest.fn();
+
+  test('should split arguments on whitespace and keep quoted text together', () => {
+    expect(tokenize('  one "two three" \'four\' “five six” "say \\"hi\\""').map(token => token.value))
+      .toEqual(['one', 'two three', 'four', 'five six', 'say "hi"']);
+    expect(tokenize('a "unterminated quote').map(token => token.value)).toEqual(['a', 'unterminated quote']);
+  });
+
+  test('should parse durations', () => {
+    expect(parseDuration('90s')).toBe(90000);
+    expect(parseDuration('1h30m')).toBe(5400000);
+    expect(parseDuration('2 days')).toBe(172800000);
+    expect(parseDuration('10')).toBeNull();
+    expect(parseDuration('5 fortnights')).toBeNull();
+  });
+
+  test('should find the command after any of the prefixes', () => {
+    expect(parseMessage('!Ban <@123> spam', ['!'])).toEqual({ prefix: '!', name: 'ban', body: '<@123> spam' });
+    expect(parseMessage('<@42> help ban', ['!', '<@42>'])).toEqual({ prefix: '<@42>', name: 'help', body: 'ban' });
+    expect(parseMessage('hello !ban', ['!'])).toBeNull();
+    expect(parseMessage('!', ['!'])).toBeNull();
+  });
+
+  test('should convert arguments to their types', () => {
+    const command = normalizeTextCommand('mute', 'Mute a member', handler, {
+      aliases: ['Silence'],
+      args: [
+        { name: 'member', type: 'user', required: true },
+        { name: 'duration', type: 'duration', required: true },
+        { name: 'notify', type: 'boolean' },
+        { name: 'reason', rest: true }
+      ]
+    });
+    expect(command.aliases).toEqual(['silence']);
+
+    expect(parseArguments(command, '<@!123456789012345678> 1h yes being "very" loud').args).toEqual({
+      member: '123456789012345678',
+      duration: 3600000,
+      notify: true,
+      reason: 'being "very" loud'
+    });
+    expect(parseArguments(command, '123456789012345678 soon').error).toBe('`duration` must be a duration such as 10m, 1h30m or 2d.');
+    expect(parseArguments(command, 'someone 1h').error).toBe('`member` must be a user mention or ID.');
+    expect(parseArguments(command, '').error).toBe('Missing required argument `member`.');
+  });
+
+  test('should reject invalid definitions', () => {
+    expect(() => normalizeTextCommand('two words', '', handler)).toThrow('without spaces');
+    expect(() => normalizeTextCommand('roll', '', handler, { args: [{ name: 'sides', type: 'dice' }] }))
+      .toThrow('unknown type "dice"');
+    expect(() => normalizeTextCommand('say', '', handler, { args: [{ name: 'text', rest: true }, { name: 'to' }] }))
+      .toThrow('only the last argument');
+    expect(() => normalizeTextCommand('give', '', handler, { args: [{ name: 'item' }, { name: 'to', required: true }] }))
+      .toThrow('required arguments must come before optional ones');
+  });
+
+  test('should format usage and help', () => {
+    const ban = normalizeTextCommand('ban', 'Ban a member', handler, {
+      args: [{ name: 'member', type: 'user', required: true }, { name: 'reason', rest: true }]
+    });
+    const ping = normalizeTextCommand('ping', 'Check the bot', handler);
+
+    expect(formatUsage('?', ban)).toBe('?ban <member> [reason...]');
+    expect(formatHelp('?', [ping, ban]).split('\n')).toEqual([
+      '**Commands** (prefix `?`, `?help <command>` for details)',
+      '`?ban <member> [reason...]` - Ban a member',
+      '`?ping` - Check the bot'
+    ]);
+  });
+});